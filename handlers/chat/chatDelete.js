@@ -0,0 +1,50 @@
+const schemas = require('../schemas');
+const { createLogger } = require('../../utils/Logger');
+
+const log = createLogger('handlers/chat');
+
+/**
+ * Delete a chat message - authors can delete their own, moderators any
+ */
+module.exports = {
+  type: 'chatDelete',
+  requiresAuth: true,
+  broadcast: 'none',
+  schema: {
+    type: 'object',
+    required: ['messageId'],
+    properties: {
+      messageId: schemas.id,
+      channel: schemas.chatChannel
+    }
+  },
+
+  async handle({ server, ws, userId, message }) {
+    const { messageId } = message;
+    const roomId = server.roomManager.getClientRoom(ws);
+    const channelId = server.chatManager.resolveChannel(message.channel, roomId);
+    const isModerator = server.moderationManager.isModerator(userId);
+
+    // Moderators can clean up channels they aren't in
+    if (!isModerator && !server.chatManager.canAccess(userId, channelId, roomId)) {
+      server.sendErrorMessage(ws, 'You are not in that chat channel', { code: 'notInChannel', channel: channelId });
+      return;
+    }
+
+    const result = await server.chatManager.deleteMessage(userId, channelId, messageId, isModerator);
+    if (!result.success) {
+      server.sendErrorMessage(ws, 'Could not delete message', { code: result.error, messageId });
+      return;
+    }
+
+    const recipients = server.chatManager.broadcastChange(server.getChatChannelClients(channelId), {
+      type: 'chatMessageDeleted',
+      channel: channelId,
+      messageId,
+      deletedBy: userId
+    });
+    server.serverState.recordBroadcast(recipients);
+
+    log.info('Chat message deleted', { userId, channel: channelId, messageId });
+  }
+};
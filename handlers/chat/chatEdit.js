@@ -0,0 +1,52 @@
+const schemas = require('../schemas');
+
+/**
+ * Author edits the text of one of their chat messages
+ */
+module.exports = {
+  type: 'chatEdit',
+  requiresAuth: true,
+  broadcast: 'none',
+  schema: {
+    type: 'object',
+    required: ['messageId', 'text'],
+    properties: {
+      messageId: schemas.id,
+      channel: schemas.chatChannel,
+      text: schemas.chatText
+    }
+  },
+
+  async handle({ server, ws, userId, message }) {
+    const { messageId } = message;
+    const roomId = server.roomManager.getClientRoom(ws);
+    const channelId = server.chatManager.resolveChannel(message.channel, roomId);
+
+    if (!server.chatManager.canAccess(userId, channelId, roomId)) {
+      server.sendErrorMessage(ws, 'You are not in that chat channel', { code: 'notInChannel', channel: channelId });
+      return;
+    }
+
+    // The new text is moderated just like a new message
+    const moderation = server.chatManager.moderateMessage(userId, message.text, server.clientManager.getClientIdentity(ws));
+    if (!moderation.allowed) {
+      server.rejectChatMessage(ws, 'chatEdit', moderation);
+      return;
+    }
+
+    const result = await server.chatManager.editMessage(userId, channelId, messageId, moderation.text);
+    if (!result.success) {
+      server.sendErrorMessage(ws, 'Could not edit message', { code: result.error, messageId });
+      return;
+    }
+
+    const recipients = server.chatManager.broadcastChange(server.getChatChannelClients(channelId), {
+      type: 'chatMessageEdited',
+      channel: channelId,
+      messageId,
+      text: result.message.text,
+      editedAt: result.message.editedAt
+    });
+    server.serverState.recordBroadcast(recipients);
+  }
+};
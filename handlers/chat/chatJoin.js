@@ -0,0 +1,34 @@
+const schemas = require('../schemas');
+const { createLogger } = require('../../utils/Logger');
+
+const log = createLogger('handlers/chat');
+
+/**
+ * Join a chat channel (global, a guild, or a party the sender was invited to)
+ */
+module.exports = {
+  type: 'chatJoin',
+  requiresAuth: true,
+  broadcast: 'none',
+  schema: {
+    type: 'object',
+    required: ['channel'],
+    properties: {
+      channel: schemas.chatChannel
+    }
+  },
+
+  handle({ server, ws, userId, message }) {
+    const result = server.chatManager.joinChannel(userId, message.channel);
+
+    if (!result.success) {
+      server.sendErrorMessage(ws, 'Could not join chat channel', { code: result.error, channel: message.channel });
+      return;
+    }
+
+    log.debug('Joined chat channel', { userId, channel: result.channelId });
+
+    server.sendToUser(userId, { type: 'chatChannels', channels: server.chatManager.getUserChannels(userId) });
+    server.chatManager.sendChatHistory(ws, result.channelId);
+  }
+};
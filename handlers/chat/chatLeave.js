@@ -0,0 +1,28 @@
+const schemas = require('../schemas');
+const { createLogger } = require('../../utils/Logger');
+
+const log = createLogger('handlers/chat');
+
+/**
+ * Leave a chat channel
+ */
+module.exports = {
+  type: 'chatLeave',
+  requiresAuth: true,
+  broadcast: 'none',
+  schema: {
+    type: 'object',
+    required: ['channel'],
+    properties: {
+      channel: schemas.chatChannel
+    }
+  },
+
+  handle({ server, userId, message }) {
+    if (server.chatManager.leaveChannel(userId, message.channel)) {
+      log.debug('Left chat channel', { userId, channel: message.channel });
+    }
+
+    server.sendToUser(userId, { type: 'chatChannels', channels: server.chatManager.getUserChannels(userId) });
+  }
+};
@@ -0,0 +1,68 @@
+const schemas = require('../schemas');
+const { createLogger } = require('../../utils/Logger');
+
+const log = createLogger('handlers/chat');
+
+/**
+ * Chat message to a channel (the sender's room unless another channel is named)
+ */
+module.exports = {
+  type: 'chatMessage',
+  requiresAuth: true,
+  senderField: 'userId',
+  broadcast: 'none',
+  schema: {
+    type: 'object',
+    required: ['userId', 'text'],
+    properties: {
+      userId: schemas.id,
+      text: schemas.chatText,
+      channel: schemas.chatChannel
+    }
+  },
+
+  async handle({ server, ws, message }) {
+    const { userId } = message;
+
+    // Get user name from the user manager
+    const user = server.userManager.getUserById(userId);
+    const userName = user ? user.name : 'Unknown User';
+
+    const roomId = server.roomManager.getClientRoom(ws);
+    const channelId = server.chatManager.resolveChannel(message.channel, roomId);
+
+    if (!server.chatManager.canAccess(userId, channelId, roomId)) {
+      server.sendErrorMessage(ws, 'You are not in that chat channel', { code: 'notInChannel', channel: channelId });
+      return;
+    }
+
+    // Mutes, flood and duplicate checks, word masking
+    const moderation = server.chatManager.moderateMessage(userId, message.text, server.clientManager.getClientIdentity(ws));
+    if (!moderation.allowed) {
+      server.rejectChatMessage(ws, 'chatMessage', moderation);
+      return;
+    }
+    const { text } = moderation;
+
+    // Add the message to chat manager
+    const chatMessage = await server.chatManager.addMessage(userId, userName, text, channelId);
+
+    // Sending the message ends the sender's typing indicator
+    if (server.chatManager.setTyping(userId, channelId, false)) {
+      server.broadcastTyping(userId, channelId, false);
+    }
+
+    // Broadcast to the rest of the channel
+    const recipients = server.chatManager.broadcastMessage(server.getChatChannelClients(channelId), chatMessage, ws);
+    server.serverState.recordBroadcast(recipients);
+
+    // Send the message directly to the sender
+    // This ensures they still see their own message
+    ws.send(JSON.stringify({
+      type: 'chatMessage',
+      message: chatMessage
+    }));
+
+    log.debug('Chat message', { userId, channel: channelId, messageId: chatMessage.id, length: text.length });
+  }
+};
@@ -0,0 +1,45 @@
+const schemas = require('../schemas');
+
+// Longest mute a moderator can hand out: 30 days
+const MAX_MUTE_DURATION = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * Moderator mutes a user in chat for a while
+ */
+module.exports = {
+  type: 'chatMute',
+  requiresAuth: true,
+  broadcast: 'none',
+  schema: {
+    type: 'object',
+    required: ['targetId', 'duration'],
+    properties: {
+      targetId: schemas.id,
+      duration: { type: 'integer', minimum: 1000, maximum: MAX_MUTE_DURATION },
+      reason: { type: 'string', maxLength: 200 }
+    }
+  },
+
+  handle({ server, ws, userId, message }) {
+    const { targetId, duration } = message;
+
+    if (!server.moderationManager.isModerator(userId)) {
+      server.sendErrorMessage(ws, 'Only chat moderators can mute users', { code: 'notModerator' });
+      return;
+    }
+
+    if (targetId === userId || !server.userManager.getUserById(targetId)) {
+      server.sendErrorMessage(ws, 'Could not mute that user', { code: 'invalidTarget', targetId });
+      return;
+    }
+
+    const mute = server.moderationManager.muteUser(targetId, duration, message.reason || 'moderator', userId);
+
+    server.sendToUser(targetId, {
+      type: 'chatMuted',
+      until: mute.until,
+      reason: mute.reason
+    });
+    ws.send(JSON.stringify({ type: 'chatMuteResult', targetId, muted: true, until: mute.until }));
+  }
+};
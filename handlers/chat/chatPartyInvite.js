@@ -0,0 +1,49 @@
+const schemas = require('../schemas');
+const { createLogger } = require('../../utils/Logger');
+
+const log = createLogger('handlers/chat');
+
+/**
+ * Invite a user to the sender's party chat (starting a party if needed)
+ */
+module.exports = {
+  type: 'chatPartyInvite',
+  requiresAuth: true,
+  broadcast: 'none',
+  rateLimit: { limit: 5, window: 1000 }, // 5 per second
+  schema: {
+    type: 'object',
+    required: ['targetId'],
+    properties: {
+      targetId: schemas.id
+    }
+  },
+
+  handle({ server, ws, userId, message }) {
+    const { targetId } = message;
+
+    if (!server.userManager.getUserById(targetId)) {
+      server.sendErrorMessage(ws, 'Could not invite to party', { code: 'userNotFound', targetId });
+      return;
+    }
+
+    const result = server.chatManager.inviteToParty(userId, targetId);
+    if (!result.success) {
+      server.sendErrorMessage(ws, 'Could not invite to party', { code: result.error, targetId });
+      return;
+    }
+
+    const user = server.userManager.getUserById(userId);
+
+    // The invitee joins with chatJoin on the party channel
+    server.sendToUser(targetId, {
+      type: 'chatPartyInvite',
+      channel: result.channelId,
+      fromUserId: userId,
+      fromUserName: user ? user.name : 'Unknown User'
+    });
+    server.sendToUser(userId, { type: 'chatChannels', channels: server.chatManager.getUserChannels(userId) });
+
+    log.debug('Party invite', { userId, targetId, channel: result.channelId });
+  }
+};
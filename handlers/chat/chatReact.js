@@ -0,0 +1,48 @@
+const schemas = require('../schemas');
+
+/**
+ * Add an emoji reaction to a chat message
+ */
+module.exports = {
+  type: 'chatReact',
+  requiresAuth: true,
+  broadcast: 'none',
+  rateLimit: { limit: 10, window: 1000 }, // 10 per second
+  schema: {
+    type: 'object',
+    required: ['messageId', 'emoji'],
+    properties: {
+      messageId: schemas.id,
+      channel: schemas.chatChannel,
+      emoji: schemas.emoji
+    }
+  },
+
+  async handle({ server, ws, userId, message }) {
+    const { messageId, emoji } = message;
+    const roomId = server.roomManager.getClientRoom(ws);
+    const channelId = server.chatManager.resolveChannel(message.channel, roomId);
+
+    if (!server.chatManager.canAccess(userId, channelId, roomId)) {
+      server.sendErrorMessage(ws, 'You are not in that chat channel', { code: 'notInChannel', channel: channelId });
+      return;
+    }
+
+    const result = await server.chatManager.setReaction(userId, channelId, messageId, emoji, true);
+    if (!result.success) {
+      server.sendErrorMessage(ws, 'Could not react', { code: result.error, messageId });
+      return;
+    }
+
+    const recipients = server.chatManager.broadcastChange(server.getChatChannelClients(channelId), {
+      type: 'chatReaction',
+      channel: channelId,
+      messageId,
+      emoji,
+      userId,
+      reacted: true,
+      count: result.count
+    });
+    server.serverState.recordBroadcast(recipients);
+  }
+};
@@ -0,0 +1,52 @@
+const schemas = require('../schemas');
+
+/**
+ * Sender has read a chat channel up to a message
+ */
+module.exports = {
+  type: 'chatRead',
+  requiresAuth: true,
+  broadcast: 'none',
+  rateLimit: { limit: 5, window: 1000 }, // 5 per second
+  schema: {
+    type: 'object',
+    required: ['messageId'],
+    properties: {
+      channel: schemas.chatChannel,
+      messageId: schemas.id
+    }
+  },
+
+  async handle({ server, ws, userId, message }) {
+    const roomId = server.roomManager.getClientRoom(ws);
+    const channelId = server.chatManager.resolveChannel(message.channel, roomId);
+
+    if (!server.chatManager.canAccess(userId, channelId, roomId)) {
+      server.sendErrorMessage(ws, 'You are not in that chat channel', { code: 'notInChannel', channel: channelId });
+      return;
+    }
+
+    const result = await server.chatManager.markRead(userId, channelId, message.messageId);
+    if (!result.success) {
+      server.sendErrorMessage(ws, 'Could not mark message as read', { code: result.error, messageId: message.messageId });
+      return;
+    }
+
+    if (!result.changed) return;
+
+    const receipt = {
+      type: 'chatRead',
+      channel: channelId,
+      userId,
+      messageId: result.messageId
+    };
+
+    // Global chat is too big for read receipts, but the reader's other tabs still need to know
+    if (channelId === 'global') {
+      server.sendToUser(userId, receipt);
+    } else {
+      const serialized = JSON.stringify(receipt);
+      server.getChatChannelClients(channelId).forEach(client => server.sendToClient(client, serialized));
+    }
+  }
+};
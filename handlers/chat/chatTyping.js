@@ -0,0 +1,35 @@
+const schemas = require('../schemas');
+
+/**
+ * Sender started or stopped typing in a chat channel
+ * Indicators expire on their own unless the client keeps sending typing: true.
+ */
+module.exports = {
+  type: 'chatTyping',
+  requiresAuth: true,
+  broadcast: 'none',
+  rateLimit: { limit: 5, window: 1000 }, // 5 per second
+  schema: {
+    type: 'object',
+    required: ['typing'],
+    properties: {
+      channel: schemas.chatChannel,
+      typing: { type: 'boolean' }
+    }
+  },
+
+  handle({ server, ws, userId, message }) {
+    const roomId = server.roomManager.getClientRoom(ws);
+    const channelId = server.chatManager.resolveChannel(message.channel, roomId);
+
+    if (!server.chatManager.canAccess(userId, channelId, roomId)) {
+      server.sendErrorMessage(ws, 'You are not in that chat channel', { code: 'notInChannel', channel: channelId });
+      return;
+    }
+
+    // Refreshing an indicator that is already showing isn't broadcast again
+    if (server.chatManager.setTyping(userId, channelId, message.typing)) {
+      server.broadcastTyping(userId, channelId, message.typing);
+    }
+  }
+};
@@ -0,0 +1,36 @@
+const schemas = require('../schemas');
+
+/**
+ * Moderator lifts a user's chat mute
+ */
+module.exports = {
+  type: 'chatUnmute',
+  requiresAuth: true,
+  broadcast: 'none',
+  schema: {
+    type: 'object',
+    required: ['targetId'],
+    properties: {
+      targetId: schemas.id
+    }
+  },
+
+  handle({ server, ws, userId, message }) {
+    const { targetId } = message;
+
+    if (!server.moderationManager.isModerator(userId)) {
+      server.sendErrorMessage(ws, 'Only chat moderators can unmute users', { code: 'notModerator' });
+      return;
+    }
+
+    if (!server.userManager.getUserById(targetId)) {
+      server.sendErrorMessage(ws, 'Could not unmute that user', { code: 'invalidTarget', targetId });
+      return;
+    }
+
+    if (server.moderationManager.unmuteUser(targetId)) {
+      server.sendToUser(targetId, { type: 'chatUnmuted' });
+    }
+    ws.send(JSON.stringify({ type: 'chatMuteResult', targetId, muted: false }));
+  }
+};
@@ -0,0 +1,56 @@
+const schemas = require('../schemas');
+const { createLogger } = require('../../utils/Logger');
+
+const log = createLogger('handlers/chat');
+
+/**
+ * Private chat message to one user, delivered to both users' connections only
+ */
+module.exports = {
+  type: 'chatWhisper',
+  requiresAuth: true,
+  senderField: 'userId',
+  broadcast: 'none',
+  schema: {
+    type: 'object',
+    required: ['userId', 'targetId', 'text'],
+    properties: {
+      userId: schemas.id,
+      targetId: schemas.id,
+      text: schemas.chatText
+    }
+  },
+
+  handle({ server, ws, message }) {
+    const { userId, targetId } = message;
+
+    if (targetId === userId) {
+      server.sendErrorMessage(ws, 'You cannot whisper to yourself', { code: 'invalidTarget' });
+      return;
+    }
+
+    if (server.clientManager.getConnectionsByUserId(targetId).length === 0) {
+      server.sendErrorMessage(ws, 'That user is not online', { code: 'userOffline', targetId });
+      return;
+    }
+
+    const moderation = server.chatManager.moderateMessage(userId, message.text, server.clientManager.getClientIdentity(ws));
+    if (!moderation.allowed) {
+      server.rejectChatMessage(ws, 'chatWhisper', moderation);
+      return;
+    }
+    const { text } = moderation;
+
+    const user = server.userManager.getUserById(userId);
+    const userName = user ? user.name : 'Unknown User';
+
+    const whisper = server.chatManager.createWhisper(userId, userName, targetId, text);
+    const packet = JSON.stringify({ type: 'chatMessage', message: whisper });
+
+    // The sender's other tabs see the whisper too
+    server.sendToUser(targetId, packet);
+    server.sendToUser(userId, packet);
+
+    log.debug('Whisper', { userId, targetId });
+  }
+};
@@ -0,0 +1,52 @@
+const schemas = require('../schemas');
+const { createLogger } = require('../../utils/Logger');
+
+const log = createLogger('handlers/chat');
+
+/**
+ * In-game chat bubble ("/me ..." lines become emotes)
+ */
+module.exports = {
+  type: 'gameChat',
+  requiresAuth: true,
+  senderField: 'userId',
+  broadcast: 'none',
+  schema: {
+    type: 'object',
+    required: ['userId', 'text'],
+    properties: {
+      userId: schemas.id,
+      text: schemas.chatText
+    }
+  },
+
+  handle({ server, ws, message }) {
+    const { userId } = message;
+
+    const moderation = server.gameChatManager.moderateMessage(userId, message.text, server.clientManager.getClientIdentity(ws));
+    if (!moderation.allowed) {
+      server.rejectChatMessage(ws, 'gameChat', moderation);
+      return;
+    }
+    const { text } = moderation;
+
+    // Get user name from the user manager
+    const user = server.userManager.getUserById(userId);
+    const userName = user ? user.name : 'Unknown Player';
+
+    // Create game chat message object
+    const gameChatMessage = server.gameChatManager.createPlayerMessage(userId, userName, text);
+
+    // Broadcast to the sender's room except the sender
+    const roomId = server.roomManager.getClientRoom(ws);
+    server.gameChatManager.recordMessage(roomId, gameChatMessage);
+    const recipients = server.gameChatManager.broadcastGameMessage(server.roomManager.getRoomClients(roomId), gameChatMessage, ws);
+    server.serverState.recordBroadcast(recipients);
+
+    // Send the message directly to the sender
+    // This ensures they still see their own message
+    server.gameChatManager.sendDirectGameMessage(ws, gameChatMessage);
+
+    log.debug('Game chat message', { userId, roomId, length: text.length });
+  }
+};
@@ -0,0 +1,50 @@
+const schemas = require('../schemas');
+const { createLogger } = require('../../utils/Logger');
+
+const log = createLogger('handlers/chat');
+
+/**
+ * Request for a page of a chat channel's history (the sender's room unless another channel is named)
+ * Without a cursor the most recent messages are sent; `before` pages back from a
+ * message and `after` catches up from one.
+ */
+module.exports = {
+  type: 'getChatHistory',
+  requiresAuth: false,
+  broadcast: 'none',
+  schema: {
+    type: 'object',
+    properties: {
+      channel: schemas.chatChannel,
+      before: schemas.id,
+      after: schemas.id,
+      limit: { type: 'integer', minimum: 1, maximum: 100 }
+    }
+  },
+
+  async handle({ server, ws, clientId, userId, message }) {
+    const roomId = server.roomManager.getClientRoom(ws);
+    const channelId = server.chatManager.resolveChannel(message.channel, roomId);
+
+    if (!server.chatManager.canAccess(userId, channelId, roomId)) {
+      server.sendErrorMessage(ws, 'You are not in that chat channel', { code: 'notInChannel', channel: channelId });
+      return;
+    }
+
+    if (message.before && message.after) {
+      server.sendErrorMessage(ws, 'Use either before or after, not both', { code: 'invalidCursor', channel: channelId });
+      return;
+    }
+
+    log.debug('Sending chat history', { clientId, channel: channelId });
+    const sent = await server.chatManager.sendChatHistory(ws, channelId, {
+      before: message.before,
+      after: message.after,
+      limit: message.limit
+    });
+
+    if (!sent) {
+      server.sendErrorMessage(ws, 'Unknown history cursor', { code: 'invalidCursor', channel: channelId });
+    }
+  }
+};
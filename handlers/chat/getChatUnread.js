@@ -0,0 +1,27 @@
+/**
+ * Request for the sender's read position and unread count in each of their chat channels
+ */
+module.exports = {
+  type: 'getChatUnread',
+  requiresAuth: true,
+  broadcast: 'sender',
+  schema: {
+    type: 'object',
+    properties: {}
+  },
+
+  async handle({ server, ws, userId }) {
+    const roomId = server.roomManager.getClientRoom(ws);
+    const channelIds = [server.chatManager.resolveChannel('room', roomId), ...server.chatManager.getUserChannels(userId)];
+
+    const channels = {};
+    for (const channelId of channelIds) {
+      channels[channelId] = await server.chatManager.getUnread(userId, channelId);
+    }
+
+    return {
+      type: 'chatUnread',
+      channels
+    };
+  }
+};
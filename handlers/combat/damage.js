@@ -0,0 +1,47 @@
+const schemas = require('../schemas');
+const { createLogger } = require('../../utils/Logger');
+
+const log = createLogger('handlers/combat');
+
+/**
+ * Direct (melee) damage from one player to another
+ * Only applied when the players are within melee range of each other
+ */
+module.exports = {
+  type: 'damage',
+  requiresAuth: true,
+  senderField: 'sourceId',
+  broadcast: 'nearby',
+  rateLimit: { limit: 10, window: 1000 }, // 10 per second
+  schema: {
+    type: 'object',
+    required: ['sourceId', 'targetId', 'amount'],
+    properties: {
+      sourceId: schemas.id,
+      targetId: schemas.id,
+      amount: schemas.damage
+    }
+  },
+
+  handle({ server, ws, message }) {
+    const { sourceId, targetId } = message;
+
+    const result = server.combatManager.resolveDirectDamage(sourceId, targetId, message.amount);
+    if (!result.success) {
+      server.rejectCombatAction(ws, 'damage', result.reason, { targetId });
+      return;
+    }
+
+    const { damage } = result;
+    log.debug('Damage', { sourceId, targetId, damage });
+
+    server.broadcastCombatResult(ws, targetId, result, sourceId);
+
+    return {
+      type: 'damage',
+      sourceId,
+      targetId,
+      amount: damage
+    };
+  }
+};
@@ -0,0 +1,33 @@
+const schemas = require('../schemas');
+const { createLogger } = require('../../utils/Logger');
+
+const log = createLogger('handlers/combat');
+
+/**
+ * Player reporting their own health (falls and other self-inflicted damage)
+ * The server keeps the authoritative value - it can only go down this way
+ */
+module.exports = {
+  type: 'healthUpdate',
+  requiresAuth: true,
+  senderField: 'userId',
+  broadcast: 'none',
+  schema: {
+    type: 'object',
+    required: ['userId', 'health'],
+    properties: {
+      userId: schemas.id,
+      health: { type: 'number', minimum: 0, maximum: 1000 }
+    }
+  },
+
+  handle({ server, ws, message }) {
+    const { userId } = message;
+
+    const result = server.combatManager.reportHealth(userId, message.health);
+    log.debug('Health update', { userId, health: result.health });
+
+    // Everyone (including the sender, in case it was corrected) gets the server's value
+    server.broadcastCombatResult(ws, userId, result);
+  }
+};
@@ -0,0 +1,41 @@
+const schemas = require('../schemas');
+const { createLogger } = require('../../utils/Logger');
+
+const log = createLogger('handlers/combat');
+
+/**
+ * Melee swing by a player
+ */
+module.exports = {
+  type: 'meleeAttack',
+  requiresAuth: true,
+  senderField: 'sourceId',
+  broadcast: 'nearby',
+  rateLimit: { limit: 5, window: 1000 }, // 5 per second
+  schema: {
+    type: 'object',
+    required: ['sourceId', 'position', 'direction'],
+    properties: {
+      sourceId: schemas.id,
+      position: schemas.vector3,
+      direction: schemas.vector3,
+      attackType: { type: 'string', maxLength: 32 },
+      timestamp: schemas.timestamp
+    }
+  },
+
+  handle({ message }) {
+    const { sourceId, position, direction, attackType, timestamp } = message;
+
+    log.debug('Melee attack', { sourceId, position });
+
+    return {
+      type: 'meleeAttack',
+      sourceId,
+      position,
+      direction,
+      attackType: attackType || 'melee',
+      timestamp: timestamp || Date.now()
+    };
+  }
+};
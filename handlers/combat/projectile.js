@@ -0,0 +1,61 @@
+const schemas = require('../schemas');
+const { createLogger } = require('../../utils/Logger');
+
+const log = createLogger('handlers/combat');
+
+/**
+ * Projectile fired by a player
+ * Recorded by the CombatManager so later hits can be checked against it
+ */
+module.exports = {
+  type: 'projectile',
+  requiresAuth: true,
+  senderField: 'sourceId',
+  broadcast: 'nearby',
+  schema: {
+    type: 'object',
+    required: ['sourceId', 'position', 'direction'],
+    properties: {
+      id: schemas.id,
+      sourceId: schemas.id,
+      position: schemas.vector3,
+      direction: schemas.vector3,
+      damage: schemas.damage,
+      speed: { type: 'number', minimum: 0, maximum: 100 },
+      comboLevel: { type: 'integer', minimum: 1, maximum: 10 }
+    }
+  },
+
+  handle({ server, ws, message }) {
+    const { sourceId, position, direction, damage, speed, comboLevel } = message;
+    const id = message.id || `server-${Date.now()}-${Math.random().toString(36).substr(2, 5)}`;
+
+    // Damage and speed are optional - the CombatManager applies its defaults and limits
+    const result = server.combatManager.spawnProjectile(id, sourceId, server.roomManager.getClientRoom(ws), {
+      position,
+      direction,
+      damage,
+      speed
+    });
+
+    if (!result.success) {
+      server.rejectCombatAction(ws, 'projectile', result.reason, { projectileId: id });
+      return;
+    }
+
+    // Everyone sees the damage and speed the server recorded, not the client's
+    const { projectile } = result;
+    log.debug('Projectile', { sourceId, position, damage: projectile.damage, comboLevel: comboLevel || 1 });
+
+    return {
+      type: 'projectile',
+      id,
+      sourceId,
+      position,
+      direction,
+      damage: projectile.damage,
+      speed: projectile.speed,
+      comboLevel: comboLevel || 1
+    };
+  }
+};
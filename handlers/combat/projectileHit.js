@@ -0,0 +1,48 @@
+const schemas = require('../schemas');
+const { createLogger } = require('../../utils/Logger');
+
+const log = createLogger('handlers/combat');
+
+/**
+ * Projectile hitting a target - a claim the CombatManager checks before any damage is done
+ */
+module.exports = {
+  type: 'projectileHit',
+  requiresAuth: true,
+  senderField: 'sourceId',
+  broadcast: 'nearbyAll',
+  schema: {
+    type: 'object',
+    required: ['sourceId', 'targetId', 'projectileId'],
+    properties: {
+      sourceId: schemas.id,
+      targetId: schemas.id,
+      projectileId: schemas.id,
+      position: schemas.vector3
+    }
+  },
+
+  handle({ server, ws, message }) {
+    const { sourceId, targetId, projectileId, position } = message;
+
+    const result = server.combatManager.resolveProjectileHit(projectileId, sourceId, targetId);
+    if (!result.success) {
+      server.rejectCombatAction(ws, 'projectileHit', result.reason, { projectileId, targetId });
+      return;
+    }
+
+    const { damage } = result;
+    log.debug('Projectile hit', { projectileId, sourceId, targetId, damage });
+
+    server.broadcastCombatResult(ws, targetId, result, sourceId);
+
+    return {
+      type: 'projectileHit',
+      projectileId,
+      sourceId,
+      targetId,
+      position: position || { x: 0, y: 0, z: 0 },
+      damage
+    };
+  }
+};
@@ -0,0 +1,51 @@
+const schemas = require('../schemas');
+const { createLogger } = require('../../utils/Logger');
+
+const log = createLogger('handlers/combat');
+
+/**
+ * Skill hitting a target - a claim the CombatManager checks before any damage is done
+ */
+module.exports = {
+  type: 'skillHit',
+  requiresAuth: true,
+  senderField: 'sourceId',
+  broadcast: 'nearbyAll',
+  schema: {
+    type: 'object',
+    required: ['sourceId', 'targetId', 'skillId'],
+    properties: {
+      sourceId: schemas.id,
+      targetId: schemas.id,
+      skillId: schemas.id,
+      skillType: { type: 'string', maxLength: 32 },
+      position: schemas.vector3
+    }
+  },
+
+  handle({ server, ws, message }) {
+    const { sourceId, targetId, skillId, skillType, position } = message;
+
+    const result = server.combatManager.resolveProjectileHit(skillId, sourceId, targetId);
+    if (!result.success) {
+      server.rejectCombatAction(ws, 'skillHit', result.reason, { skillId, targetId });
+      return;
+    }
+
+    const { damage } = result;
+    log.debug('Skill hit', { skillId, sourceId, targetId, damage });
+
+    server.broadcastCombatResult(ws, targetId, result, sourceId);
+
+    return {
+      type: 'skillHit',
+      skillId,
+      skillType: skillType || 'skill',
+      sourceId,
+      targetId,
+      position: position || { x: 0, y: 0, z: 0 },
+      damage,
+      timestamp: Date.now() // Add timestamp to ensure message uniqueness
+    };
+  }
+};
@@ -0,0 +1,76 @@
+const schemas = require('../schemas');
+const { createLogger } = require('../../utils/Logger');
+
+const log = createLogger('handlers/combat');
+
+/**
+ * Skill cast by a player
+ * Recorded by the CombatManager so later hits can be checked against it
+ */
+module.exports = {
+  type: 'skillUsed',
+  requiresAuth: true,
+  senderField: 'sourceId',
+  broadcast: 'nearbyAll',
+  schema: {
+    type: 'object',
+    required: ['sourceId', 'position', 'direction', 'skillType'],
+    properties: {
+      id: schemas.id,
+      skillId: schemas.id,
+      sourceId: schemas.id,
+      targetId: schemas.id,
+      skillType: { type: 'string', minLength: 1, maxLength: 32 },
+      position: schemas.vector3,
+      direction: schemas.vector3,
+      damage: schemas.damage,
+      speed: { type: 'number', minimum: 0, maximum: 100 },
+      range: { type: 'number', minimum: 0, maximum: 1000 },
+      radius: { type: 'number', minimum: 0, maximum: 1000 },
+      duration: { type: 'number', minimum: 0, maximum: 60000 },
+      comboLevel: { type: 'integer', minimum: 1, maximum: 10 },
+      timestamp: schemas.timestamp
+    }
+  },
+
+  handle({ server, ws, message }) {
+    // Skill-specific fields have already been narrowed down to the schema
+    const { type, sourceId, skillType, position, direction, timestamp, ...additionalData } = message;
+
+    log.debug('Skill used', { sourceId, skillType, position });
+
+    // Skills are tracked like projectiles - with a radius they hit everyone in the area
+    const skillId = additionalData.skillId || additionalData.id;
+    if (skillId) {
+      const result = server.combatManager.spawnProjectile(skillId, sourceId, server.roomManager.getClientRoom(ws), {
+        position,
+        direction,
+        damage: additionalData.damage,
+        speed: additionalData.speed,
+        range: additionalData.range,
+        radius: additionalData.radius,
+        lifetime: additionalData.duration,
+        area: !!additionalData.radius,
+        skillType
+      });
+
+      if (!result.success) {
+        server.rejectCombatAction(ws, 'skillUsed', result.reason, { skillId });
+        return;
+      }
+
+      // Everyone sees the damage the server recorded, not the client's
+      additionalData.damage = result.projectile.damage;
+    }
+
+    return {
+      type,
+      skillType,
+      sourceId,
+      position,
+      direction,
+      timestamp: timestamp || Date.now(),
+      ...additionalData
+    };
+  }
+};
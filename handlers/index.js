@@ -0,0 +1,78 @@
+/**
+ * All inbound message handlers
+ * To support a new message type, add a module to the matching folder and list it here
+ */
+module.exports = [
+  // Connection / session
+  require('./system/identity'),
+  require('./system/ping'),
+  require('./system/logout'),
+
+  // Rooms
+  require('./rooms/joinRoom'),
+  require('./rooms/leaveRoom'),
+  require('./rooms/listRooms'),
+
+  // Users and stats
+  require('./users/getUsers'),
+  require('./users/updateName'),
+  require('./users/getUserStats'),
+  require('./users/recordAction'),
+  require('./users/updateUserLocation'),
+  require('./users/updatePlayerStat'),
+
+  // Player state
+  require('./player/worldUpdate'),
+  require('./player/snapshotAck'),
+  require('./player/playerSittingState'),
+  require('./player/playerStunnedState'),
+  require('./player/playerSafeMode'),
+  require('./player/playerPushStatus'),
+  require('./player/playerCartStatus'),
+  require('./player/playerCartColors'),
+  require('./player/playerFlightState'),
+  require('./player/playerAnimation'),
+  require('./player/playerWeaponVisibility'),
+
+  // Combat
+  require('./combat/projectile'),
+  require('./combat/projectileHit'),
+  require('./combat/damage'),
+  require('./combat/meleeAttack'),
+  require('./combat/skillUsed'),
+  require('./combat/skillHit'),
+  require('./combat/healthUpdate'),
+
+  // Chat
+  require('./chat/chatMessage'),
+  require('./chat/chatWhisper'),
+  require('./chat/chatEdit'),
+  require('./chat/chatDelete'),
+  require('./chat/chatReact'),
+  require('./chat/chatUnreact'),
+  require('./chat/chatTyping'),
+  require('./chat/chatRead'),
+  require('./chat/chatJoin'),
+  require('./chat/chatLeave'),
+  require('./chat/chatPartyInvite'),
+  require('./chat/chatMute'),
+  require('./chat/chatUnmute'),
+  require('./chat/getChatHistory'),
+  require('./chat/getChatUnread'),
+  require('./chat/gameChat'),
+
+  // Voice
+  require('./voice/voiceJoin'),
+  require('./voice/voiceLeave'),
+  require('./voice/voiceChannelCreate'),
+  require('./voice/voiceChannelList'),
+  require('./voice/voiceActivity'),
+  require('./voice/voiceDeviceUpdate'),
+  require('./voice/voiceMute'),
+  require('./voice/voiceModerate'),
+  require('./voice/voiceSetModerator'),
+  require('./voice/voiceOffer'),
+  require('./voice/voiceAnswer'),
+  require('./voice/voiceIceCandidate'),
+  require('./voice/getVoiceParticipants')
+];
@@ -0,0 +1,33 @@
+const schemas = require('../schemas');
+const { createLogger } = require('../../utils/Logger');
+
+const log = createLogger('handlers/player');
+
+/**
+ * Player animation state change
+ * Not relayed directly - the latest animation goes out in the next world snapshot
+ */
+module.exports = {
+  type: 'playerAnimation',
+  requiresAuth: true,
+  senderField: 'userId',
+  broadcast: 'none',
+  schema: {
+    type: 'object',
+    required: ['userId', 'animationState'],
+    properties: {
+      userId: schemas.id,
+      animationState: { type: 'string', minLength: 1, maxLength: 64 },
+      timestamp: schemas.timestamp,
+      startTime: { type: 'number', minimum: 0 }
+    }
+  },
+
+  handle({ server, message }) {
+    const { userId, animationState, timestamp, startTime } = message;
+
+    log.debug('Animation update', { userId, animationState, startTime });
+
+    server.snapshotManager.updateAnimation(userId, animationState, timestamp || Date.now(), startTime);
+  }
+};
@@ -0,0 +1,43 @@
+const schemas = require('../schemas');
+const { createLogger } = require('../../utils/Logger');
+
+const log = createLogger('handlers/player');
+
+/**
+ * Cart colour customisation
+ */
+module.exports = {
+  type: 'playerCartColors',
+  requiresAuth: true,
+  senderField: 'userId',
+  broadcast: 'others',
+  schema: {
+    type: 'object',
+    required: ['userId', 'primaryColor', 'secondaryColor'],
+    properties: {
+      userId: schemas.id,
+      primaryColor: schemas.color,
+      secondaryColor: schemas.color
+    }
+  },
+
+  handle({ server, message }) {
+    const { userId, primaryColor, secondaryColor } = message;
+
+    log.debug('Cart colors update', { userId, primaryColor, secondaryColor });
+
+    // Store the colors in user stats
+    const userStats = server.userManager.getUserStats(userId);
+    if (userStats) {
+      userStats.cartPrimaryColor = primaryColor;
+      userStats.cartSecondaryColor = secondaryColor;
+    }
+
+    return {
+      type: 'playerCartColors',
+      userId,
+      primaryColor,
+      secondaryColor
+    };
+  }
+};
@@ -0,0 +1,41 @@
+const schemas = require('../schemas');
+const { createLogger } = require('../../utils/Logger');
+
+const log = createLogger('handlers/player');
+
+/**
+ * Drive cart (mount) state (MountManager on the client)
+ */
+module.exports = {
+  type: 'playerCartStatus',
+  requiresAuth: true,
+  senderField: 'userId',
+  broadcast: 'others',
+  schema: {
+    type: 'object',
+    required: ['userId', 'isCartVisible', 'isDriving'],
+    properties: {
+      userId: schemas.id,
+      isCartVisible: { type: 'boolean' },
+      isDriving: { type: 'boolean' },
+      heightOffset: { type: 'number', minimum: -10, maximum: 10 }
+    }
+  },
+
+  handle({ server, message }) {
+    const { userId, isCartVisible, isDriving, heightOffset } = message;
+
+    log.debug('Cart state update', { userId, isDriving, isCartVisible });
+
+    // Update the player's driving state in UserManager
+    server.userManager.updateUserDrivingState(userId, isDriving, isCartVisible, heightOffset);
+
+    return {
+      type: 'playerCartStatus',
+      userId,
+      isCartVisible,
+      isDriving,
+      heightOffset
+    };
+  }
+};
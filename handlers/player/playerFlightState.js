@@ -0,0 +1,34 @@
+const schemas = require('../schemas');
+const { createLogger } = require('../../utils/Logger');
+
+const log = createLogger('handlers/player');
+
+/**
+ * Player taking off / landing
+ */
+module.exports = {
+  type: 'playerFlightState',
+  requiresAuth: true,
+  senderField: 'userId',
+  broadcast: 'others',
+  schema: {
+    type: 'object',
+    required: ['userId', 'isFlying'],
+    properties: {
+      userId: schemas.id,
+      isFlying: { type: 'boolean' }
+    }
+  },
+
+  handle({ message }) {
+    const { userId, isFlying } = message;
+
+    log.debug('Flight state update', { userId, isFlying });
+
+    return {
+      type: 'playerFlightState',
+      userId,
+      isFlying
+    };
+  }
+};
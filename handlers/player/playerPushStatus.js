@@ -0,0 +1,41 @@
+const schemas = require('../schemas');
+const { createLogger } = require('../../utils/Logger');
+
+const log = createLogger('handlers/player');
+
+/**
+ * Push cart state (PushManager on the client)
+ */
+module.exports = {
+  type: 'playerPushStatus',
+  requiresAuth: true,
+  senderField: 'userId',
+  broadcast: 'others',
+  schema: {
+    type: 'object',
+    required: ['userId', 'isCartVisible', 'isPushing'],
+    properties: {
+      userId: schemas.id,
+      isCartVisible: { type: 'boolean' },
+      isPushing: { type: 'boolean' },
+      isMoving: { type: 'boolean' }
+    }
+  },
+
+  handle({ server, message }) {
+    const { userId, isCartVisible, isPushing, isMoving } = message;
+
+    log.debug('Push state update', { userId, isPushing, isCartVisible, isMoving: isMoving || false });
+
+    // Update the player's pushing state in UserManager
+    server.userManager.updateUserPushingState(userId, isPushing, isCartVisible, isMoving);
+
+    return {
+      type: 'playerPushStatus',
+      userId,
+      isCartVisible,
+      isPushing,
+      isMoving: isMoving || false // Include movement state
+    };
+  }
+};
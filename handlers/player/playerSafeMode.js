@@ -0,0 +1,37 @@
+const schemas = require('../schemas');
+const { createLogger } = require('../../utils/Logger');
+
+const log = createLogger('handlers/player');
+
+/**
+ * Player entering / leaving safe mode
+ */
+module.exports = {
+  type: 'playerSafeMode',
+  requiresAuth: true,
+  senderField: 'userId',
+  broadcast: 'others',
+  schema: {
+    type: 'object',
+    required: ['userId', 'isSafeMode'],
+    properties: {
+      userId: schemas.id,
+      isSafeMode: { type: 'boolean' }
+    }
+  },
+
+  handle({ server, message }) {
+    const { userId, isSafeMode } = message;
+
+    log.debug('Safe mode update', { userId, isSafeMode });
+
+    // Update the player's safe mode in UserManager
+    server.userManager.updateUserSafeMode(userId, isSafeMode);
+
+    return {
+      type: 'playerSafeMode',
+      userId,
+      isSafeMode
+    };
+  }
+};
@@ -0,0 +1,39 @@
+const schemas = require('../schemas');
+const { createLogger } = require('../../utils/Logger');
+
+const log = createLogger('handlers/player');
+
+/**
+ * Player sitting down on / standing up from a bench
+ */
+module.exports = {
+  type: 'playerSittingState',
+  requiresAuth: true,
+  senderField: 'userId',
+  broadcast: 'others',
+  schema: {
+    type: 'object',
+    required: ['userId', 'isSitting'],
+    properties: {
+      userId: schemas.id,
+      isSitting: { type: 'boolean' },
+      benchId: schemas.id
+    }
+  },
+
+  handle({ server, message }) {
+    const { userId, isSitting, benchId } = message;
+
+    log.debug('Sitting state update', { userId, isSitting, benchId });
+
+    // Update the player's sitting state in UserManager
+    server.userManager.updateUserSittingState(userId, isSitting, benchId);
+
+    return {
+      type: 'playerSittingState',
+      userId,
+      isSitting,
+      benchId
+    };
+  }
+};
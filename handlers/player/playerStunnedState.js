@@ -0,0 +1,39 @@
+const schemas = require('../schemas');
+const { createLogger } = require('../../utils/Logger');
+
+const log = createLogger('handlers/player');
+
+/**
+ * Player stunned / recovered
+ */
+module.exports = {
+  type: 'playerStunnedState',
+  requiresAuth: true,
+  senderField: 'userId',
+  broadcast: 'others',
+  schema: {
+    type: 'object',
+    required: ['userId', 'isStunned'],
+    properties: {
+      userId: schemas.id,
+      isStunned: { type: 'boolean' },
+      duration: { type: 'number', minimum: 0, maximum: 60000 }
+    }
+  },
+
+  handle({ server, message }) {
+    const { userId, isStunned, duration } = message;
+
+    log.debug('Stunned state update', { userId, isStunned, duration });
+
+    // Update the player's stunned state in UserManager
+    server.userManager.updateUserStunnedState(userId, isStunned, duration);
+
+    return {
+      type: 'playerStunnedState',
+      userId,
+      isStunned,
+      duration
+    };
+  }
+};
@@ -0,0 +1,32 @@
+const schemas = require('../schemas');
+
+/**
+ * Player drawing / holstering their weapon
+ */
+module.exports = {
+  type: 'playerWeaponVisibility',
+  requiresAuth: true,
+  senderField: 'userId',
+  broadcast: 'others',
+  rateLimit: { limit: 2, window: 1000 }, // 2 per second
+  schema: {
+    type: 'object',
+    required: ['userId', 'isVisible'],
+    properties: {
+      userId: schemas.id,
+      isVisible: { type: 'boolean' },
+      weaponType: { type: 'string', maxLength: 64 }
+    }
+  },
+
+  handle({ message }) {
+    const { userId, isVisible, weaponType } = message;
+
+    return {
+      type: 'playerWeaponVisibility',
+      userId,
+      isVisible,
+      weaponType
+    };
+  }
+};
@@ -0,0 +1,19 @@
+/**
+ * Acknowledge a received world snapshot so later ones are sent as deltas against it
+ */
+module.exports = {
+  type: 'snapshotAck',
+  requiresAuth: true,
+  broadcast: 'none',
+  schema: {
+    type: 'object',
+    required: ['seq'],
+    properties: {
+      seq: { type: 'integer', minimum: 1 }
+    }
+  },
+
+  handle({ server, ws, message }) {
+    server.snapshotManager.acknowledge(ws, message.seq);
+  }
+};
@@ -0,0 +1,36 @@
+const schemas = require('../schemas');
+const { createLogger } = require('../../utils/Logger');
+
+// Sent many times a second, so only a sample is logged
+const log = createLogger('handlers/player').sampled();
+
+/**
+ * Player position and rotation update
+ * Not relayed directly - the latest transform goes out in the next world snapshot
+ */
+module.exports = {
+  type: 'worldUpdate',
+  requiresAuth: true,
+  senderField: 'userId',
+  broadcast: 'none',
+  hotPath: true,
+  schema: {
+    type: 'object',
+    required: ['userId', 'position', 'rotation'],
+    properties: {
+      userId: schemas.id,
+      position: schemas.vector3,
+      rotation: schemas.rotation
+    }
+  },
+
+  handle({ server, ws, message }) {
+    const { userId, position, rotation } = message;
+
+    // Track the position for area of interest and the next snapshot
+    server.updatePlayerPosition(ws, userId, position, rotation);
+    server.snapshotManager.updateTransform(userId, position, rotation);
+
+    log.debug('World update', { userId, position, rotation });
+  }
+};
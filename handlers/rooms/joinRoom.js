@@ -0,0 +1,41 @@
+const schemas = require('../schemas');
+const { createLogger } = require('../../utils/Logger');
+
+const log = createLogger('handlers/rooms');
+
+/**
+ * Move the sender's connection into a room
+ */
+module.exports = {
+  type: 'joinRoom',
+  requiresAuth: true,
+  broadcast: 'sender',
+  schema: {
+    type: 'object',
+    required: ['roomId'],
+    properties: {
+      roomId: schemas.roomId
+    }
+  },
+
+  handle({ server, ws, clientId, message }) {
+    const { roomId } = message;
+    const result = server.moveClientToRoom(ws, roomId);
+
+    if (!result.success) {
+      log.warn('Could not join room', { clientId, roomId, error: result.error });
+      server.sendErrorMessage(ws, `Could not join room ${roomId}`, { code: result.error, messageType: 'joinRoom', roomId });
+      return null;
+    }
+
+    const room = server.roomManager.rooms.get(roomId);
+
+    return {
+      type: 'roomJoined',
+      roomId,
+      previousRoomId: result.previousRoomId,
+      players: server.getRoomUserIds(roomId),
+      capacity: room.capacity
+    };
+  }
+};
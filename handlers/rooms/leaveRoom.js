@@ -0,0 +1,25 @@
+/**
+ * Leave the current room and go back to the default room
+ */
+module.exports = {
+  type: 'leaveRoom',
+  requiresAuth: true,
+  broadcast: 'sender',
+  schema: {
+    type: 'object',
+    properties: {}
+  },
+
+  handle({ server, ws }) {
+    const { defaultRoom } = server.roomManager;
+    const result = server.moveClientToRoom(ws, defaultRoom);
+
+    return {
+      type: 'roomJoined',
+      roomId: defaultRoom,
+      previousRoomId: result.previousRoomId,
+      players: server.getRoomUserIds(defaultRoom),
+      capacity: server.roomManager.rooms.get(defaultRoom).capacity
+    };
+  }
+};
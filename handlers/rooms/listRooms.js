@@ -0,0 +1,20 @@
+/**
+ * Request for the list of rooms and how full they are
+ */
+module.exports = {
+  type: 'listRooms',
+  requiresAuth: false,
+  broadcast: 'sender',
+  schema: {
+    type: 'object',
+    properties: {}
+  },
+
+  handle({ server, ws }) {
+    return {
+      type: 'roomList',
+      currentRoomId: server.roomManager.getClientRoom(ws),
+      rooms: server.roomManager.listRooms()
+    };
+  }
+};
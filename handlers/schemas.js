@@ -0,0 +1,79 @@
+/**
+ * Schema fragments shared by several message handlers
+ */
+
+// Furthest a coordinate can sensibly be from the world origin
+const WORLD_LIMIT = 100000;
+
+const coordinate = { type: 'number', minimum: -WORLD_LIMIT, maximum: WORLD_LIMIT };
+
+const id = { type: 'string', minLength: 1, maxLength: 64 };
+
+const userName = { type: 'string', minLength: 1, maxLength: 32 };
+
+const vector3 = {
+  type: 'object',
+  required: ['x', 'y', 'z'],
+  properties: {
+    x: coordinate,
+    y: coordinate,
+    z: coordinate
+  }
+};
+
+// Only the yaw (y) is required - clients may omit pitch and roll
+const rotation = {
+  type: 'object',
+  required: ['y'],
+  properties: {
+    x: coordinate,
+    y: coordinate,
+    z: coordinate
+  }
+};
+
+const color = { type: 'string', pattern: /^#([0-9a-fA-F]{3}){1,2}$/ };
+
+const timestamp = { type: 'number', minimum: 0 };
+
+const damage = { type: 'number', minimum: 0, maximum: 10000 };
+
+const roomId = { type: 'string', pattern: /^[a-zA-Z0-9_-]{1,32}$/ };
+
+const voiceChannel = { type: 'string', pattern: /^[a-zA-Z0-9_-]{1,32}$/ };
+
+// 'global', 'room', 'party:<id>' or 'guild:<name>'
+const chatChannel = { type: 'string', pattern: /^(global|room|(party|guild):[a-zA-Z0-9_-]{1,32})$/ };
+
+// Hard ceiling on chat text - the configured limits are enforced by moderation
+const chatText = { type: 'string', minLength: 1, maxLength: 2000 };
+
+// A single emoji: a pictograph, optionally with skin tone modifiers, variation
+// selectors and zero-width-joined pictographs (e.g. family and profession sequences)
+const emoji = {
+  type: 'string',
+  minLength: 1,
+  maxLength: 32,
+  pattern: /^\p{Extended_Pictographic}(\u200d\p{Extended_Pictographic}|\p{Emoji_Modifier}|\uFE0F)*$/u
+};
+
+// WebRTC session description body
+const sdp = { type: 'string', minLength: 1, maxLength: 100000 };
+
+module.exports = {
+  WORLD_LIMIT,
+  coordinate,
+  id,
+  userName,
+  vector3,
+  rotation,
+  color,
+  timestamp,
+  damage,
+  roomId,
+  voiceChannel,
+  chatChannel,
+  chatText,
+  emoji,
+  sdp
+};
@@ -0,0 +1,23 @@
+const schemas = require('../schemas');
+
+/**
+ * Identity handshake - links a connection to a browser fingerprint and user
+ */
+module.exports = {
+  type: 'identity',
+  requiresAuth: false,
+  broadcast: 'none',
+  schema: {
+    type: 'object',
+    required: ['browserFingerprint'],
+    properties: {
+      browserFingerprint: { type: 'string', minLength: 1, maxLength: 256 },
+      sessionToken: { type: 'string', maxLength: 512 },
+      userName: schemas.userName
+    }
+  },
+
+  handle({ server, ws, clientId, message }) {
+    return server.handleIdentity(ws, message, clientId);
+  }
+};
@@ -0,0 +1,34 @@
+/**
+ * Revoke the sender's session token so it can no longer resume this user
+ */
+module.exports = {
+  type: 'logout',
+  requiresAuth: true,
+  broadcast: 'sender',
+  schema: {
+    type: 'object',
+    required: ['sessionToken'],
+    properties: {
+      sessionToken: { type: 'string', maxLength: 512 },
+      allSessions: { type: 'boolean' }
+    }
+  },
+
+  handle({ server, userId, message }) {
+    const { sessionManager } = server;
+    const session = sessionManager.verifyToken(message.sessionToken);
+
+    // Only the token's owner may revoke it
+    if (!session || session.uid !== userId) {
+      return { type: 'loggedOut', success: false };
+    }
+
+    if (message.allSessions) {
+      sessionManager.revokeUserSessions(userId);
+    } else {
+      sessionManager.revokeToken(message.sessionToken);
+    }
+
+    return { type: 'loggedOut', success: true, allSessions: !!message.allSessions };
+  }
+};
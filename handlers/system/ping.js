@@ -0,0 +1,20 @@
+const schemas = require('../schemas');
+
+/**
+ * Keepalive ping - answered with a pong to the sender only
+ */
+module.exports = {
+  type: 'ping',
+  requiresAuth: false,
+  broadcast: 'sender',
+  schema: {
+    type: 'object',
+    properties: {
+      timestamp: schemas.timestamp
+    }
+  },
+
+  handle() {
+    return { type: 'pong', timestamp: Date.now() };
+  }
+};
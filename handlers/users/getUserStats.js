@@ -0,0 +1,22 @@
+const schemas = require('../schemas');
+
+/**
+ * Request for a single user's stats
+ */
+module.exports = {
+  type: 'getUserStats',
+  requiresAuth: false,
+  broadcast: 'none',
+  schema: {
+    type: 'object',
+    required: ['userId'],
+    properties: {
+      userId: schemas.id
+    }
+  },
+
+  handle({ server, ws, message }) {
+    // Send the requested user's stats back to the client
+    server.userManager.sendUserStats(ws, message.userId);
+  }
+};
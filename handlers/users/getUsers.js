@@ -0,0 +1,17 @@
+/**
+ * Request for the user list
+ */
+module.exports = {
+  type: 'getUsers',
+  requiresAuth: false,
+  broadcast: 'none',
+  schema: {
+    type: 'object',
+    properties: {}
+  },
+
+  handle({ server, ws }) {
+    // Broadcast to the whole room instead of just responding to this one
+    server.broadcastRoomUserList(server.roomManager.getClientRoom(ws));
+  }
+};
@@ -0,0 +1,46 @@
+const schemas = require('../schemas');
+const { createLogger } = require('../../utils/Logger');
+
+const log = createLogger('handlers/users');
+
+/**
+ * Record a stat-bearing action (meteor sent, object shot, delivery made...)
+ */
+module.exports = {
+  type: 'recordAction',
+  requiresAuth: true,
+  senderField: 'userId',
+  broadcast: 'none',
+  schema: {
+    type: 'object',
+    required: ['action'],
+    properties: {
+      action: { type: 'string', enum: ['meteorSent', 'objectShot', 'projectileFired', 'projectileHit', 'deliveryMade'] },
+      userId: schemas.id
+    }
+  },
+
+  handle({ server, ws, message }) {
+    const { userId } = message;
+
+    // Update the user's stats
+    const updatedStats = server.userManager.updateUserStats(userId, message.action);
+
+    // Send updated stats back to the client
+    ws.send(JSON.stringify({
+      type: 'userStats',
+      userId: userId,
+      stats: updatedStats
+    }));
+
+    // Since stats have changed, broadcast updated user list
+    server.broadcastUserListsForUser(userId);
+
+    if (message.action === 'deliveryMade') {
+      const user = server.userManager.getUserById(userId);
+      server.announceGameEvent(server.roomManager.getClientRoom(ws), 'deliveryMade', { userId, userName: user ? user.name : 'Unknown Player' });
+    }
+
+    log.debug('Action recorded', { userId, action: message.action });
+  }
+};
@@ -0,0 +1,27 @@
+const schemas = require('../schemas');
+
+/**
+ * Rename a user
+ */
+module.exports = {
+  type: 'updateName',
+  requiresAuth: true,
+  senderField: 'userId',
+  broadcast: 'none',
+  schema: {
+    type: 'object',
+    required: ['userId', 'userName'],
+    properties: {
+      userId: schemas.id,
+      userName: schemas.userName
+    }
+  },
+
+  handle({ server, message }) {
+    const success = server.userManager.updateUserName(message.userId, message.userName);
+    if (success) {
+      // Broadcast updated user list to every room the user is in
+      server.broadcastUserListsForUser(message.userId);
+    }
+  }
+};
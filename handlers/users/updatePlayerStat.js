@@ -0,0 +1,72 @@
+const schemas = require('../schemas');
+const { validate, ValidationError } = require('../../utils/SchemaValidator');
+const { createLogger } = require('../../utils/Logger');
+
+const log = createLogger('handlers/users');
+
+// Value schema for each stat a client may update
+// Health is not here - it is owned by the CombatManager
+const STAT_SCHEMAS = {
+  // Level should be a whole number between 1 and 100
+  level: { type: 'integer', minimum: 1, maximum: 100 },
+
+  // Attack and ability should be numbers between 0 and 100
+  attack: { type: 'number', minimum: 0, maximum: 100 },
+  ability: { type: 'number', minimum: 0, maximum: 100 },
+
+  // Weapon, emblem should be short strings
+  weapon: { type: 'string', minLength: 1, maxLength: 64 },
+  emblem: { type: 'string', minLength: 1, maxLength: 64 },
+
+  // Time played should be a string in the format "0d 0h"
+  timePlayed: { type: 'string', pattern: /^\d+d \d+h$/ },
+
+  // Animation state can be any string but with reasonable length
+  animationState: { type: 'string', minLength: 1, maxLength: 64 },
+
+  // Deliveries made should be a non-negative whole number
+  deliveriesMade: { type: 'integer', minimum: 0 }
+};
+
+/**
+ * Game stat change for a player (level, weapon, emblem...)
+ */
+module.exports = {
+  type: 'updatePlayerStat',
+  requiresAuth: true,
+  senderField: 'userId',
+  broadcast: 'others',
+  rateLimit: { limit: 5, window: 1000 }, // 5 per second
+  schema: {
+    type: 'object',
+    required: ['userId', 'stat', 'value'],
+    properties: {
+      userId: schemas.id,
+      stat: { type: 'string', enum: Object.keys(STAT_SCHEMAS) },
+      value: {}
+    }
+  },
+
+  handle({ server, message }) {
+    const { userId, stat } = message;
+
+    // The value's shape depends on which stat is being updated
+    const result = validate(STAT_SCHEMAS[stat], message.value, 'value');
+    if (!result.valid) {
+      throw new ValidationError(result.field, result.reason);
+    }
+    const value = result.value;
+
+    log.debug('Player stat updated', { userId, stat, value });
+
+    // Update the user's stats in the UserManager
+    server.userManager.updatePlayerGameStat(userId, stat, value);
+
+    return {
+      type: 'updatePlayerStat',
+      userId,
+      stat,
+      value
+    };
+  }
+};
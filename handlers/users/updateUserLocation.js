@@ -0,0 +1,60 @@
+const schemas = require('../schemas');
+const { createLogger } = require('../../utils/Logger');
+
+const log = createLogger('handlers/users');
+
+/**
+ * Client-detected location for a user
+ */
+module.exports = {
+  type: 'updateUserLocation',
+  requiresAuth: true,
+  senderField: 'userId',
+  broadcast: 'none',
+  schema: {
+    type: 'object',
+    required: ['userId', 'location'],
+    properties: {
+      userId: schemas.id,
+      location: { type: 'string', minLength: 1, maxLength: 100 }
+    }
+  },
+
+  handle({ server, message }) {
+    const { userManager } = server;
+    const { userId, location } = message;
+
+    // Look up the user
+    const user = userManager.getUserById(userId);
+
+    if (!user) {
+      log.warn('Location update for unknown user', { userId });
+      return;
+    }
+
+    log.debug('Updating user location', { userId, from: user.location || null, to: location });
+
+    // Update in browser to user mapping
+    for (const [fp, userData] of userManager.browserToUser.entries()) {
+      if (userData.userId === userId) {
+        userData.location = location;
+        break;
+      }
+    }
+
+    // Update in users map
+    if (userManager.users.has(userId)) {
+      const userData = userManager.users.get(userId);
+      userData.location = location;
+    }
+
+    // Update in user stats
+    const stats = userManager.getUserStats(userId);
+    if (stats) {
+      stats.location = location;
+    }
+
+    // Broadcast updated user list to every room the user is in
+    server.broadcastUserListsForUser(userId);
+  }
+};
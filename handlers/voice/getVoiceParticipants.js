@@ -0,0 +1,28 @@
+/**
+ * Request for the participants of the sender's voice channel
+ */
+module.exports = {
+  type: 'getVoiceParticipants',
+  requiresAuth: false,
+  broadcast: 'none',
+  schema: {
+    type: 'object',
+    properties: {}
+  },
+
+  handle({ server, ws, userId }) {
+    const channel = userId ? server.voiceManager.getUserChannel(userId) : null;
+    if (channel) {
+      server.voiceManager.broadcastParticipantsList([ws], channel);
+      return;
+    }
+
+    // Not in a channel yet - send the room's channels to pick from instead
+    const roomId = server.roomManager.getClientRoom(ws);
+    server.sendToClient(ws, {
+      type: 'voiceChannels',
+      roomId,
+      channels: server.voiceManager.listChannels(roomId)
+    });
+  }
+};
@@ -0,0 +1,58 @@
+const schemas = require('../schemas');
+const { createLogger } = require('../../utils/Logger');
+
+// Sent many times a second, so only a sample is logged
+const log = createLogger('handlers/voice').sampled();
+
+/**
+ * Voice activity (talking) update
+ */
+module.exports = {
+  type: 'voiceActivity',
+  requiresAuth: true,
+  senderField: 'userId',
+  broadcast: 'none',
+  hotPath: true,
+  schema: {
+    type: 'object',
+    required: ['userId', 'isTalking'],
+    properties: {
+      userId: schemas.id,
+      isTalking: { type: 'boolean' }
+    }
+  },
+
+  handle({ server, ws, message }) {
+    const { userId, isTalking } = message;
+
+    // Only process if user is in a voice channel
+    const channel = server.voiceManager.getUserChannel(userId);
+    if (!channel) {
+      return;
+    }
+
+    // Listen-only users (including those without a mic) don't transmit
+    if (server.voiceManager.isListenOnly(userId)) {
+      server.sendErrorMessage(ws, 'Listen-only participants cannot send voice activity', { code: 'listenOnly' });
+      return;
+    }
+
+    // Nor do participants a moderator has muted
+    if (server.voiceManager.isForceMuted(userId)) {
+      server.sendErrorMessage(ws, 'You have been muted by a moderator', { code: 'forceMuted' });
+      return;
+    }
+
+    // Update talking state
+    server.voiceManager.updateTalkingState(userId, isTalking);
+
+    log.debug('Voice activity', { userId, isTalking });
+
+    // Only the rest of the channel needs to hear about it
+    server.broadcastToVoiceChannel(channel, {
+      type: 'voiceActivity',
+      userId,
+      isTalking
+    }, ws);
+  }
+};
@@ -0,0 +1,42 @@
+const schemas = require('../schemas');
+const { createLogger } = require('../../utils/Logger');
+
+const log = createLogger('handlers/voice');
+
+/**
+ * WebRTC answer to a pending voice offer
+ */
+module.exports = {
+  type: 'voiceAnswer',
+  requiresAuth: true,
+  senderField: 'userId',
+  broadcast: 'none',
+  schema: {
+    type: 'object',
+    required: ['userId', 'targetId', 'sdp'],
+    properties: {
+      userId: schemas.id,
+      targetId: schemas.id,
+      sdp: schemas.sdp
+    }
+  },
+
+  handle({ server, ws, message }) {
+    const { userId, targetId, sdp } = message;
+    const roomId = server.roomManager.getClientRoom(ws);
+
+    if (!server.hasConnectionInRoom(targetId, roomId)) {
+      server.rejectVoiceSignal(ws, 'voiceAnswer', 'notInRoom', { targetId });
+      return;
+    }
+
+    const result = server.voiceManager.recordAnswer(userId, targetId);
+    if (!result.accepted) {
+      server.rejectVoiceSignal(ws, 'voiceAnswer', result.reason, { targetId });
+      return;
+    }
+
+    log.debug('Relaying voice answer', { userId, targetId });
+    server.sendToUserInRoom(targetId, roomId, { type: 'voiceAnswer', userId, targetId, sdp });
+  }
+};
@@ -0,0 +1,33 @@
+const schemas = require('../schemas');
+const { CHANNEL_MODES } = require('../../managers/VoiceManager');
+
+/**
+ * Create a voice channel in the sender's room
+ */
+module.exports = {
+  type: 'voiceChannelCreate',
+  requiresAuth: true,
+  broadcast: 'none',
+  rateLimit: { limit: 2, window: 1000 }, // 2 per second
+  schema: {
+    type: 'object',
+    required: ['channel'],
+    properties: {
+      channel: schemas.voiceChannel,
+      mode: { type: 'string', enum: CHANNEL_MODES }
+    }
+  },
+
+  handle({ server, ws, userId, message }) {
+    const { channel: channelName, mode } = message;
+    const roomId = server.roomManager.getClientRoom(ws);
+
+    const result = server.voiceManager.createChannel(roomId, channelName, { mode, createdBy: userId });
+    if (!result.success) {
+      server.sendErrorMessage(ws, 'Could not create voice channel', { code: result.error, channel: channelName });
+      return;
+    }
+
+    server.broadcastRoomVoiceChannels(roomId);
+  }
+};
@@ -0,0 +1,22 @@
+/**
+ * Request for the voice channels in the sender's room
+ */
+module.exports = {
+  type: 'voiceChannelList',
+  requiresAuth: true,
+  broadcast: 'sender',
+  schema: {
+    type: 'object',
+    properties: {}
+  },
+
+  handle({ server, ws }) {
+    const roomId = server.roomManager.getClientRoom(ws);
+
+    return {
+      type: 'voiceChannels',
+      roomId,
+      channels: server.voiceManager.listChannels(roomId)
+    };
+  }
+};
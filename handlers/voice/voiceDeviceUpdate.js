@@ -0,0 +1,45 @@
+const schemas = require('../schemas');
+const { createLogger } = require('../../utils/Logger');
+
+const log = createLogger('handlers/voice');
+
+/**
+ * Device capability change mid-call (mic plugged in or out, listen-only, push-to-talk)
+ */
+module.exports = {
+  type: 'voiceDeviceUpdate',
+  requiresAuth: true,
+  senderField: 'userId',
+  broadcast: 'none',
+  rateLimit: { limit: 5, window: 1000 }, // 5 per second
+  schema: {
+    type: 'object',
+    required: ['userId'],
+    properties: {
+      userId: schemas.id,
+      hasMic: { type: 'boolean' },
+      listenOnly: { type: 'boolean' },
+      pushToTalk: { type: 'boolean' }
+    }
+  },
+
+  handle({ server, message }) {
+    const { userId, hasMic, listenOnly, pushToTalk } = message;
+
+    // Only process if user is in a voice channel
+    const channel = server.voiceManager.getUserChannel(userId);
+    if (!channel) {
+      return;
+    }
+
+    server.voiceManager.updateDeviceCapabilities(userId, {
+      noMic: hasMic === undefined ? undefined : !hasMic,
+      listenOnly,
+      pushToTalk
+    });
+
+    log.debug('Voice devices updated', { userId, state: server.voiceManager.getParticipantState(userId) });
+
+    server.broadcastVoiceChannelParticipants(channel);
+  }
+};
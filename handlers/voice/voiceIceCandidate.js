@@ -0,0 +1,50 @@
+const schemas = require('../schemas');
+
+/**
+ * WebRTC ICE candidate for an ongoing voice negotiation
+ */
+module.exports = {
+  type: 'voiceIceCandidate',
+  requiresAuth: true,
+  senderField: 'userId',
+  broadcast: 'none',
+  rateLimit: { limit: 50, window: 1000 }, // 50 per second
+  schema: {
+    type: 'object',
+    required: ['userId', 'targetId', 'candidate'],
+    properties: {
+      userId: schemas.id,
+      targetId: schemas.id,
+      candidate: {
+        type: 'object',
+        required: ['candidate'],
+        properties: {
+          // An empty candidate string marks the end of candidates
+          candidate: { type: 'string', maxLength: 1024 },
+          sdpMid: { type: 'string', maxLength: 64 },
+          sdpMLineIndex: { type: 'integer', minimum: 0, maximum: 64 },
+          usernameFragment: { type: 'string', maxLength: 256 }
+        }
+      }
+    }
+  },
+
+  handle({ server, ws, message }) {
+    const { userId, targetId, candidate } = message;
+    const roomId = server.roomManager.getClientRoom(ws);
+
+    if (!server.hasConnectionInRoom(targetId, roomId)) {
+      server.rejectVoiceSignal(ws, 'voiceIceCandidate', 'notInRoom', { targetId });
+      return;
+    }
+
+    const result = server.voiceManager.recordIceCandidate(userId, targetId);
+    if (!result.accepted) {
+      server.rejectVoiceSignal(ws, 'voiceIceCandidate', result.reason, { targetId });
+      return;
+    }
+
+    // Candidates are frequent, so they aren't logged
+    server.sendToUserInRoom(targetId, roomId, { type: 'voiceIceCandidate', userId, targetId, candidate });
+  }
+};
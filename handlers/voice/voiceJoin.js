@@ -0,0 +1,68 @@
+const schemas = require('../schemas');
+const { createLogger } = require('../../utils/Logger');
+
+const log = createLogger('handlers/voice');
+
+/**
+ * User joining a voice channel in their room (the room's default channel if none is given)
+ */
+module.exports = {
+  type: 'voiceJoin',
+  requiresAuth: true,
+  senderField: 'userId',
+  broadcast: 'none',
+  schema: {
+    type: 'object',
+    required: ['userId'],
+    properties: {
+      userId: schemas.id,
+      channel: schemas.voiceChannel,
+      // Device capabilities
+      hasMic: { type: 'boolean' },
+      listenOnly: { type: 'boolean' },
+      pushToTalk: { type: 'boolean' }
+    }
+  },
+
+  handle({ server, ws, message }) {
+    const { userId, channel: channelName, hasMic, listenOnly, pushToTalk } = message;
+
+    // Check if user exists
+    const user = server.userManager.getUserById(userId);
+    if (!user) {
+      log.warn('Voice join from unknown user', { userId });
+      return;
+    }
+
+    const roomId = server.roomManager.getClientRoom(ws);
+    const result = server.voiceManager.addParticipant(userId, roomId, channelName, {
+      noMic: hasMic === undefined ? undefined : !hasMic,
+      listenOnly,
+      pushToTalk
+    });
+
+    if (!result.success) {
+      server.sendErrorMessage(ws, 'Could not join voice channel', { code: result.error, channel: channelName });
+      return;
+    }
+
+    const { channel, previousChannel } = result;
+
+    if (previousChannel) {
+      server.announceVoiceLeave(userId, previousChannel);
+    }
+
+    // The joining client also gets the STUN/TURN servers to connect with
+    server.sendToClient(ws, {
+      type: 'voiceJoin',
+      userId,
+      channel: channel.name,
+      mode: channel.mode,
+      iceServers: server.voiceManager.getIceServers()
+    });
+
+    server.announceVoiceJoin(ws, userId, channel);
+
+    log.info('Voice join', { userId, channel: channel.name });
+  }
+};
@@ -0,0 +1,36 @@
+const schemas = require('../schemas');
+const { createLogger } = require('../../utils/Logger');
+
+const log = createLogger('handlers/voice');
+
+/**
+ * User leaving voice chat
+ */
+module.exports = {
+  type: 'voiceLeave',
+  requiresAuth: true,
+  senderField: 'userId',
+  broadcast: 'none',
+  schema: {
+    type: 'object',
+    required: ['userId'],
+    properties: {
+      userId: schemas.id
+    }
+  },
+
+  handle({ server, ws, message }) {
+    const { userId } = message;
+
+    // Remove user from their voice channel
+    const channel = server.voiceManager.removeParticipant(userId);
+
+    if (channel) {
+      // Confirm to the sender, then tell the rest of the channel
+      server.sendToClient(ws, { type: 'voiceLeave', userId, channel: channel.name });
+      server.announceVoiceLeave(userId, channel);
+    }
+
+    log.info('Voice leave', { userId });
+  }
+};
@@ -0,0 +1,62 @@
+const schemas = require('../schemas');
+const { MODERATION_ACTIONS } = require('../../managers/VoiceManager');
+
+/**
+ * Moderation action on a voice participant (force-mute, kick, ban)
+ * Acts on the sender's current channel unless another channel in the room is named
+ */
+module.exports = {
+  type: 'voiceModerate',
+  requiresAuth: true,
+  broadcast: 'none',
+  rateLimit: { limit: 5, window: 1000 }, // 5 per second
+  schema: {
+    type: 'object',
+    required: ['targetId', 'action'],
+    properties: {
+      targetId: schemas.id,
+      action: { type: 'string', enum: MODERATION_ACTIONS },
+      channel: schemas.voiceChannel,
+      // Ban length in milliseconds, up to a week
+      duration: { type: 'integer', minimum: 1000, maximum: 7 * 24 * 60 * 60 * 1000 }
+    }
+  },
+
+  handle({ server, ws, userId, message }) {
+    const { targetId, action, duration } = message;
+    const roomId = server.roomManager.getClientRoom(ws);
+
+    const channel = message.channel
+      ? server.voiceManager.getChannel(roomId, message.channel)
+      : server.voiceManager.getUserChannel(userId);
+
+    if (!channel) {
+      server.sendErrorMessage(ws, 'Voice moderation failed', { code: 'channelNotFound', action, targetId });
+      return;
+    }
+
+    const result = server.voiceManager.moderate(channel, userId, targetId, action, duration);
+    if (!result.success) {
+      server.sendErrorMessage(ws, 'Voice moderation failed', { code: result.error, action, targetId });
+      return;
+    }
+
+    const event = {
+      type: 'voiceModeration',
+      channel: channel.name,
+      action,
+      targetId,
+      actorId: userId,
+      until: result.until
+    };
+
+    // A removed target is no longer in the channel, so they're told directly
+    server.broadcastToVoiceChannel(channel, event);
+    if (result.removed) {
+      server.sendToUserInRoom(targetId, roomId, event);
+      server.announceVoiceLeave(targetId, channel);
+    } else {
+      server.broadcastVoiceChannelParticipants(channel);
+    }
+  }
+};
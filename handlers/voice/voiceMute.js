@@ -0,0 +1,47 @@
+const schemas = require('../schemas');
+const { createLogger } = require('../../utils/Logger');
+
+const log = createLogger('handlers/voice');
+
+/**
+ * User muting / unmuting their microphone
+ */
+module.exports = {
+  type: 'voiceMute',
+  requiresAuth: true,
+  senderField: 'userId',
+  broadcast: 'none',
+  schema: {
+    type: 'object',
+    required: ['userId', 'muted'],
+    properties: {
+      userId: schemas.id,
+      muted: { type: 'boolean' }
+    }
+  },
+
+  handle({ server, ws, message }) {
+    const { userId, muted } = message;
+
+    // Only process if user is in a voice channel
+    const channel = server.voiceManager.getUserChannel(userId);
+    if (!channel) {
+      return;
+    }
+
+    // Update muted state - a moderator's mute can't be undone here
+    if (!server.voiceManager.updateMutedState(userId, muted)) {
+      server.sendErrorMessage(ws, 'You have been muted by a moderator', { code: 'forceMuted' });
+      return;
+    }
+
+    log.debug('Microphone mute changed', { userId, muted });
+
+    // The whole channel, including the sender, gets the new state
+    server.broadcastToVoiceChannel(channel, {
+      type: 'voiceMute',
+      userId,
+      muted
+    });
+  }
+};
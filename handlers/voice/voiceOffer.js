@@ -0,0 +1,53 @@
+const schemas = require('../schemas');
+const { createLogger } = require('../../utils/Logger');
+
+const log = createLogger('handlers/voice');
+
+/**
+ * WebRTC offer from one voice participant to another
+ */
+module.exports = {
+  type: 'voiceOffer',
+  requiresAuth: true,
+  senderField: 'userId',
+  broadcast: 'none',
+  schema: {
+    type: 'object',
+    required: ['userId', 'targetId', 'sdp'],
+    properties: {
+      userId: schemas.id,
+      targetId: schemas.id,
+      sdp: schemas.sdp
+    }
+  },
+
+  handle({ server, ws, message }) {
+    const { userId, targetId, sdp } = message;
+    const roomId = server.roomManager.getClientRoom(ws);
+
+    if (!server.hasConnectionInRoom(targetId, roomId)) {
+      server.rejectVoiceSignal(ws, 'voiceOffer', 'notInRoom', { targetId });
+      return;
+    }
+
+    const result = server.voiceManager.recordOffer(userId, targetId);
+
+    if (!result.accepted && result.reason === 'glare') {
+      // Both sides offered at once and the peer won - roll back and answer theirs
+      server.sendToClient(ws, { type: 'voiceGlare', peerId: targetId, winnerId: result.winnerId });
+      return;
+    }
+
+    if (!result.accepted) {
+      server.rejectVoiceSignal(ws, 'voiceOffer', result.reason, { targetId });
+      return;
+    }
+
+    if (result.glareLoserId) {
+      server.sendToUserInRoom(result.glareLoserId, roomId, { type: 'voiceGlare', peerId: userId, winnerId: userId });
+    }
+
+    log.debug('Relaying voice offer', { userId, targetId });
+    server.sendToUserInRoom(targetId, roomId, { type: 'voiceOffer', userId, targetId, sdp });
+  }
+};
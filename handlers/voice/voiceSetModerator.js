@@ -0,0 +1,43 @@
+const schemas = require('../schemas');
+
+/**
+ * Channel owner appointing or dismissing a voice moderator
+ */
+module.exports = {
+  type: 'voiceSetModerator',
+  requiresAuth: true,
+  broadcast: 'none',
+  schema: {
+    type: 'object',
+    required: ['targetId', 'moderator'],
+    properties: {
+      targetId: schemas.id,
+      moderator: { type: 'boolean' }
+    }
+  },
+
+  handle({ server, ws, userId, message }) {
+    const { targetId, moderator } = message;
+    const channel = server.voiceManager.getUserChannel(userId);
+
+    if (!channel) {
+      server.sendErrorMessage(ws, 'Could not change voice moderator', { code: 'channelNotFound', targetId });
+      return;
+    }
+
+    const result = server.voiceManager.setModerator(channel, userId, targetId, moderator);
+    if (!result.success) {
+      server.sendErrorMessage(ws, 'Could not change voice moderator', { code: result.error, targetId });
+      return;
+    }
+
+    server.broadcastToVoiceChannel(channel, {
+      type: 'voiceModeration',
+      channel: channel.name,
+      action: moderator ? 'addModerator' : 'removeModerator',
+      targetId,
+      actorId: userId
+    });
+    server.broadcastVoiceChannelParticipants(channel);
+  }
+};
@@ -0,0 +1,254 @@
+const crypto = require('crypto');
+const net = require('net');
+const { createLogger } = require('../utils/Logger');
+const { truncateCloseReason } = require('../utils/CloseReason');
+
+const log = createLogger('BanManager');
+
+// What a ban or mute can target
+const TARGET_TYPES = ['ip', 'fingerprint', 'user'];
+
+// Bans stop a client connecting; mutes stop them chatting
+const ENTRY_KINDS = ['ban', 'mute'];
+
+// WebSocket close codes for each kind of ban, so clients can tell them apart
+const BAN_CLOSE_CODES = {
+  ip: 4003,
+  fingerprint: 4004,
+  user: 4005
+};
+
+/**
+ * Manager for the persistent ban and mute list
+ *
+ * Each entry targets an IP address or CIDR range, a browser fingerprint or a
+ * user ID, and records a reason, who issued it and when it expires (null for
+ * never). Bans are checked when the upgrade is verified, when the connection
+ * opens and again at identity time once the fingerprint and user are known.
+ *
+ * A banned user who identifies from a new browser gets that browser's
+ * fingerprint banned too, so clearing cookies doesn't get them back in.
+ */
+class BanManager {
+  constructor() {
+    // Entry ID -> { id, kind, type, value, reason, issuedBy, createdAt, expiresAt }
+    this.entries = new Map();
+
+    // Entry ID -> net.BlockList for IP entries
+    this.ipMatchers = new Map();
+  }
+
+  /**
+   * Strip the IPv4-mapped IPv6 prefix Node reports for IPv4 clients
+   */
+  normalizeIp(ip) {
+    if (typeof ip !== 'string') return ip;
+    return ip.startsWith('::ffff:') && net.isIPv4(ip.substring(7)) ? ip.substring(7) : ip;
+  }
+
+  /**
+   * Build a matcher for an IP address or CIDR range
+   * Returns null if the value isn't a valid address or range
+   */
+  createIpMatcher(value) {
+    const [address, prefixText] = this.normalizeIp(value).split('/');
+    const family = net.isIP(address);
+    if (!family) return null;
+
+    const maxPrefix = family === 4 ? 32 : 128;
+    const prefix = prefixText === undefined ? maxPrefix : Number(prefixText);
+    if (!Number.isInteger(prefix) || prefix < 0 || prefix > maxPrefix) return null;
+
+    const matcher = new net.BlockList();
+    matcher.addSubnet(address, prefix, family === 4 ? 'ipv4' : 'ipv6');
+    return matcher;
+  }
+
+  /**
+   * Check if an entry's IP address or range covers an IP
+   */
+  matchesIp(entry, ip) {
+    const matcher = this.ipMatchers.get(entry.id);
+    const address = this.normalizeIp(ip);
+    const family = net.isIP(address);
+
+    return !!matcher && !!family && matcher.check(address, family === 4 ? 'ipv4' : 'ipv6');
+  }
+
+  /**
+   * Add a ban or mute
+   * duration is in milliseconds, or null for one that never expires
+   * Returns { success, entry } or { success: false, error }
+   */
+  add({ kind = 'ban', type, value, reason = null, issuedBy = null, duration = null }) {
+    if (!ENTRY_KINDS.includes(kind)) {
+      return { success: false, error: 'invalidKind' };
+    }
+    if (!TARGET_TYPES.includes(type) || typeof value !== 'string' || !value) {
+      return { success: false, error: 'invalidTarget' };
+    }
+    if (duration !== null && (!Number.isInteger(duration) || duration <= 0)) {
+      return { success: false, error: 'invalidDuration' };
+    }
+
+    const matcher = type === 'ip' ? this.createIpMatcher(value) : null;
+    if (type === 'ip' && !matcher) {
+      return { success: false, error: 'invalidTarget' };
+    }
+
+    const now = Date.now();
+    const entry = {
+      id: crypto.randomBytes(8).toString('hex'),
+      kind,
+      type,
+      value: type === 'ip' ? this.normalizeIp(value) : value,
+      reason,
+      issuedBy,
+      createdAt: now,
+      expiresAt: duration === null ? null : now + duration
+    };
+
+    this.entries.set(entry.id, entry);
+    if (matcher) {
+      this.ipMatchers.set(entry.id, matcher);
+    }
+
+    log.info(`Added ${kind}`, { entryId: entry.id, type, [type === 'user' ? 'userId' : type]: entry.value, reason, issuedBy, expiresAt: entry.expiresAt });
+    return { success: true, entry };
+  }
+
+  /**
+   * Remove a ban or mute by ID
+   * Returns the removed entry, or null
+   */
+  remove(entryId) {
+    const entry = this.entries.get(entryId) || null;
+    if (entry) {
+      this.entries.delete(entryId);
+      this.ipMatchers.delete(entryId);
+      log.info(`Removed ${entry.kind}`, { entryId: entry.id, type: entry.type, [entry.type === 'user' ? 'userId' : entry.type]: entry.value });
+    }
+    return entry;
+  }
+
+  /**
+   * Remove every active entry of a kind on a target
+   * Returns the removed entries
+   */
+  removeTarget(kind, type, value) {
+    const normalized = type === 'ip' ? this.normalizeIp(value) : value;
+
+    return this.list({ kind })
+      .filter(entry => entry.type === type && entry.value === normalized)
+      .map(entry => this.remove(entry.id));
+  }
+
+  /**
+   * List active entries, optionally only one kind
+   */
+  list(filter = {}) {
+    this.pruneExpired();
+    return Array.from(this.entries.values()).filter(entry => !filter.kind || entry.kind === filter.kind);
+  }
+
+  /**
+   * Find an active entry of a kind matching any part of a client's identity
+   * identity is { ip, fingerprints: [], userIds: [] } - any part may be missing
+   * Returns the entry or null
+   */
+  check(kind, identity) {
+    const fingerprints = (identity.fingerprints || []).filter(Boolean);
+    const userIds = (identity.userIds || []).filter(Boolean);
+    const now = Date.now();
+
+    for (const entry of this.entries.values()) {
+      if (entry.kind !== kind || (entry.expiresAt !== null && entry.expiresAt <= now)) continue;
+
+      if ((entry.type === 'ip' && identity.ip && this.matchesIp(entry, identity.ip)) ||
+          (entry.type === 'fingerprint' && fingerprints.includes(entry.value)) ||
+          (entry.type === 'user' && userIds.includes(entry.value))) {
+        return entry;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Ban a new fingerprint a banned user has turned up with, for as long as their ban lasts
+   */
+  banEvadingFingerprint(userBan, fingerprint) {
+    if (!fingerprint || userBan.type !== 'user' || this.check('ban', { fingerprints: [fingerprint] })) {
+      return null;
+    }
+
+    const { entry } = this.add({
+      kind: 'ban',
+      type: 'fingerprint',
+      value: fingerprint,
+      reason: userBan.reason,
+      issuedBy: `ban:${userBan.id}`,
+      duration: userBan.expiresAt === null ? null : Math.max(1, userBan.expiresAt - Date.now())
+    });
+
+    return entry;
+  }
+
+  /**
+   * Get the close code and reason to send a banned client
+   */
+  getCloseDetails(entry) {
+    const reason = `Banned${entry.reason ? `: ${entry.reason}` : ''}`;
+
+    return {
+      code: BAN_CLOSE_CODES[entry.type],
+      reason: truncateCloseReason(reason)
+    };
+  }
+
+  /**
+   * Drop entries that have expired
+   */
+  pruneExpired() {
+    const now = Date.now();
+
+    this.entries.forEach((entry, entryId) => {
+      if (entry.expiresAt !== null && entry.expiresAt <= now) {
+        this.entries.delete(entryId);
+        this.ipMatchers.delete(entryId);
+      }
+    });
+  }
+
+  /**
+   * Serialize active entries for persistent storage
+   */
+  serialize() {
+    return { entries: this.list() };
+  }
+
+  /**
+   * Restore entries from persistent storage
+   */
+  restore(data) {
+    this.entries = new Map();
+    this.ipMatchers = new Map();
+
+    (data.entries || []).forEach((entry) => {
+      const matcher = entry.type === 'ip' ? this.createIpMatcher(entry.value) : null;
+      if (entry.type === 'ip' && !matcher) return;
+
+      this.entries.set(entry.id, entry);
+      if (matcher) {
+        this.ipMatchers.set(entry.id, matcher);
+      }
+    });
+
+    this.pruneExpired();
+  }
+}
+
+module.exports = BanManager;
+module.exports.TARGET_TYPES = TARGET_TYPES;
+module.exports.ENTRY_KINDS = ENTRY_KINDS;
+module.exports.BAN_CLOSE_CODES = BAN_CLOSE_CODES;
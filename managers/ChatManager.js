@@ -1,19 +1,239 @@
+const crypto = require('crypto');
+const ChatHistoryStore = require('../storage/ChatHistoryStore');
+const MemoryStorage = require('../storage/MemoryStorage');
+const { createLogger } = require('../utils/Logger');
+
+const log = createLogger('ChatManager');
+
+// Channel everyone is subscribed to when they connect
+const GLOBAL_CHANNEL = 'global';
+
+// Messages sent per history page unless the client asks for fewer
+const DEFAULT_HISTORY_PAGE = 50;
+
+// Most different emoji one message can collect
+const MAX_REACTIONS_PER_MESSAGE = 20;
+
+/**
+ * Chat channel kinds
+ * - global: server-wide, joined by default
+ * - room:   the sender's current room, always joined (addressed as just 'room')
+ * - party:  invite-only group (party:<id>)
+ * - guild:  named group anyone can join (guild:<name>)
+ */
+const CHANNEL_KINDS = ['global', 'room', 'party', 'guild'];
+
 /**
  * Manager for chat message handling
+ *
+ * Messages are kept per channel in a ChatHistoryStore. Channel IDs are 'global',
+ * 'room:<room ID>', 'party:<party ID>' and 'guild:<name>'. Whispers are
+ * delivered directly and are not kept in any channel's history.
+ *
+ * Text goes through the shared moderation stage (see ModerationManager) before
+ * it is stored or delivered.
+ *
+ * Configuration (environment):
+ *   CHAT_MAX_LENGTH        - longest chat message allowed (default 500)
+ *   CHAT_TYPING_TIMEOUT_MS - how long a typing indicator lasts without a refresh (default 5000)
  */
 class ChatManager {
-  constructor() {
-    // Store chat messages
-    this.messages = [];
+  constructor(historyStore = null, moderationManager = null, options = {}) {
+    // Chat messages, paged by channel (kept in memory only when no store is given)
+    this.history = historyStore || new ChatHistoryStore(new MemoryStorage());
+    
+    this.moderationManager = moderationManager;
+    this.maxLength = options.maxLength || parseInt(process.env.CHAT_MAX_LENGTH, 10) || 500;
+    this.typingTimeout = options.typingTimeout || parseInt(process.env.CHAT_TYPING_TIMEOUT_MS, 10) || 5000;
+    
+    // Channel ID -> user IDs subscribed to it (global, party and guild channels)
+    this.channelMembers = new Map();
+    
+    // Party channel ID -> user IDs invited to it
+    this.partyInvites = new Map();
+    
+    // Channel ID -> Map(user ID -> when their typing indicator expires)
+    this.typing = new Map();
+    
+    // User ID -> { channel ID: ID of the last message they read }
+    this.lastRead = new Map();
+  }
+  
+  /**
+   * Split a channel ID into its kind and name
+   */
+  parseChannel(channelId) {
+    const separator = channelId.indexOf(':');
+    const kind = separator === -1 ? channelId : channelId.substring(0, separator);
+    const name = separator === -1 ? null : channelId.substring(separator + 1);
+    
+    return CHANNEL_KINDS.includes(kind) ? { kind, name } : null;
+  }
+  
+  /**
+   * Turn the channel a client asked for into a full channel ID
+   * 'room' (or nothing) means the client's current room
+   */
+  resolveChannel(channel, roomId) {
+    if (!channel || channel === 'room') {
+      return `room:${roomId}`;
+    }
+    return channel;
+  }
+  
+  /**
+   * Check if a user can read and post in a channel
+   */
+  canAccess(userId, channelId, roomId) {
+    const channel = this.parseChannel(channelId);
+    if (!channel) return false;
     
-    // Maximum number of messages to store
-    this.maxMessages = 100;
+    if (channel.kind === 'room') {
+      return channelId === `room:${roomId}`;
+    }
+    
+    const members = this.channelMembers.get(channelId);
+    return !!members && members.has(userId);
   }
   
   /**
-   * Add a new chat message
+   * Subscribe a user to a channel
+   * Party channels need an invitation; room channels can't be joined explicitly.
+   * Returns { success, channelId } or { success: false, error }
    */
-  addMessage(userId, userName, text) {
+  joinChannel(userId, channelId) {
+    const channel = this.parseChannel(channelId);
+    if (!channel || channel.kind === 'room') {
+      return { success: false, error: 'invalidChannel' };
+    }
+    
+    if (channel.kind === 'party') {
+      const invites = this.partyInvites.get(channelId);
+      const members = this.channelMembers.get(channelId);
+      const alreadyMember = !!members && members.has(userId);
+      
+      if (!alreadyMember && (!invites || !invites.has(userId))) {
+        return { success: false, error: 'notInvited' };
+      }
+      
+      if (invites) {
+        invites.delete(userId);
+      }
+      
+      // A user is in one party at a time
+      const currentParty = this.getUserParty(userId);
+      if (currentParty && currentParty !== channelId) {
+        this.leaveChannel(userId, currentParty);
+      }
+    }
+    
+    if (!this.channelMembers.has(channelId)) {
+      this.channelMembers.set(channelId, new Set());
+    }
+    this.channelMembers.get(channelId).add(userId);
+    
+    return { success: true, channelId };
+  }
+  
+  /**
+   * Unsubscribe a user from a channel
+   * Returns true if they were subscribed
+   */
+  leaveChannel(userId, channelId) {
+    const members = this.channelMembers.get(channelId);
+    if (!members || !members.delete(userId)) {
+      return false;
+    }
+    
+    // Empty parties and guilds disappear; global always exists
+    if (members.size === 0 && channelId !== GLOBAL_CHANNEL) {
+      this.channelMembers.delete(channelId);
+      this.partyInvites.delete(channelId);
+      
+      // A party is gone with its last member, but a guild can be joined again by name
+      if (channelId.startsWith('party:')) {
+        this.history.deleteChannel(channelId).catch((error) => {
+          log.error('Error deleting party chat history', { channel: channelId, error });
+        });
+      } else {
+        this.history.releaseChannel(channelId);
+      }
+    }
+    
+    return true;
+  }
+  
+  /**
+   * Get the channels a user has subscribed to
+   */
+  getUserChannels(userId) {
+    const channels = [];
+    
+    this.channelMembers.forEach((members, channelId) => {
+      if (members.has(userId)) {
+        channels.push(channelId);
+      }
+    });
+    
+    return channels;
+  }
+  
+  /**
+   * Get the users subscribed to a channel
+   */
+  getChannelMembers(channelId) {
+    return Array.from(this.channelMembers.get(channelId) || []);
+  }
+  
+  /**
+   * Get the party a user is in, if any
+   */
+  getUserParty(userId) {
+    return this.getUserChannels(userId).find(channelId => channelId.startsWith('party:')) || null;
+  }
+  
+  /**
+   * Invite a user to the inviter's party, starting a party if they aren't in one
+   * Returns { success, channelId } or { success: false, error }
+   */
+  inviteToParty(inviterId, targetId) {
+    if (inviterId === targetId) {
+      return { success: false, error: 'invalidTarget' };
+    }
+    
+    let channelId = this.getUserParty(inviterId);
+    
+    if (!channelId) {
+      channelId = `party:${crypto.randomBytes(6).toString('hex')}`;
+      this.channelMembers.set(channelId, new Set([inviterId]));
+    }
+    
+    if (!this.partyInvites.has(channelId)) {
+      this.partyInvites.set(channelId, new Set());
+    }
+    this.partyInvites.get(channelId).add(targetId);
+    
+    return { success: true, channelId };
+  }
+  
+  /**
+   * Run a message through moderation before it is stored or whispered
+   * connection is the sender's { ip, fingerprint }, for ban-list mutes
+   * Returns { allowed: true, text } or { allowed: false, error, until }
+   */
+  moderateMessage(userId, text, connection = {}) {
+    if (!this.moderationManager) {
+      return text.length > this.maxLength
+        ? { allowed: false, error: 'messageTooLong', maxLength: this.maxLength }
+        : { allowed: true, text };
+    }
+    return this.moderationManager.check(userId, text, { ...connection, maxLength: this.maxLength });
+  }
+  
+  /**
+   * Add a new chat message to a channel
+   */
+  async addMessage(userId, userName, text, channelId) {
     // Generate message ID
     const messageId = `msg-${Date.now()}-${Math.random().toString(36).substring(2, 9)}`;
     
@@ -23,31 +243,303 @@ class ChatManager {
       userId,
       userName,
       text,
+      channel: channelId,
+      timestamp: new Date().toISOString()
+    };
+    
+    // Room messages keep their room ID for older clients
+    const channel = this.parseChannel(channelId);
+    if (channel && channel.kind === 'room') {
+      message.roomId = channel.name;
+    }
+    
+    return this.history.append(message);
+  }
+  
+  /**
+   * Check that a message found in the history can still be changed
+   * This must run after the last await so no other change can slip in between
+   * Returns { success, message } or { success: false, error }
+   */
+  checkChangeable(message) {
+    if (!message) {
+      return { success: false, error: 'messageNotFound' };
+    }
+    if (message.deleted) {
+      return { success: false, error: 'messageDeleted' };
+    }
+    return { success: true, message };
+  }
+  
+  /**
+   * Replace the text of a message (authors only)
+   * Returns { success, message } or { success: false, error }
+   */
+  async editMessage(userId, channelId, messageId, text) {
+    const result = this.checkChangeable(await this.history.findMessage(channelId, messageId));
+    if (!result.success) return result;
+    
+    const { message } = result;
+    if (message.userId !== userId) {
+      return { success: false, error: 'notAuthor' };
+    }
+    
+    message.text = text;
+    message.editedAt = new Date().toISOString();
+    this.history.markChanged(channelId);
+    
+    return { success: true, message };
+  }
+  
+  /**
+   * Delete a message, leaving a tombstone in the history (authors and moderators)
+   * Returns { success, message } or { success: false, error }
+   */
+  async deleteMessage(userId, channelId, messageId, isModerator = false) {
+    const result = this.checkChangeable(await this.history.findMessage(channelId, messageId));
+    if (!result.success) return result;
+    
+    const { message } = result;
+    if (message.userId !== userId && !isModerator) {
+      return { success: false, error: 'notAuthor' };
+    }
+    
+    message.deleted = true;
+    message.deletedBy = userId;
+    message.deletedAt = new Date().toISOString();
+    message.text = '';
+    delete message.reactions;
+    this.history.markChanged(channelId);
+    
+    return { success: true, message };
+  }
+  
+  /**
+   * Add or remove a user's emoji reaction on a message
+   * Reactions are stored on the message as { emoji: { count, userIds } }
+   * Returns { success, message, count } or { success: false, error }
+   */
+  async setReaction(userId, channelId, messageId, emoji, reacted) {
+    const result = this.checkChangeable(await this.history.findMessage(channelId, messageId));
+    if (!result.success) return result;
+    
+    const { message } = result;
+    
+    // No prototype, so emoji can never resolve to inherited properties
+    const reactions = Object.assign(Object.create(null), message.reactions);
+    const hasReaction = Object.prototype.hasOwnProperty.call(reactions, emoji);
+    const reaction = hasReaction ? reactions[emoji] : { count: 0, userIds: [] };
+    const alreadyReacted = reaction.userIds.includes(userId);
+    
+    if (reacted === alreadyReacted) {
+      return { success: false, error: reacted ? 'alreadyReacted' : 'notReacted' };
+    }
+    
+    if (reacted) {
+      if (!hasReaction && Object.keys(reactions).length >= MAX_REACTIONS_PER_MESSAGE) {
+        return { success: false, error: 'tooManyReactions' };
+      }
+      reaction.userIds.push(userId);
+    } else {
+      reaction.userIds = reaction.userIds.filter(id => id !== userId);
+    }
+    reaction.count = reaction.userIds.length;
+    
+    if (reaction.count > 0) {
+      reactions[emoji] = reaction;
+    } else {
+      delete reactions[emoji];
+    }
+    
+    if (Object.keys(reactions).length > 0) {
+      message.reactions = reactions;
+    } else {
+      delete message.reactions;
+    }
+    
+    this.history.markChanged(channelId);
+    return { success: true, message, count: reaction.count };
+  }
+  
+  /**
+   * Start or stop a user's typing indicator in a channel
+   * Starting again while already typing just pushes the expiry back.
+   * Returns true if the indicator changed and should be broadcast
+   */
+  setTyping(userId, channelId, typing) {
+    const typists = this.typing.get(channelId);
+    const wasTyping = !!typists && typists.has(userId);
+    
+    if (typing) {
+      if (!typists) {
+        this.typing.set(channelId, new Map());
+      }
+      this.typing.get(channelId).set(userId, Date.now() + this.typingTimeout);
+    } else if (wasTyping) {
+      typists.delete(userId);
+      if (typists.size === 0) {
+        this.typing.delete(channelId);
+      }
+    }
+    
+    return typing !== wasTyping;
+  }
+  
+  /**
+   * Get the users currently typing in a channel
+   */
+  getTypingUsers(channelId) {
+    return Array.from((this.typing.get(channelId) || new Map()).keys());
+  }
+  
+  /**
+   * Stop a user's typing indicators everywhere (e.g. they disconnected)
+   * Returns the channel IDs they were typing in
+   */
+  clearUserTyping(userId) {
+    const channels = [];
+    
+    Array.from(this.typing.keys()).forEach((channelId) => {
+      if (this.typing.get(channelId).has(userId)) {
+        this.setTyping(userId, channelId, false);
+        channels.push(channelId);
+      }
+    });
+    
+    return channels;
+  }
+  
+  /**
+   * Expire typing indicators that weren't refreshed in time
+   * Returns the expired indicators as [{ userId, channelId }]
+   */
+  pruneTyping() {
+    const now = Date.now();
+    const expired = [];
+    
+    this.typing.forEach((typists, channelId) => {
+      typists.forEach((expiresAt, userId) => {
+        if (expiresAt <= now) {
+          expired.push({ userId, channelId });
+        }
+      });
+    });
+    
+    expired.forEach(({ userId, channelId }) => this.setTyping(userId, channelId, false));
+    return expired;
+  }
+  
+  /**
+   * Record the last message a user has read in a channel
+   * Read positions only move forward; marking an older message is ignored.
+   * Returns { success, messageId, changed } or { success: false, error }
+   */
+  async markRead(userId, channelId, messageId) {
+    const messages = await this.history.getChannel(channelId);
+    const index = messages.findIndex(message => message.id === messageId);
+    if (index === -1) {
+      return { success: false, error: 'messageNotFound' };
+    }
+    
+    if (!this.lastRead.has(userId)) {
+      this.lastRead.set(userId, {});
+    }
+    const readState = this.lastRead.get(userId);
+    
+    const currentId = readState[channelId];
+    if (currentId && messages.findIndex(message => message.id === currentId) >= index) {
+      return { success: true, messageId: currentId, changed: false };
+    }
+    
+    readState[channelId] = messageId;
+    return { success: true, messageId, changed: true };
+  }
+  
+  /**
+   * Get a user's read position and unread count in a channel
+   * Deleted messages and the user's own messages don't count as unread.
+   */
+  async getUnread(userId, channelId) {
+    const messages = await this.history.getChannel(channelId);
+    const lastReadId = (this.lastRead.get(userId) || {})[channelId] || null;
+    
+    // If the last read message has aged out of the history, everything left is newer
+    const start = lastReadId ? messages.findIndex(message => message.id === lastReadId) + 1 : 0;
+    const unread = messages.slice(start)
+      .filter(message => !message.deleted && message.userId !== userId)
+      .length;
+    
+    return { lastReadId, unread };
+  }
+  
+  /**
+   * Create a whisper - delivered to the two users only and never stored
+   */
+  createWhisper(userId, userName, targetId, text) {
+    return {
+      id: `msg-${Date.now()}-${Math.random().toString(36).substring(2, 9)}`,
+      userId,
+      userName,
+      targetId,
+      text,
+      channel: 'whisper',
       timestamp: new Date().toISOString()
     };
+  }
+  
+  /**
+   * Serialize channel memberships and read positions for persistent storage
+   * (messages are saved by the history store)
+   */
+  serialize() {
+    const channelMembers = {};
+    this.channelMembers.forEach((members, channelId) => {
+      channelMembers[channelId] = Array.from(members);
+    });
     
-    // Add to messages array
-    this.messages.push(message);
+    const lastRead = {};
+    this.lastRead.forEach((readState, userId) => {
+      lastRead[userId] = readState;
+    });
     
-    // Trim messages if we exceed max
-    if (this.messages.length > this.maxMessages) {
-      this.messages = this.messages.slice(this.messages.length - this.maxMessages);
+    return { channelMembers, lastRead };
+  }
+  
+  /**
+   * Restore channel memberships and read positions from persistent storage
+   */
+  restore(data) {
+    // Older saves kept every message here; hand them over to the history store.
+    // Messages saved before channels existed only have a room ID.
+    if (data.messages) {
+      this.history.importMessages(data.messages.map(message =>
+        message.channel ? message : { ...message, channel: `room:${message.roomId}` }));
     }
     
-    return message;
+    this.channelMembers = new Map(Object.entries(data.channelMembers || {})
+      .map(([channelId, members]) => [channelId, new Set(members)]));
+    
+    this.lastRead = new Map(Object.entries(data.lastRead || {}));
   }
   
   /**
-   * Get chat history
+   * Get a page of a channel's chat history, oldest first
+   * Options are before/after message-ID cursors and a limit.
+   * Returns { messages, hasMore } or null if the cursor is unknown
    */
-  getChatHistory() {
-    return this.messages;
+  getChatHistory(channelId, options = {}) {
+    return this.history.query(channelId, {
+      before: options.before,
+      after: options.after,
+      limit: options.limit || DEFAULT_HISTORY_PAGE
+    });
   }
   
   /**
-   * Broadcast a message to all connected clients
+   * Broadcast a message to a set of clients (usually the channel's members)
+   * Returns the number of clients it was sent to
    */
-  broadcastMessage(wss, message, excludeWs = null) {
+  broadcastMessage(clients, message, excludeWs = null) {
     const WebSocket = require('ws');
     
     // Create the message packet
@@ -56,35 +548,79 @@ class ChatManager {
       message
     });
     
-    // Send to all connected clients
-    wss.clients.forEach((client) => {
+    // Send to the requested clients
+    let recipients = 0;
+    for (const client of clients) {
       if (client !== excludeWs && client.readyState === WebSocket.OPEN) {
         try {
           client.send(messagePacket);
+          recipients++;
         } catch (error) {
-          console.error('Error broadcasting chat message:', error);
+          log.error('Error broadcasting chat message', error);
         }
       }
-    });
+    }
+    
+    return recipients;
+  }
+  
+  /**
+   * Broadcast a change to an existing message (edit, delete, reaction) to a set of clients
+   * Returns the number of clients it was sent to
+   */
+  broadcastChange(clients, change) {
+    const WebSocket = require('ws');
+    const changePacket = JSON.stringify(change);
+    
+    let recipients = 0;
+    for (const client of clients) {
+      if (client.readyState === WebSocket.OPEN) {
+        try {
+          client.send(changePacket);
+          recipients++;
+        } catch (error) {
+          log.error('Error broadcasting chat message change', { type: change.type, error });
+        }
+      }
+    }
+    
+    return recipients;
   }
   
   /**
-   * Send chat history to a specific client
+   * Send a page of a channel's chat history to a specific client
+   * Returns false if the cursor is unknown
    */
-  sendChatHistory(ws) {
+  async sendChatHistory(ws, channelId, options = {}) {
     try {
+      const page = await this.getChatHistory(channelId, options);
+      if (!page) {
+        return false;
+      }
+      
+      const channel = this.parseChannel(channelId);
+      
       // Create history packet
       const historyPacket = JSON.stringify({
         type: 'chatHistory',
-        messages: this.messages
+        channel: channelId,
+        roomId: channel && channel.kind === 'room' ? channel.name : undefined,
+        before: options.before,
+        after: options.after,
+        messages: page.messages,
+        hasMore: page.hasMore
       });
       
       // Send to client
       ws.send(historyPacket);
     } catch (error) {
-      console.error('Error sending chat history:', error);
+      log.error('Error sending chat history', { channel: channelId, error });
     }
+    
+    return true;
   }
 }
 
-module.exports = ChatManager;
\ No newline at end of file
+module.exports = ChatManager;
+module.exports.GLOBAL_CHANNEL = GLOBAL_CHANNEL;
+module.exports.CHANNEL_KINDS = CHANNEL_KINDS;
@@ -1,3 +1,7 @@
+const { createLogger } = require('../utils/Logger');
+
+const log = createLogger('ClientManager');
+
 class ClientManager {
   constructor(userManager, serverState) {
     // Track connected clients
@@ -62,6 +66,30 @@ class ClientManager {
     }
   }
   
+  /**
+   * Mark a client as identifying
+   * Returns false if it has already identified, or is part way through it
+   */
+  beginIdentity(ws) {
+    const client = this.connectedClients.get(ws);
+    if (!client || client.userId || client.identifying) {
+      return false;
+    }
+    
+    client.identifying = true;
+    return true;
+  }
+  
+  /**
+   * Mark a client's identity handshake as finished, whether or not it succeeded
+   */
+  endIdentity(ws) {
+    const client = this.connectedClients.get(ws);
+    if (client) {
+      client.identifying = false;
+    }
+  }
+  
   /**
    * Get client IP
    */
@@ -91,7 +119,6 @@ class ClientManager {
    * Returns: boolean indicating if we should broadcast user list update
    */
   removeClient(ws) {
-    console.log(`Removing client...`);
     // Get the client data
     const clientData = this.connectedClients.get(ws);
     this.connectedClients.delete(ws);
@@ -104,16 +131,16 @@ class ClientManager {
       
       // If the browser is no longer connected, set the user to offline
       if (!browserStillConnected) {
-        console.log(`Browser ${clientData.browserFingerprint} has no more connections`);
+        log.debug('Browser has no more connections', { browserFingerprint: clientData.browserFingerprint });
         
         // Set user status to offline if we have a userId
         if (clientData.userId) {
           this.userManager.updateUserStatus(clientData.userId, 'offline');
-          console.log(`Set user ${clientData.userId} status to offline`);
+          log.debug('User is now offline', { userId: clientData.userId });
         }
       } else {
         // Browser still has other connections, no need to update the user list
-        console.log(`Browser ${clientData.browserFingerprint} still has other connections`);
+        log.debug('Browser still has other connections', { browserFingerprint: clientData.browserFingerprint });
         shouldBroadcast = false;
       }
     }
@@ -163,13 +190,13 @@ class ClientManager {
     this.userToFingerprints.get(userId).add(browserFingerprint);
     
     // Log for debugging
-    console.log(`Recorded association: Browser ${browserFingerprint.substring(0, 8)}... -> User ${userId}`);
+    log.debug('Recorded browser association', { browserFingerprint, userId });
     
     // Check for potential issues (multiple fingerprints for a single user) 
     // This is normal but log for visibility
     const fingerprints = this.userToFingerprints.get(userId);
     if (fingerprints && fingerprints.size > 1) {
-      console.log(`User ${userId} has ${fingerprints.size} associated fingerprints (multiple devices/browsers)`);
+      log.debug('User has several browsers', { userId, browsers: fingerprints.size });
     }
   }
 
@@ -188,7 +215,7 @@ class ClientManager {
     // from the current one
     for (const fp of fingerprints) {
       if (fp !== currentFingerprint) {
-        console.warn(`User ${userId} is already associated with another fingerprint ${fp.substring(0, 8)}...`);
+        log.warn('User is already associated with another browser', { userId, browserFingerprint: fp });
         return true;
       }
     }
@@ -214,7 +241,7 @@ class ClientManager {
     
     // Check if IP is currently blocked
     if (ipData.blockedUntil > now) {
-      console.warn(`Connection from ${clientIp} blocked until ${new Date(ipData.blockedUntil).toISOString()}`);
+      log.warn('Connection from blocked address', { ip: clientIp, blockedUntil: new Date(ipData.blockedUntil).toISOString() });
       return false;
     }
     
@@ -228,7 +255,7 @@ class ClientManager {
     if (ipData.connectionAttempts.length > 20) {
       // More than 20 connections in 60 seconds - block for 2 minutes
       ipData.blockedUntil = now + 120000; // 2 minutes
-      console.warn(`Too many connections from ${clientIp}, blocking for 2 minutes`);
+      log.warn('Too many connections from address, blocking for 2 minutes', { ip: clientIp });
       this.ipConnections.set(clientIp, ipData);
       return false;
     }
@@ -238,6 +265,42 @@ class ClientManager {
     return true;
   }
 
+  /**
+   * Find the connection with a given client ID
+   */
+  getConnectionByClientId(clientId) {
+    for (const [ws, clientData] of this.connectedClients.entries()) {
+      if (clientData.id === clientId) {
+        return ws;
+      }
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Find all connections whose metadata matches a filter
+   */
+  findConnections(filter) {
+    const connections = [];
+    
+    for (const [ws, clientData] of this.connectedClients.entries()) {
+      if (filter(clientData)) {
+        connections.push(ws);
+      }
+    }
+    
+    return connections;
+  }
+  
+  /**
+   * Get what moderation needs to know about a connection
+   */
+  getClientIdentity(ws) {
+    const client = this.connectedClients.get(ws);
+    return client ? { ip: client.ip, fingerprint: client.browserFingerprint } : {};
+  }
+  
   /**
    * Find all connections for a given userId
    */
@@ -0,0 +1,504 @@
+const { createLogger } = require('../utils/Logger');
+
+const log = createLogger('CombatManager');
+
+// Health every player starts (and respawns) with
+const MAX_HEALTH = 1000;
+
+// Damage used when a projectile is fired without one
+const DEFAULT_PROJECTILE_DAMAGE = 20;
+
+// Speed used when a projectile is fired without one
+const DEFAULT_PROJECTILE_SPEED = 0.5;
+
+// Most damage a single projectile or skill hit can do unless SKILL_DAMAGE says otherwise
+const DEFAULT_PROJECTILE_MAX_DAMAGE = 100;
+
+// Where players respawn when SPAWN_POINTS isn't configured
+const DEFAULT_SPAWN_POINTS = [{ x: 0, y: 0, z: 0 }];
+
+/**
+ * Manager for authoritative combat resolution
+ *
+ * Projectiles and skills are recorded when they are fired, from near where the
+ * server last saw the shooter. Their damage comes from the SKILL_DAMAGE table,
+ * or is the client's figure capped at PROJECTILE_MAX_DAMAGE. A claimed hit is only
+ * accepted if the server-side position of the target lies within the hit radius
+ * of the path the projectile could have travelled by now. Damage always comes
+ * from the server's record, never from the hit message, and is applied to the
+ * health kept in the user's stats.
+ *
+ * When a player's health reaches zero the kill (and any assists) are recorded
+ * and the player respawns at a spawn point after a server-controlled delay,
+ * briefly invulnerable.
+ *
+ * Configuration (environment):
+ *   HIT_RADIUS             - player hit radius in world units (default 1.5)
+ *   HIT_LATENCY_MS         - extra travel time allowed for network latency (default 250)
+ *   PROJECTILE_LIFETIME_MS - how long a projectile can still hit (default 5000)
+ *   PROJECTILE_SPEED_SCALE - client speeds are per frame, this is frames per second (default 60)
+ *   MELEE_RANGE            - max distance for direct damage (default 4)
+ *   MELEE_MAX_DAMAGE       - max amount of a single direct damage (default 100)
+ *   FIRE_ORIGIN_TOLERANCE  - how far from the shooter's known position a shot may start (default 5)
+ *   PROJECTILE_MAX_DAMAGE  - max damage of a projectile or skill hit (default 100)
+ *   SKILL_DAMAGE           - JSON object of skill type -> damage, used instead of the client's figure
+ *   ASSIST_WINDOW_MS       - damage this recent before a kill counts as an assist (default 10000)
+ *   RESPAWN_DELAY_MS       - time from death to respawn (default 5000)
+ *   SPAWN_INVULNERABILITY_MS - invulnerability after respawning (default 3000)
+ *   SPAWN_POINTS           - JSON array of { x, y, z, rotationY } respawn points
+ */
+class CombatManager {
+  constructor(userManager, interestManager, options = {}) {
+    this.userManager = userManager;
+    this.interestManager = interestManager;
+
+    this.hitRadius = options.hitRadius || parseFloat(process.env.HIT_RADIUS) || 1.5;
+    this.latencyAllowance = options.latencyAllowance || parseInt(process.env.HIT_LATENCY_MS, 10) || 250;
+    this.projectileLifetime = options.projectileLifetime || parseInt(process.env.PROJECTILE_LIFETIME_MS, 10) || 5000;
+    this.speedScale = options.speedScale || parseFloat(process.env.PROJECTILE_SPEED_SCALE) || 60;
+    this.meleeRange = options.meleeRange || parseFloat(process.env.MELEE_RANGE) || 4;
+    this.meleeMaxDamage = options.meleeMaxDamage || parseInt(process.env.MELEE_MAX_DAMAGE, 10) || 100;
+    this.originTolerance = options.originTolerance || parseFloat(process.env.FIRE_ORIGIN_TOLERANCE) || 5;
+    this.projectileMaxDamage = options.projectileMaxDamage || parseInt(process.env.PROJECTILE_MAX_DAMAGE, 10) || DEFAULT_PROJECTILE_MAX_DAMAGE;
+    this.skillDamage = options.skillDamage || parseSkillDamage(process.env.SKILL_DAMAGE);
+    this.assistWindow = options.assistWindow || parseInt(process.env.ASSIST_WINDOW_MS, 10) || 10000;
+    this.respawnDelay = options.respawnDelay || parseInt(process.env.RESPAWN_DELAY_MS, 10) || 5000;
+    this.invulnerability = options.invulnerability || parseInt(process.env.SPAWN_INVULNERABILITY_MS, 10) || 3000;
+    this.spawnPoints = options.spawnPoints || parseSpawnPoints(process.env.SPAWN_POINTS);
+
+    // "<source user ID>:<projectile or skill ID>" -> in-flight record
+    this.projectiles = new Map();
+
+    // Victim user ID -> Map(attacker user ID -> time of their last hit)
+    this.recentDamage = new Map();
+
+    // User ID -> pending respawn timeout
+    this.respawnTimers = new Map();
+  }
+
+  /**
+   * Check if a player is currently stunned, clearing stuns that have run out
+   */
+  isStunned(userId) {
+    const stats = this.userManager.getUserStats(userId);
+    if (!stats.isStunned) return false;
+
+    if (stats.stunnedEndTime && stats.stunnedEndTime <= Date.now()) {
+      this.userManager.updateUserStunnedState(userId, false);
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Check why a player can't attack right now
+   * Returns null if they can
+   */
+  getAttackBlocker(userId) {
+    const stats = this.userManager.getUserStats(userId);
+    if (stats.isSafeMode) return 'attackerInSafeMode';
+    if (this.isStunned(userId)) return 'attackerStunned';
+    if (stats.health <= 0) return 'attackerDead';
+    return null;
+  }
+
+  /**
+   * Check why a player can't be damaged right now
+   * Returns null if they can
+   */
+  getTargetBlocker(userId) {
+    const stats = this.userManager.getUserStats(userId);
+    if (stats.isSafeMode) return 'targetInSafeMode';
+    if (stats.health <= 0) return 'targetDead';
+    if (stats.invulnerableUntil && stats.invulnerableUntil > Date.now()) return 'targetInvulnerable';
+    return null;
+  }
+
+  /**
+   * Work out how much damage a projectile or skill does
+   * Skills in the SKILL_DAMAGE table always do that much; anything else does
+   * what the client asked (or the default), capped at PROJECTILE_MAX_DAMAGE
+   */
+  getProjectileDamage(options) {
+    if (options.skillType && Object.prototype.hasOwnProperty.call(this.skillDamage, options.skillType)) {
+      return this.skillDamage[options.skillType];
+    }
+
+    const requested = options.damage !== undefined ? options.damage : DEFAULT_PROJECTILE_DAMAGE;
+    return Math.min(requested, this.projectileMaxDamage);
+  }
+
+  /**
+   * Record a fired projectile or cast skill
+   * options: position, direction, damage, speed, range, radius, lifetime, area, skillType
+   * Returns { success, projectile } or { success: false, reason }
+   */
+  spawnProjectile(id, sourceId, roomId, options) {
+    const blocker = this.getAttackBlocker(sourceId);
+    if (blocker) {
+      return { success: false, reason: blocker };
+    }
+
+    const key = `${sourceId}:${id}`;
+    if (this.projectiles.has(key)) {
+      return { success: false, reason: 'duplicateProjectile' };
+    }
+
+    // Shots have to start near where the shooter actually is
+    const source = this.interestManager.getPlayer(sourceId);
+    if (!source || source.roomId !== roomId) {
+      return { success: false, reason: 'sourceNotFound' };
+    }
+    if (distance(options.position, source.position) > this.originTolerance) {
+      return { success: false, reason: 'originOutOfRange' };
+    }
+
+    // Area skills cast in place have no direction, everything else needs one
+    const direction = normalize(options.direction) || (options.area ? { x: 0, y: 0, z: 0 } : null);
+    if (!direction) {
+      return { success: false, reason: 'invalidDirection' };
+    }
+
+    const projectile = {
+      id,
+      sourceId,
+      roomId,
+      origin: options.position,
+      direction,
+      speed: options.speed || DEFAULT_PROJECTILE_SPEED,
+      damage: this.getProjectileDamage(options),
+      range: options.range || null,
+      radius: options.radius || 0,
+      // Area skills can hit several players, projectiles are spent on the first hit
+      maxHits: options.area ? Infinity : 1,
+      hitTargets: new Set(),
+      firedAt: Date.now(),
+      expiresAt: Date.now() + (options.lifetime || this.projectileLifetime)
+    };
+
+    this.projectiles.set(key, projectile);
+    this.userManager.updateUserStats(sourceId, 'projectileFired');
+
+    return { success: true, projectile };
+  }
+
+  /**
+   * Check a claimed hit against the server's projectile record and positions
+   * Returns { success, projectile, damage, health, kill } or { success: false, reason }
+   */
+  resolveProjectileHit(projectileId, sourceId, targetId) {
+    // Keyed by owner, so nobody can claim hits for someone else's projectile
+    const key = `${sourceId}:${projectileId}`;
+    const projectile = this.projectiles.get(key);
+    const now = Date.now();
+
+    if (!projectile || projectile.expiresAt <= now) {
+      return { success: false, reason: 'unknownProjectile' };
+    }
+
+    if (targetId === sourceId || projectile.hitTargets.has(targetId)) {
+      return { success: false, reason: 'invalidTarget' };
+    }
+
+    const target = this.interestManager.getPlayer(targetId);
+    if (!target || target.roomId !== projectile.roomId) {
+      return { success: false, reason: 'targetNotFound' };
+    }
+
+    const blocker = this.getTargetBlocker(targetId);
+    if (blocker) {
+      return { success: false, reason: blocker };
+    }
+
+    // Furthest the projectile could have got, with some slack for latency
+    const elapsed = (now - projectile.firedAt + this.latencyAllowance) / 1000;
+    let travel = projectile.speed * this.speedScale * elapsed;
+    if (projectile.range) {
+      travel = Math.min(travel, projectile.range);
+    }
+
+    const missDistance = distanceToSegment(target.position, projectile.origin, projectile.direction, travel);
+    if (missDistance > this.hitRadius + projectile.radius) {
+      return { success: false, reason: 'outOfRange' };
+    }
+
+    projectile.hitTargets.add(targetId);
+    if (projectile.hitTargets.size >= projectile.maxHits) {
+      this.projectiles.delete(key);
+    }
+
+    this.userManager.updateUserStats(sourceId, 'projectileHit');
+    const { health, kill } = this.applyDamage(sourceId, targetId, projectile.damage);
+
+    return { success: true, projectile, damage: projectile.damage, health, kill };
+  }
+
+  /**
+   * Check direct (melee) damage against the distance between the two players
+   * Returns { success, damage, health, kill } or { success: false, reason }
+   */
+  resolveDirectDamage(sourceId, targetId, amount) {
+    const attackBlocker = this.getAttackBlocker(sourceId);
+    if (attackBlocker) {
+      return { success: false, reason: attackBlocker };
+    }
+
+    if (targetId === sourceId) {
+      return { success: false, reason: 'invalidTarget' };
+    }
+
+    // Only look up the target's stats once we know they're a real player -
+    // looking them up creates them
+    const source = this.interestManager.getPlayer(sourceId);
+    const target = this.interestManager.getPlayer(targetId);
+    if (!source || !target || source.roomId !== target.roomId) {
+      return { success: false, reason: 'targetNotFound' };
+    }
+
+    const targetBlocker = this.getTargetBlocker(targetId);
+    if (targetBlocker) {
+      return { success: false, reason: targetBlocker };
+    }
+
+    if (distance(source.position, target.position) > this.meleeRange + this.hitRadius) {
+      return { success: false, reason: 'outOfRange' };
+    }
+
+    const damage = Math.min(amount, this.meleeMaxDamage);
+    const { health, kill } = this.applyDamage(sourceId, targetId, damage);
+
+    return { success: true, damage, health, kill };
+  }
+
+  /**
+   * Take damage off a player's health and record it in both players' stats
+   * Returns { health, kill } where kill is set if this damage killed the target
+   */
+  applyDamage(sourceId, targetId, amount) {
+    const stats = this.userManager.getUserStats(targetId);
+    const health = typeof stats.health === 'number' ? stats.health : MAX_HEALTH;
+
+    stats.health = Math.max(0, health - amount);
+
+    this.userManager.recordDamageDealt(sourceId, amount);
+    this.userManager.recordDamageTaken(targetId, amount);
+
+    if (!this.recentDamage.has(targetId)) {
+      this.recentDamage.set(targetId, new Map());
+    }
+    this.recentDamage.get(targetId).set(sourceId, Date.now());
+
+    const kill = health > 0 && stats.health === 0 ? this.recordDeath(targetId, sourceId) : null;
+    return { health: stats.health, kill };
+  }
+
+  /**
+   * Handle a player reporting their own health
+   * Players can only lower it (falls, self-damage) - raising it is up to the server.
+   * Reporting 0 is a death with no killer.
+   * Returns { health, kill } like applyDamage
+   */
+  reportHealth(userId, reportedHealth) {
+    const stats = this.userManager.getUserStats(userId);
+    const health = typeof stats.health === 'number' ? stats.health : MAX_HEALTH;
+
+    if (reportedHealth >= health) {
+      return { health, kill: null };
+    }
+
+    stats.health = reportedHealth;
+
+    // Only damage the server applied earns kills and assists - otherwise two
+    // clients could farm them by having the victim report 0 after one hit
+    if (health > 0 && stats.health === 0) {
+      this.recentDamage.delete(userId);
+      return { health: stats.health, kill: this.recordDeath(userId, null) };
+    }
+    return { health: stats.health, kill: null };
+  }
+
+  /**
+   * Record a death, the kill and any assists
+   * Returns { victimId, killerId, assistIds, respawnAt }
+   */
+  recordDeath(victimId, killerId) {
+    const since = Date.now() - this.assistWindow;
+    const attackers = this.recentDamage.get(victimId) || new Map();
+
+    const assistIds = [];
+    attackers.forEach((hitAt, attackerId) => {
+      if (attackerId !== killerId && attackerId !== victimId && hitAt >= since) {
+        assistIds.push(attackerId);
+      }
+    });
+    this.recentDamage.delete(victimId);
+
+    if (killerId) {
+      this.userManager.recordPlayerKill(killerId, victimId);
+    } else {
+      this.userManager.recordPlayerDeath(victimId);
+    }
+    assistIds.forEach(assistId => this.userManager.recordPlayerAssist(assistId));
+
+    const respawnAt = Date.now() + this.respawnDelay;
+    this.userManager.getUserStats(victimId).respawnAt = respawnAt;
+
+    return { victimId, killerId, assistIds, respawnAt };
+  }
+
+  /**
+   * Start the respawn timer for a dead player
+   * onRespawn receives the result of respawn() when it fires
+   */
+  scheduleRespawn(userId, onRespawn) {
+    this.cancelRespawn(userId);
+
+    const timer = setTimeout(() => {
+      this.respawnTimers.delete(userId);
+      onRespawn(this.respawn(userId));
+    }, this.respawnDelay);
+
+    this.respawnTimers.set(userId, timer);
+  }
+
+  /**
+   * Cancel every pending respawn (on shutdown)
+   */
+  cancelAllRespawns() {
+    this.respawnTimers.forEach(timer => clearTimeout(timer));
+    this.respawnTimers.clear();
+  }
+
+  /**
+   * Cancel a pending respawn
+   */
+  cancelRespawn(userId) {
+    const timer = this.respawnTimers.get(userId);
+    if (timer) {
+      clearTimeout(timer);
+      this.respawnTimers.delete(userId);
+    }
+  }
+
+  /**
+   * Check if a dead player is waiting for a respawn timer
+   */
+  hasPendingRespawn(userId) {
+    return this.respawnTimers.has(userId);
+  }
+
+  /**
+   * Bring a player back at a spawn point with full health
+   * Returns { userId, position, rotation, health, invulnerableUntil }
+   */
+  respawn(userId) {
+    const stats = this.userManager.getUserStats(userId);
+    const spawnPoint = this.spawnPoints[Math.floor(Math.random() * this.spawnPoints.length)];
+
+    stats.health = MAX_HEALTH;
+    stats.invulnerableUntil = Date.now() + this.invulnerability;
+    delete stats.respawnAt;
+
+    log.info('Player respawned', { userId, position: spawnPoint });
+
+    return {
+      userId,
+      position: { x: spawnPoint.x, y: spawnPoint.y, z: spawnPoint.z },
+      rotation: { y: spawnPoint.rotationY || 0 },
+      health: stats.health,
+      invulnerableUntil: stats.invulnerableUntil
+    };
+  }
+
+  /**
+   * Drop projectiles that can no longer hit anything
+   */
+  pruneExpired() {
+    const now = Date.now();
+
+    this.projectiles.forEach((projectile, key) => {
+      if (projectile.expiresAt <= now) {
+        this.projectiles.delete(key);
+      }
+    });
+  }
+}
+
+/**
+ * Parse the SPAWN_POINTS setting, falling back to the default spawn point
+ */
+function parseSpawnPoints(value) {
+  if (!value) return DEFAULT_SPAWN_POINTS;
+
+  try {
+    const points = JSON.parse(value);
+    const valid = Array.isArray(points) && points.length > 0 && points.every(point =>
+      point && ['x', 'y', 'z'].every(axis => typeof point[axis] === 'number'));
+
+    if (valid) return points;
+  } catch (error) {
+    // Fall through to the warning below
+  }
+
+  log.warn('SPAWN_POINTS must be a JSON array of { x, y, z } - using the default spawn point');
+  return DEFAULT_SPAWN_POINTS;
+}
+
+/**
+ * Parse the SKILL_DAMAGE setting, falling back to no fixed skill damage
+ */
+function parseSkillDamage(value) {
+  if (!value) return {};
+
+  try {
+    const table = JSON.parse(value);
+    const valid = table && typeof table === 'object' && !Array.isArray(table) &&
+      Object.values(table).every(damage => typeof damage === 'number' && damage >= 0);
+
+    if (valid) return table;
+  } catch (error) {
+    // Fall through to the warning below
+  }
+
+  log.warn('SKILL_DAMAGE must be a JSON object of skill type -> damage - capping client damage instead');
+  return {};
+}
+
+/**
+ * Scale a vector to unit length, or null for a zero vector
+ */
+function normalize(vector) {
+  const length = Math.sqrt(vector.x * vector.x + vector.y * vector.y + vector.z * vector.z);
+  if (length === 0) return null;
+  return { x: vector.x / length, y: vector.y / length, z: vector.z / length };
+}
+
+/**
+ * Distance between two points
+ */
+function distance(a, b) {
+  const dx = a.x - b.x;
+  const dy = a.y - b.y;
+  const dz = a.z - b.z;
+  return Math.sqrt(dx * dx + dy * dy + dz * dz);
+}
+
+/**
+ * Distance from a point to the segment starting at origin along a unit direction
+ */
+function distanceToSegment(point, origin, direction, length) {
+  const along = (point.x - origin.x) * direction.x +
+    (point.y - origin.y) * direction.y +
+    (point.z - origin.z) * direction.z;
+  const t = Math.max(0, Math.min(length, along));
+
+  return distance(point, {
+    x: origin.x + direction.x * t,
+    y: origin.y + direction.y * t,
+    z: origin.z + direction.z * t
+  });
+}
+
+module.exports = CombatManager;
+module.exports.MAX_HEALTH = MAX_HEALTH;
@@ -1,39 +1,197 @@
 const WebSocket = require('ws');
+const { createLogger } = require('../utils/Logger');
 
+const log = createLogger('GameChatManager');
+
+// Prefix that turns a game chat line into an emote ("/me waves")
+const EMOTE_PREFIX = '/me ';
+
+/**
+ * English text for each system message template
+ * Clients can localize using the template key and params instead.
+ */
+const SYSTEM_TEMPLATES = {
+  announcement: '{text}',
+  playerJoined: '{userName} joined the game',
+  playerLeft: '{userName} left the game',
+  playerKilled: '{killerName} defeated {victimName}',
+  playerDied: '{victimName} died',
+  deliveryMade: '{userName} made a delivery'
+};
+
+/**
+ * Manager for in-game chat bubbles
+ *
+ * Game chat messages have a kind:
+ * - chat:   a player's line, as typed
+ * - emote:  a player's "/me" line, with the prefix removed
+ * - system: a server announcement built from a template and params
+ *
+ * Text goes through the same moderation stage as lobby chat (see ModerationManager).
+ *
+ * Configuration (environment):
+ *   GAME_CHAT_MAX_LENGTH - longest game chat message allowed (default 200)
+ *   GAME_CHAT_HISTORY    - recent lines kept per room for players who (re)join (default 0 - none)
+ */
 class GameChatManager {
-  constructor() {
-    // We don't store any chat history as per requirements
-    // This is just for real-time message broadcasting
+  constructor(moderationManager = null, options = {}) {
+    this.moderationManager = moderationManager;
+    this.maxLength = options.maxLength || parseInt(process.env.GAME_CHAT_MAX_LENGTH, 10) || 200;
+
+    // Game chat isn't stored unless a recent-lines buffer is configured
+    this.historySize = options.historySize || parseInt(process.env.GAME_CHAT_HISTORY, 10) || 0;
+
+    // Room ID -> recent messages, oldest first
+    this.recentMessages = new Map();
+  }
+
+  /**
+   * Build a player's game chat message, turning "/me" lines into emotes
+   * @param {string} userId - The sender's user ID
+   * @param {string} userName - The sender's name
+   * @param {string} text - The moderated message text
+   * @returns {Object} The game chat message
+   */
+  createPlayerMessage(userId, userName, text) {
+    const isEmote = text.startsWith(EMOTE_PREFIX) && text.length > EMOTE_PREFIX.length;
+
+    return {
+      kind: isEmote ? 'emote' : 'chat',
+      userId,
+      userName,
+      text: isEmote ? text.substring(EMOTE_PREFIX.length).trim() : text,
+      timestamp: Date.now()
+    };
+  }
+
+  /**
+   * Build a system message from a template
+   * @param {string} template - A SYSTEM_TEMPLATES key
+   * @param {Object} params - Values for the template's placeholders
+   * @returns {Object} The game chat message
+   */
+  createSystemMessage(template, params = {}) {
+    const pattern = SYSTEM_TEMPLATES[template] || template;
+
+    return {
+      kind: 'system',
+      userId: null,
+      userName: null,
+      text: pattern.replace(/\{(\w+)\}/g, (match, key) => (params[key] !== undefined ? String(params[key]) : match)),
+      template,
+      params,
+      timestamp: Date.now()
+    };
+  }
+
+  /**
+   * Keep a message in a room's recent-lines buffer (if one is configured)
+   * @param {string} roomId - The room the message was sent in
+   * @param {Object} message - The game chat message
+   */
+  recordMessage(roomId, message) {
+    if (this.historySize <= 0 || !roomId) return;
+
+    if (!this.recentMessages.has(roomId)) {
+      this.recentMessages.set(roomId, []);
+    }
+
+    const recent = this.recentMessages.get(roomId);
+    recent.push(this.formatMessage(message));
+
+    if (recent.length > this.historySize) {
+      recent.shift();
+    }
   }
 
   /**
-   * Broadcast a game chat message to all connected clients except the sender
-   * @param {WebSocketServer} wss - The WebSocket server instance
+   * Send a room's recent game chat to a client that just joined it
+   * Nothing is sent when the buffer is turned off
+   * @param {WebSocket} ws - The WebSocket connection to send to
+   * @param {string} roomId - The room the client joined
+   */
+  sendRecentMessages(ws, roomId) {
+    if (this.historySize <= 0) return;
+
+    try {
+      ws.send(JSON.stringify({
+        type: 'gameChatHistory',
+        roomId,
+        messages: this.recentMessages.get(roomId) || []
+      }));
+    } catch (error) {
+      log.error('Error sending game chat history', { roomId, error });
+    }
+  }
+
+  /**
+   * Forget a room's recent game chat (e.g. the room was removed)
+   * @param {string} roomId - The room ID
+   */
+  clearRoom(roomId) {
+    this.recentMessages.delete(roomId);
+  }
+
+  /**
+   * Get the fields of a game chat message that are sent to clients
+   * @param {Object} message - The game chat message
+   * @returns {Object} The message as sent
+   */
+  formatMessage(message) {
+    return {
+      kind: message.kind || 'chat',
+      userId: message.userId,
+      userName: message.userName,
+      text: message.text,
+      template: message.template,
+      params: message.params,
+      timestamp: message.timestamp || Date.now()
+    };
+  }
+
+  /**
+   * Run a game chat message through moderation before it is broadcast
+   * @param {string} userId - The sender's user ID
+   * @param {string} text - The message text
+   * @param {Object} connection - The sender connection's { ip, fingerprint }, for ban-list mutes
+   * @returns {Object} { allowed: true, text } or { allowed: false, error, until }
+   */
+  moderateMessage(userId, text, connection = {}) {
+    if (!this.moderationManager) {
+      return text.length > this.maxLength
+        ? { allowed: false, error: 'messageTooLong', maxLength: this.maxLength }
+        : { allowed: true, text };
+    }
+    return this.moderationManager.check(userId, text, { ...connection, maxLength: this.maxLength });
+  }
+
+  /**
+   * Broadcast a game chat message to a set of clients except the sender
+   * @param {Iterable<WebSocket>} clients - The connections to send to (usually the sender's room)
    * @param {Object} message - The game chat message object
-   * @param {WebSocket} senderWs - The WebSocket connection of the sender (to exclude)
+   * @param {WebSocket} senderWs - The WebSocket connection of the sender (to exclude), if any
+   * @returns {number} The number of clients the message was sent to
    */
-  broadcastGameMessage(wss, message, senderWs) {
+  broadcastGameMessage(clients, message, senderWs) {
+    let recipients = 0;
     try {
       const formattedMessage = {
         type: 'gameChat',
-        message: {
-          userId: message.userId,
-          userName: message.userName,
-          text: message.text,
-          timestamp: Date.now()
-        }
+        message: this.formatMessage(message)
       };
 
-      wss.clients.forEach((client) => {
+      for (const client of clients) {
         if (client !== senderWs && client.readyState === WebSocket.OPEN) {
           client.send(JSON.stringify(formattedMessage));
+          recipients++;
         }
-      });
+      }
 
-      console.log(`Game chat message from ${message.userName} (${message.userId}): ${message.text.substring(0, 50)}${message.text.length > 50 ? '...' : ''}`);
+      log.debug('Game chat message broadcast', { kind: message.kind || 'chat', userId: message.userId || null, recipients });
     } catch (error) {
-      console.error('Error broadcasting game chat message:', error);
+      log.error('Error broadcasting game chat message', error);
     }
+    return recipients;
   }
 
   /**
@@ -45,19 +203,15 @@ class GameChatManager {
     try {
       const formattedMessage = {
         type: 'gameChat',
-        message: {
-          userId: message.userId,
-          userName: message.userName,
-          text: message.text,
-          timestamp: Date.now()
-        }
+        message: this.formatMessage(message)
       };
 
       ws.send(JSON.stringify(formattedMessage));
     } catch (error) {
-      console.error('Error sending direct game chat message:', error);
+      log.error('Error sending direct game chat message', error);
     }
   }
 }
 
-module.exports = GameChatManager;
\ No newline at end of file
+module.exports = GameChatManager;
+module.exports.SYSTEM_TEMPLATES = SYSTEM_TEMPLATES;
\ No newline at end of file
@@ -0,0 +1,153 @@
+const SpatialGrid = require('../utils/SpatialGrid');
+
+/**
+ * Manager for spatial interest (area of interest) per room
+ *
+ * Keeps each player's last known position from worldUpdate in a per-room grid
+ * and tracks which players are within range of each other, so position and
+ * combat events only go to players close enough to see them.
+ *
+ * Configuration (environment):
+ *   AOI_RADIUS     - how far a player can "see" other players (default 100)
+ *   AOI_CELL_SIZE  - grid cell size (default: the radius)
+ */
+class InterestManager {
+  constructor(options = {}) {
+    this.radius = options.radius || parseFloat(process.env.AOI_RADIUS) || 100;
+    this.cellSize = options.cellSize || parseFloat(process.env.AOI_CELL_SIZE) || this.radius;
+
+    // Room ID -> SpatialGrid of user IDs
+    this.grids = new Map();
+
+    // User ID -> { roomId, position, rotation }
+    this.players = new Map();
+
+    // User ID -> Set of user IDs currently in range
+    this.inRange = new Map();
+  }
+
+  /**
+   * Get (or create) the grid for a room
+   */
+  getGrid(roomId) {
+    if (!this.grids.has(roomId)) {
+      this.grids.set(roomId, new SpatialGrid(this.cellSize));
+    }
+    return this.grids.get(roomId);
+  }
+
+  /**
+   * Record a player's position and work out who came into or went out of range
+   * Returns { entered: [userIds], left: [userIds] } from this player's point of view
+   * (the relationship is symmetric, so the same players see them enter/leave too)
+   */
+  updatePosition(userId, roomId, position, rotation) {
+    const player = this.players.get(userId);
+
+    // Changing rooms means dropping out of range of everyone in the old room
+    let left = [];
+    if (player && player.roomId !== roomId) {
+      left = this.removePlayer(userId);
+    }
+
+    this.getGrid(roomId).set(userId, position);
+    this.players.set(userId, { roomId, position, rotation });
+
+    const nearby = new Set(this.getGrid(roomId).queryRadius(position, this.radius));
+    nearby.delete(userId);
+
+    const previous = this.inRange.get(userId) || new Set();
+    const entered = [];
+
+    nearby.forEach((otherId) => {
+      if (!previous.has(otherId)) {
+        entered.push(otherId);
+        this.link(userId, otherId);
+      }
+    });
+
+    previous.forEach((otherId) => {
+      if (!nearby.has(otherId)) {
+        left.push(otherId);
+        this.unlink(userId, otherId);
+      }
+    });
+
+    return { entered, left };
+  }
+
+  /**
+   * Remove a player from interest tracking
+   * Returns the user IDs that had them in range
+   */
+  removePlayer(userId) {
+    const player = this.players.get(userId);
+    if (!player) return [];
+
+    const grid = this.grids.get(player.roomId);
+    if (grid) {
+      grid.remove(userId);
+      if (grid.size === 0) {
+        this.grids.delete(player.roomId);
+      }
+    }
+
+    const left = Array.from(this.inRange.get(userId) || []);
+    left.forEach(otherId => this.unlink(userId, otherId));
+
+    this.players.delete(userId);
+    this.inRange.delete(userId);
+    return left;
+  }
+
+  /**
+   * Mark two players as in range of each other
+   */
+  link(userId, otherId) {
+    if (!this.inRange.has(userId)) this.inRange.set(userId, new Set());
+    if (!this.inRange.has(otherId)) this.inRange.set(otherId, new Set());
+    this.inRange.get(userId).add(otherId);
+    this.inRange.get(otherId).add(userId);
+  }
+
+  /**
+   * Mark two players as out of range of each other
+   */
+  unlink(userId, otherId) {
+    const mine = this.inRange.get(userId);
+    const theirs = this.inRange.get(otherId);
+    if (mine) mine.delete(otherId);
+    if (theirs) theirs.delete(userId);
+  }
+
+  /**
+   * Get a player's last known state
+   */
+  getPlayer(userId) {
+    return this.players.get(userId) || null;
+  }
+
+  /**
+   * Check if a player's position is known
+   */
+  hasPosition(userId) {
+    return this.players.has(userId);
+  }
+
+  /**
+   * Check if two players are in range of each other
+   */
+  isInRange(userId, otherId) {
+    const mine = this.inRange.get(userId);
+    return !!mine && mine.has(otherId);
+  }
+
+  /**
+   * Get the players currently in range of a player
+   */
+  getPlayersInRange(userId) {
+    return Array.from(this.inRange.get(userId) || []);
+  }
+}
+
+module.exports = InterestManager;
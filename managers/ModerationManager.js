@@ -0,0 +1,231 @@
+const fs = require('fs');
+const { createLogger } = require('../utils/Logger');
+
+const log = createLogger('ModerationManager');
+
+// Automatic mutes get longer each time: 30 seconds, 2 minutes, 10 minutes, then an hour
+const AUTO_MUTE_DURATIONS = [30 * 1000, 2 * 60 * 1000, 10 * 60 * 1000, 60 * 60 * 1000];
+
+/**
+ * Manager for the chat moderation stage shared by lobby chat and game chat
+ *
+ * Every message passes through check() before it is stored or sent. Blocked
+ * words are masked, over-long messages, floods and repeated duplicates are
+ * rejected, and repeat offenders are muted automatically for longer each time.
+ * Mutes (automatic or from a moderator) are stored with the user's stats so
+ * they survive reconnects and restarts. Mutes on the ban list (by IP,
+ * fingerprint or user, see BanManager) are honoured too.
+ *
+ * Configuration (environment):
+ *   CHAT_BLOCKED_WORDS       - comma separated words to mask
+ *   CHAT_BLOCKED_WORDS_FILE  - file with one blocked word per line
+ *   CHAT_FLOOD_LIMIT         - messages allowed per flood window (default 5)
+ *   CHAT_FLOOD_WINDOW_MS     - flood window (default 5000)
+ *   CHAT_DUPLICATE_WINDOW_MS - how long a repeated message counts as a duplicate (default 30000)
+ *   CHAT_STRIKE_LIMIT        - violations before an automatic mute (default 3)
+ *   CHAT_STRIKE_WINDOW_MS    - how long a violation counts towards a mute (default 60000)
+ *   CHAT_MODERATORS          - comma separated user IDs allowed to mute others
+ */
+class ModerationManager {
+  constructor(userManager, banManager = null, options = {}) {
+    this.userManager = userManager;
+    this.banManager = banManager;
+
+    this.floodLimit = options.floodLimit || parseInt(process.env.CHAT_FLOOD_LIMIT, 10) || 5;
+    this.floodWindow = options.floodWindow || parseInt(process.env.CHAT_FLOOD_WINDOW_MS, 10) || 5000;
+    this.duplicateWindow = options.duplicateWindow || parseInt(process.env.CHAT_DUPLICATE_WINDOW_MS, 10) || 30000;
+    this.strikeLimit = options.strikeLimit || parseInt(process.env.CHAT_STRIKE_LIMIT, 10) || 3;
+    this.strikeWindow = options.strikeWindow || parseInt(process.env.CHAT_STRIKE_WINDOW_MS, 10) || 60000;
+
+    const moderators = options.moderators || (process.env.CHAT_MODERATORS ? process.env.CHAT_MODERATORS.split(',') : []);
+    this.moderators = new Set(moderators.map(userId => userId.trim()).filter(Boolean));
+
+    this.setBlockedWords(options.blockedWords || loadBlockedWords());
+
+    // User ID -> { sentAt: [timestamps], recent: [{ text, sentAt }], strikes: [timestamps] }
+    this.activity = new Map();
+  }
+
+  /**
+   * Replace the list of words to mask
+   */
+  setBlockedWords(words) {
+    const escaped = words
+      .map(word => word.trim().toLowerCase())
+      .filter(Boolean)
+      .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+
+    this.blockedWords = escaped;
+    this.blockedPattern = escaped.length > 0 ? new RegExp(`\\b(${escaped.join('|')})\\b`, 'gi') : null;
+  }
+
+  /**
+   * Mask blocked words with asterisks
+   */
+  maskText(text) {
+    if (!this.blockedPattern) return text;
+    return text.replace(this.blockedPattern, match => '*'.repeat(match.length));
+  }
+
+  /**
+   * Check if a user can mute other users
+   */
+  isModerator(userId) {
+    return this.moderators.has(userId);
+  }
+
+  /**
+   * Get a user's active mute, clearing it once it has run out
+   * Returns { until, reason, mutedBy } or null
+   */
+  getActiveMute(userId) {
+    const stats = this.userManager.getUserStats(userId);
+    if (!stats.chatMute) return null;
+
+    if (stats.chatMute.until <= Date.now()) {
+      delete stats.chatMute;
+      return null;
+    }
+
+    return stats.chatMute;
+  }
+
+  /**
+   * Mute a user for a while
+   * mutedBy is the moderator's user ID, or null for automatic mutes
+   */
+  muteUser(userId, duration, reason, mutedBy = null) {
+    const stats = this.userManager.getUserStats(userId);
+    stats.chatMute = { until: Date.now() + duration, reason, mutedBy };
+
+    log.info('User muted in chat', { userId, seconds: Math.round(duration / 1000), reason, mutedBy });
+    return stats.chatMute;
+  }
+
+  /**
+   * Lift a user's mute
+   * Returns true if they were muted
+   */
+  unmuteUser(userId) {
+    const stats = this.userManager.getUserStats(userId);
+    if (!stats.chatMute) return false;
+
+    delete stats.chatMute;
+    log.info('User unmuted in chat', { userId });
+    return true;
+  }
+
+  /**
+   * Get (or create) a user's recent chat activity
+   */
+  getActivity(userId) {
+    if (!this.activity.has(userId)) {
+      this.activity.set(userId, { sentAt: [], recent: [], strikes: [] });
+    }
+    return this.activity.get(userId);
+  }
+
+  /**
+   * Record a violation, muting the user once they have too many
+   * Returns the mute if one was applied
+   */
+  addStrike(userId) {
+    const activity = this.getActivity(userId);
+    const now = Date.now();
+
+    activity.strikes = activity.strikes.filter(at => now - at < this.strikeWindow);
+    activity.strikes.push(now);
+
+    if (activity.strikes.length < this.strikeLimit) {
+      return null;
+    }
+
+    activity.strikes = [];
+
+    // Each automatic mute lasts longer than the one before
+    const stats = this.userManager.getUserStats(userId);
+    const level = stats.chatAutoMutes || 0;
+    stats.chatAutoMutes = level + 1;
+
+    const duration = AUTO_MUTE_DURATIONS[Math.min(level, AUTO_MUTE_DURATIONS.length - 1)];
+    return this.muteUser(userId, duration, 'spam');
+  }
+
+  /**
+   * Run a message through moderation
+   * options: maxLength, and the sender connection's ip and fingerprint for ban-list mutes
+   * Returns { allowed: true, text } with blocked words masked, or
+   * { allowed: false, error, until } saying why it was rejected
+   */
+  check(userId, text, options = {}) {
+    const mute = this.getActiveMute(userId);
+    if (mute) {
+      return { allowed: false, error: 'chatMuted', until: mute.until, reason: mute.reason };
+    }
+
+    const listedMute = this.banManager
+      ? this.banManager.check('mute', { ip: options.ip, fingerprints: [options.fingerprint], userIds: [userId] })
+      : null;
+    if (listedMute) {
+      return { allowed: false, error: 'chatMuted', until: listedMute.expiresAt, reason: listedMute.reason };
+    }
+
+    const trimmed = text.trim();
+    if (trimmed.length === 0) {
+      return { allowed: false, error: 'emptyMessage' };
+    }
+
+    if (options.maxLength && trimmed.length > options.maxLength) {
+      return { allowed: false, error: 'messageTooLong', maxLength: options.maxLength };
+    }
+
+    const activity = this.getActivity(userId);
+    const now = Date.now();
+
+    // Flood: too many messages in the window
+    activity.sentAt = activity.sentAt.filter(at => now - at < this.floodWindow);
+    if (activity.sentAt.length >= this.floodLimit) {
+      const autoMute = this.addStrike(userId);
+      return { allowed: false, error: autoMute ? 'chatMuted' : 'flood', until: autoMute ? autoMute.until : undefined };
+    }
+
+    // Duplicate: the same text again within the window
+    const normalized = trimmed.toLowerCase().replace(/\s+/g, ' ');
+    activity.recent = activity.recent.filter(entry => now - entry.sentAt < this.duplicateWindow);
+    if (activity.recent.some(entry => entry.text === normalized)) {
+      const autoMute = this.addStrike(userId);
+      return { allowed: false, error: autoMute ? 'chatMuted' : 'duplicateMessage', until: autoMute ? autoMute.until : undefined };
+    }
+
+    activity.sentAt.push(now);
+    activity.recent.push({ text: normalized, sentAt: now });
+
+    return { allowed: true, text: this.maskText(trimmed) };
+  }
+
+  /**
+   * Forget a user's recent activity (flood and duplicate tracking only)
+   */
+  clearActivity(userId) {
+    this.activity.delete(userId);
+  }
+}
+
+/**
+ * Load blocked words from CHAT_BLOCKED_WORDS and CHAT_BLOCKED_WORDS_FILE
+ */
+function loadBlockedWords() {
+  const words = process.env.CHAT_BLOCKED_WORDS ? process.env.CHAT_BLOCKED_WORDS.split(',') : [];
+
+  if (process.env.CHAT_BLOCKED_WORDS_FILE) {
+    try {
+      words.push(...fs.readFileSync(process.env.CHAT_BLOCKED_WORDS_FILE, 'utf8').split('\n'));
+    } catch (error) {
+      log.error('Could not read CHAT_BLOCKED_WORDS_FILE', { file: process.env.CHAT_BLOCKED_WORDS_FILE, error });
+    }
+  }
+
+  return words;
+}
+
+module.exports = ModerationManager;
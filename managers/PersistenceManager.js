@@ -0,0 +1,130 @@
+const { createLogger } = require('../utils/Logger');
+
+const log = createLogger('PersistenceManager');
+
+// Write changed collections back to storage every 5 seconds by default
+const DEFAULT_FLUSH_INTERVAL = 5000;
+
+/**
+ * Manager for loading and write-behind saving of in-memory state
+ *
+ * Each source registers a collection name with serialize/restore functions.
+ * On boot every collection is restored; afterwards a flush timer serialises the
+ * sources and only writes the ones whose data actually changed.
+ */
+class PersistenceManager {
+  constructor(storage, options = {}) {
+    this.storage = storage;
+    this.flushInterval = options.flushInterval || parseInt(process.env.STORAGE_FLUSH_MS, 10) || DEFAULT_FLUSH_INTERVAL;
+
+    // Collection name -> { serialize, restore }
+    this.sources = new Map();
+
+    // Collection name -> last serialised JSON written (or loaded)
+    this.lastWritten = new Map();
+
+    this.flushTimer = null;
+    this.flushing = null;
+  }
+
+  /**
+   * Register a source of persistent state
+   */
+  register(collection, source) {
+    if (typeof source.serialize !== 'function' || typeof source.restore !== 'function') {
+      throw new Error(`Persistent source "${collection}" needs serialize and restore functions`);
+    }
+    this.sources.set(collection, source);
+  }
+
+  /**
+   * Restore every registered collection from storage
+   */
+  async load() {
+    await this.storage.init();
+
+    for (const [collection, source] of this.sources.entries()) {
+      const data = await this.storage.load(collection);
+
+      if (data !== null) {
+        source.restore(data);
+        this.lastWritten.set(collection, JSON.stringify(data));
+        log.info('Restored collection from storage', { collection });
+      }
+    }
+  }
+
+  /**
+   * Write every collection that changed since the last flush
+   * Concurrent calls share the flush already in progress
+   */
+  flush() {
+    if (this.flushing) {
+      return this.flushing;
+    }
+
+    this.flushing = this.writeChanged().finally(() => {
+      this.flushing = null;
+    });
+
+    return this.flushing;
+  }
+
+  /**
+   * Serialise all sources and save the changed ones
+   */
+  async writeChanged() {
+    let written = 0;
+
+    for (const [collection, source] of this.sources.entries()) {
+      try {
+        const data = source.serialize();
+        const json = JSON.stringify(data);
+
+        if (this.lastWritten.get(collection) === json) continue;
+
+        await this.storage.save(collection, data);
+        this.lastWritten.set(collection, json);
+        written++;
+      } catch (error) {
+        log.error('Error saving collection to storage', { collection, error });
+      }
+    }
+
+    return written;
+  }
+
+  /**
+   * Start the write-behind flush timer
+   */
+  start() {
+    if (this.flushTimer) return;
+
+    this.flushTimer = setInterval(() => this.flush(), this.flushInterval);
+
+    // Don't let the flush timer alone keep the process alive
+    if (this.flushTimer.unref) {
+      this.flushTimer.unref();
+    }
+  }
+
+  /**
+   * Stop the timer and write anything still pending
+   * The storage itself is left open for its owner to close
+   */
+  async stop() {
+    if (this.flushTimer) {
+      clearInterval(this.flushTimer);
+      this.flushTimer = null;
+    }
+
+    // A flush already running may have read its data before the latest
+    // changes, so wait for it and then write once more
+    if (this.flushing) {
+      await this.flushing;
+    }
+    await this.flush();
+  }
+}
+
+module.exports = PersistenceManager;
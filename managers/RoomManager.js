@@ -0,0 +1,180 @@
+const { createLogger } = require('../utils/Logger');
+
+const log = createLogger('RoomManager');
+
+const DEFAULT_ROOM = 'lobby';
+
+/**
+ * Manager for rooms (maps, lobbies, match instances)
+ *
+ * Every connection is in exactly one room at a time. Broadcasts, the user list,
+ * chat and voice are all scoped to the sender's room.
+ *
+ * Configuration (environment):
+ *   ROOMS               - comma separated rooms that always exist (default: lobby)
+ *   ROOM_CAPACITY       - max connections per room, 0 for unlimited (default 50)
+ *   ROOM_AUTO_CREATE    - create unknown rooms on join, 'false' to disable (default true)
+ *   ROOM_EMPTY_TTL_MS   - how long an empty on-demand room lives (default 60000)
+ */
+class RoomManager {
+  constructor(options = {}) {
+    this.defaultRoom = options.defaultRoom || DEFAULT_ROOM;
+    this.capacity = options.capacity !== undefined
+      ? options.capacity
+      : parseInt(process.env.ROOM_CAPACITY || '50', 10);
+    this.autoCreate = options.autoCreate !== undefined
+      ? options.autoCreate
+      : process.env.ROOM_AUTO_CREATE !== 'false';
+    this.emptyRoomTtl = options.emptyRoomTtl || parseInt(process.env.ROOM_EMPTY_TTL_MS, 10) || 60000;
+
+    // Room ID -> room data
+    this.rooms = new Map();
+
+    // Connection -> room ID
+    this.clientRooms = new Map();
+
+    // The default room always exists and has no capacity limit
+    this.createRoom(this.defaultRoom, { persistent: true, capacity: 0 });
+
+    const configuredRooms = options.rooms || (process.env.ROOMS ? process.env.ROOMS.split(',') : []);
+    configuredRooms
+      .map(roomId => roomId.trim())
+      .filter(roomId => roomId && !this.rooms.has(roomId))
+      .forEach(roomId => this.createRoom(roomId, { persistent: true }));
+  }
+
+  /**
+   * Create a room
+   */
+  createRoom(roomId, options = {}) {
+    if (this.rooms.has(roomId)) {
+      return this.rooms.get(roomId);
+    }
+
+    const room = {
+      id: roomId,
+      capacity: options.capacity !== undefined ? options.capacity : this.capacity,
+      persistent: !!options.persistent,
+      members: new Set(),
+      createdAt: Date.now(),
+      emptySince: Date.now()
+    };
+
+    this.rooms.set(roomId, room);
+    log.info('Created room', { roomId, persistent: room.persistent });
+    return room;
+  }
+
+  /**
+   * Move a connection into a room, leaving its current one
+   * Returns { success, roomId, previousRoomId } or { success: false, error }
+   */
+  joinRoom(ws, roomId) {
+    let room = this.rooms.get(roomId);
+
+    if (!room) {
+      if (!this.autoCreate) {
+        return { success: false, error: 'roomNotFound' };
+      }
+      room = this.createRoom(roomId);
+    }
+
+    const previousRoomId = this.clientRooms.get(ws) || null;
+    if (previousRoomId === roomId) {
+      return { success: true, roomId, previousRoomId };
+    }
+
+    if (room.capacity > 0 && room.members.size >= room.capacity) {
+      return { success: false, error: 'roomFull' };
+    }
+
+    this.leaveRoom(ws);
+
+    room.members.add(ws);
+    room.emptySince = null;
+    this.clientRooms.set(ws, roomId);
+
+    log.debug('Connection joined room', { roomId, members: room.members.size });
+    return { success: true, roomId, previousRoomId };
+  }
+
+  /**
+   * Remove a connection from its room
+   * Returns the room ID it left, or null
+   */
+  leaveRoom(ws) {
+    const roomId = this.clientRooms.get(ws);
+    if (!roomId) return null;
+
+    this.clientRooms.delete(ws);
+
+    const room = this.rooms.get(roomId);
+    if (room) {
+      room.members.delete(ws);
+      if (room.members.size === 0) {
+        room.emptySince = Date.now();
+      }
+    }
+
+    return roomId;
+  }
+
+  /**
+   * Get the room ID a connection is in
+   */
+  getClientRoom(ws) {
+    return this.clientRooms.get(ws) || null;
+  }
+
+  /**
+   * Get all connections in a room
+   */
+  getRoomClients(roomId) {
+    const room = this.rooms.get(roomId);
+    return room ? Array.from(room.members) : [];
+  }
+
+  /**
+   * Check if a room exists
+   */
+  hasRoom(roomId) {
+    return this.rooms.has(roomId);
+  }
+
+  /**
+   * Get a summary of every room
+   */
+  listRooms() {
+    return Array.from(this.rooms.values()).map(room => ({
+      id: room.id,
+      players: room.members.size,
+      capacity: room.capacity,
+      persistent: room.persistent
+    }));
+  }
+
+  /**
+   * Remove on-demand rooms that have been empty for longer than the TTL
+   */
+  cleanupEmptyRooms() {
+    const now = Date.now();
+    const removed = [];
+
+    this.rooms.forEach((room, roomId) => {
+      if (!room.persistent && room.members.size === 0 &&
+          room.emptySince && now - room.emptySince > this.emptyRoomTtl) {
+        this.rooms.delete(roomId);
+        removed.push(roomId);
+      }
+    });
+
+    if (removed.length > 0) {
+      log.info('Removed empty rooms', { roomIds: removed });
+    }
+
+    return removed;
+  }
+}
+
+module.exports = RoomManager;
+module.exports.DEFAULT_ROOM = DEFAULT_ROOM;
@@ -0,0 +1,200 @@
+const crypto = require('crypto');
+const { createLogger } = require('../utils/Logger');
+
+const log = createLogger('SessionManager');
+
+// Sessions last 30 days unless configured otherwise
+const DEFAULT_TTL = 30 * 24 * 60 * 60 * 1000;
+
+// Tokens older than a day are swapped for a fresh one when presented
+const DEFAULT_ROTATE_AFTER = 24 * 60 * 60 * 1000;
+
+/**
+ * Manager for HMAC-signed session tokens
+ *
+ * A token is `<base64url payload>.<base64url signature>` where the payload is
+ * { uid, sid, iat, exp }. Tokens are handed out in the `welcome` frame and
+ * presented in later `identity` messages to resume the same user.
+ */
+class SessionManager {
+  constructor(options = {}) {
+    this.secret = options.secret || process.env.SESSION_SECRET;
+    this.ttl = options.ttl || parseInt(process.env.SESSION_TTL_MS, 10) || DEFAULT_TTL;
+    this.rotateAfter = options.rotateAfter || parseInt(process.env.SESSION_ROTATE_AFTER_MS, 10) || DEFAULT_ROTATE_AFTER;
+
+    if (!this.secret) {
+      // Still works, but every restart invalidates all outstanding tokens
+      this.secret = crypto.randomBytes(32).toString('hex');
+      log.warn('SESSION_SECRET is not set - using a random secret, sessions will not survive a restart');
+    }
+
+    // Revoked session IDs mapped to their expiry, so they can be pruned later
+    this.revokedSessions = new Map();
+
+    // Tokens issued to a user before this time are no longer accepted
+    this.userRevokedBefore = new Map();
+  }
+
+  /**
+   * Sign a payload
+   */
+  sign(encodedPayload) {
+    return crypto.createHmac('sha256', this.secret).update(encodedPayload).digest('base64url');
+  }
+
+  /**
+   * Issue a new session token for a user
+   */
+  issueToken(userId) {
+    const now = Date.now();
+    const payload = {
+      uid: userId,
+      sid: crypto.randomBytes(12).toString('base64url'),
+      iat: now,
+      exp: now + this.ttl
+    };
+
+    const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    const token = `${encodedPayload}.${this.sign(encodedPayload)}`;
+
+    return { token, userId, sessionId: payload.sid, expiresAt: payload.exp };
+  }
+
+  /**
+   * Verify a token's signature, expiry and revocation state
+   * Returns the decoded payload, or null if the token can't be used
+   */
+  verifyToken(token) {
+    if (typeof token !== 'string') return null;
+
+    const parts = token.split('.');
+    if (parts.length !== 2) return null;
+
+    const [encodedPayload, signature] = parts;
+    const expected = Buffer.from(this.sign(encodedPayload));
+    const actual = Buffer.from(signature);
+
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      log.warn('Rejected session token with an invalid signature');
+      return null;
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString());
+    } catch (error) {
+      return null;
+    }
+
+    if (!payload || typeof payload.uid !== 'string' || typeof payload.sid !== 'string') {
+      return null;
+    }
+
+    if (typeof payload.exp !== 'number' || payload.exp <= Date.now()) {
+      return null;
+    }
+
+    if (this.revokedSessions.has(payload.sid)) {
+      return null;
+    }
+
+    const revokedBefore = this.userRevokedBefore.get(payload.uid);
+    if (revokedBefore && payload.iat < revokedBefore) {
+      return null;
+    }
+
+    return payload;
+  }
+
+  /**
+   * Resume a session from a presented token
+   * Returns { userId, token, expiresAt, rotated } or null if the token is not valid.
+   * Tokens past the rotation age are revoked and replaced with a fresh one.
+   */
+  resumeSession(token) {
+    const payload = this.verifyToken(token);
+    if (!payload) return null;
+
+    if (Date.now() - payload.iat < this.rotateAfter) {
+      return { userId: payload.uid, sessionId: payload.sid, token, expiresAt: payload.exp, rotated: false };
+    }
+
+    this.revokeSession(payload.sid, payload.exp);
+    const issued = this.issueToken(payload.uid);
+    log.debug('Rotated session token', { userId: payload.uid });
+
+    return { ...issued, rotated: true };
+  }
+
+  /**
+   * Revoke a single session by ID
+   */
+  revokeSession(sessionId, expiresAt = Date.now() + this.ttl) {
+    this.revokedSessions.set(sessionId, expiresAt);
+  }
+
+  /**
+   * Revoke the session a token belongs to
+   */
+  revokeToken(token) {
+    const payload = this.verifyToken(token);
+    if (!payload) return false;
+
+    this.revokeSession(payload.sid, payload.exp);
+    log.info('Revoked session', { sessionId: payload.sid, userId: payload.uid });
+    return true;
+  }
+
+  /**
+   * Revoke every session issued to a user so far
+   */
+  revokeUserSessions(userId) {
+    this.userRevokedBefore.set(userId, Date.now());
+    log.info('Revoked all sessions', { userId });
+  }
+
+  /**
+   * Serialize revocations for persistent storage, so a restart can't
+   * bring revoked tokens back to life
+   */
+  serialize() {
+    return {
+      revokedSessions: Object.fromEntries(this.revokedSessions),
+      userRevokedBefore: Object.fromEntries(this.userRevokedBefore)
+    };
+  }
+
+  /**
+   * Restore revocations from persistent storage
+   */
+  restore(data) {
+    this.revokedSessions = new Map(Object.entries(data.revokedSessions || {}));
+    this.userRevokedBefore = new Map(Object.entries(data.userRevokedBefore || {}));
+  }
+
+  /**
+   * Drop revocation records for sessions that have expired anyway
+   */
+  pruneRevokedSessions() {
+    const now = Date.now();
+    let pruned = 0;
+
+    this.revokedSessions.forEach((expiresAt, sessionId) => {
+      if (expiresAt <= now) {
+        this.revokedSessions.delete(sessionId);
+        pruned++;
+      }
+    });
+
+    // Anything issued before (now - ttl) has expired on its own
+    this.userRevokedBefore.forEach((revokedBefore, userId) => {
+      if (revokedBefore + this.ttl <= now) {
+        this.userRevokedBefore.delete(userId);
+      }
+    });
+
+    return pruned;
+  }
+}
+
+module.exports = SessionManager;
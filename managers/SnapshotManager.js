@@ -0,0 +1,181 @@
+// Snapshots sent to a client are kept this long waiting to be acknowledged
+const SNAPSHOT_HISTORY = 32;
+
+// Player fields carried in world snapshots
+const SNAPSHOT_FIELDS = ['position', 'rotation', 'animation'];
+
+/**
+ * Manager for batched, delta-compressed world snapshots
+ *
+ * Handlers record each player's latest position, rotation and animation here
+ * instead of relaying them. Once per tick every client is sent a single
+ * `worldSnapshot` holding only the fields that changed since the last snapshot
+ * that client acknowledged with `snapshotAck`.
+ *
+ * Configuration (environment):
+ *   TICK_RATE - snapshots per second (default 20)
+ */
+class SnapshotManager {
+  constructor(options = {}) {
+    this.tickRate = options.tickRate || parseInt(process.env.TICK_RATE, 10) || 20;
+
+    // User ID -> latest { position, rotation, animation }
+    this.playerStates = new Map();
+
+    // Connection -> { seq, ackedSeq, history: Map(seq -> view) }
+    this.clients = new Map();
+  }
+
+  /**
+   * Get the tick interval in milliseconds
+   */
+  getTickInterval() {
+    return Math.round(1000 / this.tickRate);
+  }
+
+  /**
+   * Get (or create) a player's state
+   */
+  getPlayerState(userId) {
+    if (!this.playerStates.has(userId)) {
+      this.playerStates.set(userId, {});
+    }
+    return this.playerStates.get(userId);
+  }
+
+  /**
+   * Check if any state has been recorded for a player
+   */
+  hasPlayer(userId) {
+    return this.playerStates.has(userId);
+  }
+
+  /**
+   * Record a player's position and rotation
+   */
+  updateTransform(userId, position, rotation) {
+    const state = this.getPlayerState(userId);
+    state.position = position;
+    state.rotation = rotation;
+  }
+
+  /**
+   * Record a player's animation state
+   * The timestamp is part of the state so replaying the same animation is still sent
+   */
+  updateAnimation(userId, animationState, timestamp, startTime) {
+    const state = this.getPlayerState(userId);
+    state.animation = { state: animationState, timestamp, startTime };
+  }
+
+  /**
+   * Forget a player's state
+   */
+  removePlayer(userId) {
+    this.playerStates.delete(userId);
+  }
+
+  /**
+   * Forget a connection's snapshot history
+   */
+  removeClient(ws) {
+    this.clients.delete(ws);
+  }
+
+  /**
+   * Record that a client has received a snapshot
+   */
+  acknowledge(ws, seq) {
+    const client = this.clients.get(ws);
+    if (!client || !client.history.has(seq)) {
+      return false;
+    }
+
+    if (client.ackedSeq === null || seq > client.ackedSeq) {
+      client.ackedSeq = seq;
+
+      // Anything older than the acknowledged snapshot will never be a base again
+      client.history.forEach((view, historySeq) => {
+        if (historySeq < seq) {
+          client.history.delete(historySeq);
+        }
+      });
+    }
+
+    return true;
+  }
+
+  /**
+   * Build the next snapshot for a client from the players it can see
+   * Returns null when nothing changed since the acknowledged snapshot
+   */
+  buildSnapshot(ws, visibleUserIds) {
+    if (!this.clients.has(ws)) {
+      this.clients.set(ws, { seq: 0, ackedSeq: null, history: new Map() });
+    }
+
+    const client = this.clients.get(ws);
+    const base = client.ackedSeq !== null ? client.history.get(client.ackedSeq) : null;
+    const baseView = base || {};
+
+    // Serialised copy of what this client should now know about each player
+    const view = {};
+    const players = [];
+
+    visibleUserIds.forEach((userId) => {
+      const state = this.playerStates.get(userId);
+      if (!state) return;
+
+      const playerView = {};
+      const changes = { userId };
+      let changed = false;
+
+      SNAPSHOT_FIELDS.forEach((field) => {
+        if (state[field] === undefined) return;
+
+        playerView[field] = JSON.stringify(state[field]);
+        const previous = baseView[userId] ? baseView[userId][field] : undefined;
+
+        if (playerView[field] !== previous) {
+          changes[field] = state[field];
+          changed = true;
+        }
+      });
+
+      view[userId] = playerView;
+      if (changed) {
+        players.push(changes);
+      }
+    });
+
+    const removed = Object.keys(baseView).filter(userId => !view[userId]);
+
+    if (players.length === 0 && removed.length === 0) {
+      return null;
+    }
+
+    client.seq++;
+    client.history.set(client.seq, view);
+
+    // Without acks the history would grow forever, so cap it (keeping the current base)
+    if (client.history.size > SNAPSHOT_HISTORY) {
+      for (const historySeq of client.history.keys()) {
+        if (historySeq !== client.ackedSeq) {
+          client.history.delete(historySeq);
+          break;
+        }
+      }
+    }
+
+    return {
+      type: 'worldSnapshot',
+      seq: client.seq,
+      baseSeq: base ? client.ackedSeq : 0,
+      timestamp: Date.now(),
+      players,
+      removed
+    };
+  }
+}
+
+module.exports = SnapshotManager;
@@ -1,5 +1,8 @@
 const WebSocket = require('ws');
 const fetch = require('node-fetch'); // Make sure to install this: npm install node-fetch
+const { createLogger } = require('../utils/Logger');
+
+const log = createLogger('UserManager');
 
 class UserManager {
   constructor() {
@@ -22,6 +25,53 @@ class UserManager {
     this.CACHE_EXPIRATION = 24 * 60 * 60 * 1000;
   }
   
+  /**
+   * Serialize users, browsers and stats for persistent storage
+   */
+  serialize() {
+    // Several fingerprints can share one browser record, so records are
+    // stored once per user and fingerprints refer to them by user ID
+    const browserUsers = {};
+    const browserFingerprints = {};
+    
+    this.browserToUser.forEach((userData, fingerprint) => {
+      browserUsers[userData.userId] = userData;
+      browserFingerprints[fingerprint] = userData.userId;
+    });
+    
+    return {
+      guestCounter: this.guestCounter,
+      users: Object.fromEntries(this.users),
+      browserUsers,
+      browserFingerprints,
+      userStats: Object.fromEntries(this.userStats)
+    };
+  }
+  
+  /**
+   * Restore users, browsers and stats from persistent storage
+   * Nobody is connected yet, so everyone comes back offline
+   */
+  restore(data) {
+    this.guestCounter = data.guestCounter || 1;
+    this.users = new Map(Object.entries(data.users || {}));
+    this.userStats = new Map(Object.entries(data.userStats || {}));
+    this.browserToUser = new Map();
+    
+    const browserUsers = data.browserUsers || {};
+    Object.entries(data.browserFingerprints || {}).forEach(([fingerprint, userId]) => {
+      if (browserUsers[userId]) {
+        this.browserToUser.set(fingerprint, browserUsers[userId]);
+      }
+    });
+    
+    this.browserToUser.forEach(userData => { userData.status = 'offline'; });
+    this.users.forEach(user => { user.status = 'offline'; });
+    this.userStats.forEach(stats => { stats.status = 'offline'; });
+    
+    log.info('Restored users', { users: this.users.size, browsers: this.browserToUser.size });
+  }
+  
   /**
    * Get count of unique browsers
    */
@@ -73,7 +123,7 @@ class UserManager {
       stats.objectsShot += 1;
     }
     
-    console.log(`Updated stats for user ${userId}: ${JSON.stringify(stats)}`);
+    log.debug('Updated user stats', { userId, action });
     return stats;
   }
   
@@ -90,7 +140,7 @@ class UserManager {
         stats
       }));
     } catch (error) {
-      console.error('Error sending user stats:', error);
+      log.error('Error sending user stats', error);
     }
   }
   
@@ -132,37 +182,46 @@ class UserManager {
   
   /**
    * Process user identity and determine if they're new or returning
-   * Improved to handle fingerprint variations and prevent identity conflicts
+   * `sessionUserId` comes from a verified session token and is the only way to
+   * claim an existing user; without one we fall back to matching the exact
+   * browser fingerprint, but only for users who have never been issued a
+   * session - anyone who has must present their token
    */
-  async processUserIdentity(browserFingerprint, providedUserId, providedUserName, clientIp, clientOrigin) {
+  async processUserIdentity(browserFingerprint, sessionUserId, providedUserName, clientIp, clientOrigin) {
     // Get approximate location from IP
     const location = await this.getLocationFromIp(clientIp);
     
     // Clean up the fingerprint to be more stable (remove timestamp if present)
     const stableFingerprint = this.getStableFingerprint(browserFingerprint);
     
-    // 1. First check: Do we know this exact browser fingerprint?
-    let existingUserData = this.browserToUser.get(stableFingerprint);
+    let existingUserData = null;
     
-    // 2. If not exact match, check for similar fingerprints
-    if (!existingUserData && providedUserId) {
-      // Look for any fingerprint associated with this userId
-      for (const [fp, userData] of this.browserToUser.entries()) {
-        if (userData.userId === providedUserId) {
-          console.log(`Found similar fingerprint for userId ${providedUserId}: ${fp} (vs ${stableFingerprint})`);
-          existingUserData = userData;
-          
-          // Associate this fingerprint with the existing user
-          // This way we "learn" the new fingerprint variation
-          this.browserToUser.set(stableFingerprint, existingUserData);
-          break;
-        }
+    if (sessionUserId) {
+      // 1. A valid session token proves who this is, whatever browser they're on
+      existingUserData = this.findBrowserDataByUserId(sessionUserId);
+      
+      if (existingUserData) {
+        existingUserData.sessionIssued = true;
+      }
+      
+      if (existingUserData && this.browserToUser.get(stableFingerprint) !== existingUserData) {
+        // Remember this browser for the session's user
+        this.browserToUser.set(stableFingerprint, existingUserData);
+        log.info('Associated browser with session user', { browserFingerprint: stableFingerprint, userId: sessionUserId });
+      }
+    } else {
+      // 2. Guest fallback: only an exact fingerprint match of a user without a session
+      const fingerprintUserData = this.browserToUser.get(stableFingerprint);
+      if (fingerprintUserData && !fingerprintUserData.sessionIssued) {
+        existingUserData = fingerprintUserData;
+      } else if (fingerprintUserData) {
+        log.info('Fingerprint belongs to a session user, not resuming without a token', { browserFingerprint: stableFingerprint, userId: fingerprintUserData.userId });
       }
     }
     
     // If this browser fingerprint is known and has a user ID
     if (existingUserData) {
-      console.log(`Recognized returning browser: ${stableFingerprint} as user: ${existingUserData.userId}, ${existingUserData.userName}`);
+      log.debug('Recognized returning browser', { browserFingerprint: stableFingerprint, userId: existingUserData.userId });
       
       // If user provided a new name, update it
       if (providedUserName && providedUserName !== existingUserData.userName) {
@@ -174,7 +233,7 @@ class UserManager {
           userData.name = providedUserName;
         }
         
-        console.log(`Updated user name for ${existingUserData.userId} to ${providedUserName}`);
+        log.debug('Updated user name', { userId: existingUserData.userId, userName: providedUserName });
       }
       
       // Update location if needed
@@ -189,7 +248,7 @@ class UserManager {
           userData.location = location;
         }
         
-        console.log(`Updated location for ${existingUserData.userId} to ${location}`);
+        log.debug('Updated user location', { userId: existingUserData.userId, location });
       }
       
       // Set status to online when user reconnects
@@ -222,65 +281,18 @@ class UserManager {
     } 
     // If this is a new browser
     else {
-      // Handle provided userId validation with improved logic
-      let isProvidedUserIdValid = false;
-      let conflictDetected = false;
-      
-      if (providedUserId) {
-        isProvidedUserIdValid = true;
-        
-        // Track if we found any conflicts
-        let conflictingFingerprints = [];
-        
-        // Check for any userId conflicts
-        for (const [fp, userData] of this.browserToUser.entries()) {
-          if (userData.userId === providedUserId) {
-            conflictingFingerprints.push(fp);
-            // We found a conflict but we won't immediately invalidate
-          }
-        }
-        
-        // If conflicts exist, check if they're recent users
-        if (conflictingFingerprints.length > 0) {
-          conflictDetected = true;
-          console.warn(`Provided userId ${providedUserId} has ${conflictingFingerprints.length} conflicting fingerprints`);
-          
-          // Check if any of the conflicting fingerprints have recent activity
-          const now = Date.now();
-          const MAX_INACTIVE_TIME = 7 * 24 * 60 * 60 * 1000; // 7 days
-          
-          let allInactive = true;
-          
-          for (const fp of conflictingFingerprints) {
-            const userData = this.browserToUser.get(fp);
-            const lastActivity = userData.lastActivity || userData.firstSeen || 0;
-            
-            if (now - lastActivity < MAX_INACTIVE_TIME) {
-              allInactive = false;
-              break;
-            }
-          }
-          
-          // If all conflicting fingerprints are inactive (old), we can reuse the userId
-          if (allInactive) {
-            console.log(`All conflicting fingerprints for ${providedUserId} are inactive, allowing reuse`);
-            conflictDetected = false;
-          } else {
-            // Active conflict - invalidate provided userId
-            isProvidedUserIdValid = false;
-          }
-        }
-      }
-      
-      // Generate a new userId if provided one is invalid or not provided
-      const userId = (isProvidedUserIdValid && providedUserId) || 
+      // A session user we no longer hold browser data for (e.g. pruned, or their
+      // fingerprint taken by a guest) keeps their ID, everyone else gets a fresh
+      // one - client-supplied IDs are never trusted
+      const userId = sessionUserId || 
                     `user-${Date.now()}-${Math.random().toString(36).substring(2, 7)}`;
+      const knownUser = sessionUserId ? this.users.get(sessionUserId) : null;
       
-      // For name, use provided name or generate a guest name
-      const userName = providedUserName || this.generateGuestName();
+      // For name, use provided name, the name we already know, or generate a guest name
+      const userName = providedUserName || (knownUser && knownUser.name) || this.generateGuestName();
       
       // Current timestamp for first joined
-      const firstJoined = new Date().toISOString();
+      const firstJoined = (knownUser && knownUser.firstJoined) || new Date().toISOString();
       
       // Store this data for the browser fingerprint
       this.browserToUser.set(stableFingerprint, {
@@ -291,7 +303,8 @@ class UserManager {
         firstJoined: firstJoined,
         location: location,
         status: 'online',
-        lastStatusChange: Date.now()
+        lastStatusChange: Date.now(),
+        sessionIssued: !!sessionUserId
       });
       
       // Store user data
@@ -313,20 +326,50 @@ class UserManager {
         stats.status = 'online';
       }
       
-      console.log(`Registered new browser: ${stableFingerprint} as user: ${userId}, ${userName}, location: ${location}, status: online`);
+      log.info('Registered new browser', { browserFingerprint: stableFingerprint, userId, userName, location });
       
       return {
         userId,
         userName,
-        isReturning: false,
+        isReturning: !!knownUser,
         firstJoined,
         location,
-        status: 'online',
-        conflictDetected: conflictDetected // Send this back to client
+        status: 'online'
       };
     }
   }
   
+  /**
+   * Find the user ID a browser fingerprint belongs to, if any
+   */
+  findUserIdByFingerprint(fingerprint) {
+    const userData = this.browserToUser.get(this.getStableFingerprint(fingerprint));
+    return userData ? userData.userId : null;
+  }
+  
+  /**
+   * Find the browser data record for a user ID
+   */
+  findBrowserDataByUserId(userId) {
+    for (const userData of this.browserToUser.values()) {
+      if (userData.userId === userId) {
+        return userData;
+      }
+    }
+    return null;
+  }
+  
+  /**
+   * Record that a user has been issued a session token
+   * From then on they can only be resumed with a token, not by fingerprint
+   */
+  markSessionIssued(userId) {
+    const userData = this.findBrowserDataByUserId(userId);
+    if (userData) {
+      userData.sessionIssued = true;
+    }
+  }
+  
   /**
    * Update a user's name
    */
@@ -350,11 +393,11 @@ class UserManager {
         userData.name = newName;
       }
       
-      console.log(`Updated user name for ${userId} to ${newName}`);
+      log.debug('Updated user name', { userId, userName: newName });
       return true;
     }
     
-    console.warn(`Failed to update name: User ${userId} not found`);
+    log.warn('Name update for unknown user', { userId });
     return false;
   }
   
@@ -388,18 +431,22 @@ class UserManager {
         stats.status = status;
       }
       
-      console.log(`Updated user status for ${userId} to ${status}`);
+      log.debug('Updated user status', { userId, status });
       return true;
     }
     
-    console.warn(`Failed to update status: User ${userId} not found`);
+    log.warn('Status update for unknown user', { userId });
     return false;
   }
   
   /**
-   * Broadcast the current user list to all clients with additional user filtering
+   * Broadcast the current user list to a set of clients with additional user filtering
+   * @param {Iterable<WebSocket>} clients - The connections to send the list to
+   * @param {Iterable<string>} userIds - Optional user IDs to limit the list to (e.g. a room's players)
+   * @returns {number} The number of clients the list was sent to
    */
-  broadcastUserList(wss) {
+  broadcastUserList(clients, userIds = null) {
+    let recipients = 0;
     try {
       // Only use browser fingerprints to determine unique users
       const activeUsers = [];
@@ -408,8 +455,14 @@ class UserManager {
       // Track how many users we've processed
       const MAX_USERS_TO_BROADCAST = 100; // Reasonable limit
       
+      const includedUserIds = userIds ? new Set(userIds) : null;
+      
       // Collect unique users by browser fingerprint
       this.browserToUser.forEach((userData, fingerprint) => {
+        if (includedUserIds && !includedUserIds.has(userData.userId)) {
+          return;
+        }
+        
         if (!seenUserIds.has(userData.userId) && activeUsers.length < MAX_USERS_TO_BROADCAST) {
           seenUserIds.add(userData.userId);
           
@@ -426,12 +479,17 @@ class UserManager {
               firstJoined: stats?.firstJoined || userData.firstJoined,
               location: stats?.location || userData.location || 'Unknown',
               level: stats?.level || 0,
-              health: stats?.health || 100,
+              health: stats?.health ?? 100,
               attack: stats?.attack || 10,
               ability: stats?.ability || 10,
               weapon: stats?.weapon || 'none',
               emblem: stats?.emblem || 'none',
-              timePlayed: stats?.timePlayed || '0d 0h'
+              timePlayed: stats?.timePlayed || '0d 0h',
+              kills: stats?.kills || 0,
+              deaths: stats?.deaths || 0,
+              assists: stats?.assists || 0,
+              damageDealt: stats?.damageDealt || 0,
+              damageTaken: stats?.damageTaken || 0
             },
             firstJoined: userData.firstJoined,
             location: userData.location || 'Unknown',
@@ -443,7 +501,7 @@ class UserManager {
       // If we reached the limit, add a note about truncation
       let message;
       if (seenUserIds.size > MAX_USERS_TO_BROADCAST) {
-        console.log(`User list truncated: ${seenUserIds.size} users, broadcasting only ${MAX_USERS_TO_BROADCAST}`);
+        log.info('User list truncated', { users: seenUserIds.size, shown: MAX_USERS_TO_BROADCAST });
         message = JSON.stringify({
           type: 'userListTruncated',
           users: activeUsers,
@@ -454,21 +512,24 @@ class UserManager {
         message = JSON.stringify(activeUsers);
       }
       
-      // Send to all connected clients
-      wss.clients.forEach((client) => {
+      // Send to the requested clients
+      for (const client of clients) {
         if (client.readyState === WebSocket.OPEN) {
           try {
             client.send(message);
+            recipients++;
           } catch (error) {
-            console.error('Error sending user list to client:', error);
+            log.error('Error sending user list to client', error);
           }
         }
-      });
+      }
       
-      console.log(`Broadcasted user list with ${activeUsers.length} unique users to all clients`);
+      log.debug('Broadcast user list', { users: activeUsers.length, recipients });
     } catch (error) {
-      console.error('Error broadcasting user list:', error);
+      log.error('Error broadcasting user list', error);
     }
+    
+    return recipients;
   }
   
   /**
@@ -535,7 +596,7 @@ class UserManager {
     // Prune inactive browser entries
     browsersToPrune.forEach(fingerprint => {
       const userData = this.browserToUser.get(fingerprint);
-      console.log(`Pruning inactive browser: ${fingerprint}, User: ${userData.userName}`);
+      log.debug('Pruning inactive browser', { browserFingerprint: fingerprint, userId: userData.userId });
       
       // Also remove stats for this user
       this.userStats.delete(userData.userId);
@@ -544,7 +605,7 @@ class UserManager {
     });
     
     if (browsersToPrune.length > 0) {
-      console.log(`Pruned ${browsersToPrune.length} inactive browser entries`);
+      log.info('Pruned inactive browsers', { browsers: browsersToPrune.length });
     }
     
     return browsersToPrune.length;
@@ -588,7 +649,7 @@ class UserManager {
     }
     
     stats.damageDealt += amount;
-    console.log(`User ${userId} has dealt a total of ${stats.damageDealt} damage`);
+    log.debug('Damage dealt recorded', { userId, total: stats.damageDealt });
     return stats;
   }
 
@@ -603,7 +664,7 @@ class UserManager {
     }
     
     stats.damageTaken += amount;
-    console.log(`User ${userId} has taken a total of ${stats.damageTaken} damage`);
+    log.debug('Damage taken recorded', { userId, total: stats.damageTaken });
     return stats;
   }
 
@@ -626,10 +687,40 @@ class UserManager {
     }
     victimStats.deaths += 1;
     
-    console.log(`User ${killerUserId} killed user ${victimUserId}`);
+    log.debug('Kill recorded', { killerId: killerUserId, victimId: victimUserId });
     return killerStats;
   }
 
+  /**
+   * Record a death nobody gets the kill for (falls and other self-inflicted damage)
+   */
+  recordPlayerDeath(victimUserId) {
+    const victimStats = this.getUserStats(victimUserId);
+    
+    if (!victimStats.deaths) {
+      victimStats.deaths = 0;
+    }
+    victimStats.deaths += 1;
+    
+    log.debug('Death recorded', { userId: victimUserId });
+    return victimStats;
+  }
+
+  /**
+   * Record an assist for a player who damaged someone shortly before they were killed
+   */
+  recordPlayerAssist(userId) {
+    const stats = this.getUserStats(userId);
+    
+    if (!stats.assists) {
+      stats.assists = 0;
+    }
+    stats.assists += 1;
+    
+    log.debug('Assist recorded', { userId, total: stats.assists });
+    return stats;
+  }
+
   /**
      * Initialize stats for a user - updated with combat stats
      */
@@ -647,6 +738,7 @@ class UserManager {
         damageTaken: 0,
         kills: 0,
         deaths: 0,
+        assists: 0,
         projectilesFired: 0,
         projectileHits: 0,
         //Other
@@ -696,7 +788,7 @@ class UserManager {
       stats.deliveriesMade += 1;
     }
     
-    console.log(`Updated stats for user ${userId}: ${JSON.stringify(stats)}`);
+    log.debug('Updated user stats', { userId, action });
     return stats;
   }
 
@@ -705,7 +797,7 @@ class UserManager {
     const stats = this.getUserStats(userId);
     if (stats) {
       stats.isFlying = isFlying;
-      console.log(`Updated flight state for user ${userId}: ${isFlying ? 'flying' : 'not flying'}`);
+      log.debug('Updated flight state', { userId, isFlying });
     }
     return stats;
   }
@@ -737,25 +829,25 @@ class UserManager {
     // Get the user's stats
     const stats = this.getUserStats(userId);
     if (!stats) {
-      console.warn(`Cannot update stat for unknown user: ${userId}`);
+      log.warn('Stat update for unknown user', { userId });
       return null;
     }
     
     // Comprehensive list of allowed stats
     const allowedStats = [
-      'level', 'health', 'attack', 'ability', 
+      'level', 'attack', 'ability', 
       'weapon', 'emblem', 'timePlayed', 'animationState', 'deliveriesMade'
     ];
     
     // Validate stat name
     if (!allowedStats.includes(stat)) {
-      console.warn(`Attempted to update disallowed stat: ${stat} for user ${userId}`);
+      log.warn('Stat update for disallowed stat', { userId, stat });
       return stats;
     }
     
     // Update the stat
     stats[stat] = value;
-    console.log(`Updated game stat for ${userId}: ${stat}=${value}`);
+    log.debug('Updated game stat', { userId, stat, value });
     
     // Return the updated stats
     return stats;
@@ -777,7 +869,7 @@ class UserManager {
         // Clear the bench ID when standing up
         delete stats.benchId;
       }
-      console.log(`Updated sitting state for user ${userId}: ${isSitting ? 'sitting' : 'standing'}`);
+      log.debug('Updated sitting state', { userId, isSitting });
     }
     return stats;
   }
@@ -800,7 +892,7 @@ class UserManager {
           delete stats.stunnedEndTime;
         }
         
-        console.log(`Updated stunned state for user ${userId}: ${isStunned ? 'stunned' : 'not stunned'}`);
+        log.debug('Updated stunned state', { userId, isStunned });
       }
       return stats;
   }
@@ -814,7 +906,7 @@ class UserManager {
       const stats = this.getUserStats(userId);
       if (stats) {
         stats.isSafeMode = isSafeMode;
-        console.log(`Updated safe mode for user ${userId}: ${isSafeMode ? 'enabled' : 'disabled'}`);
+        log.debug('Updated safe mode', { userId, isSafeMode });
       }
       return stats;
   }
@@ -832,7 +924,7 @@ class UserManager {
       stats.isPushing = isPushing;
       stats.isPushCartVisible = isCartVisible;
       stats.isPushingMoving = isMoving;
-      console.log(`Updated pushing state for user ${userId}: ${isPushing ? 'pushing' : 'not pushing'}, moving: ${isMoving}`);
+      log.debug('Updated pushing state', { userId, isPushing, isMoving });
     }
     return stats;
   }
@@ -852,7 +944,7 @@ class UserManager {
       if (heightOffset !== undefined) {
         stats.heightOffset = heightOffset;
       }
-      console.log(`Updated driving state for user ${userId}: ${isDriving ? 'driving' : 'not driving'}`);
+      log.debug('Updated driving state', { userId, isDriving });
     }
     return stats;
   }
@@ -1,8 +1,65 @@
+const WebSocket = require('ws');
+const { createLogger } = require('../utils/Logger');
+
+const log = createLogger('VoiceManager');
+
+// Public STUN server used when VOICE_ICE_SERVERS isn't configured
+const DEFAULT_ICE_SERVERS = [{ urls: 'stun:stun.l.google.com:19302' }];
+
+// An unanswered offer older than this no longer counts as pending
+const DEFAULT_NEGOTIATION_TIMEOUT = 15000;
+
+// Channel participants land in when they don't ask for one
+const DEFAULT_CHANNEL = 'general';
+
+// Channel bans last 10 minutes unless the moderator says otherwise
+const DEFAULT_BAN_DURATION = 10 * 60 * 1000;
+
+/**
+ * Moderation actions owners and moderators can take on a participant
+ */
+const MODERATION_ACTIONS = ['forceMute', 'unforceMute', 'kick', 'ban', 'unban'];
+
+/**
+ * Voice channel modes
+ * - open:      everyone in the channel hears everyone else
+ * - proximity: players only hear (and negotiate with) peers within hearing range
+ */
+const CHANNEL_MODES = ['open', 'proximity'];
+
+/**
+ * Manager for voice channels, participants and WebRTC signaling
+ *
+ * Each room has its own named voice channels and a participant is in at most
+ * one channel at a time. Signaling is only relayed between members of the same
+ * channel - and in proximity channels only between peers within hearing range.
+ *
+ * A channel's creator owns it and can appoint moderators. Owners, moderators
+ * and server-wide voice moderators can force-mute, kick and ban participants.
+ *
+ * Offers, answers and ICE candidates are relayed one-to-one between
+ * participants. The manager tracks the negotiation for each pair so answers and
+ * candidates are only relayed for a negotiation that exists, and resolves
+ * glare (both sides offering at once) in favour of the lower user ID.
+ *
+ * Configuration (environment):
+ *   VOICE_ICE_SERVERS              - JSON array of RTCIceServer objects (STUN/TURN)
+ *   VOICE_NEGOTIATION_TIMEOUT_MS   - how long an offer waits for an answer (default 15000)
+ *   VOICE_HEARING_RANGE            - proximity channel hearing range in world units (default 30)
+ *   VOICE_PROXIMITY_INTERVAL_MS    - how often proximity is recalculated (default 250)
+ *   VOICE_MODERATORS               - comma separated user IDs that moderate every channel
+ */
 class VoiceManager {
-  constructor() {
-    // Track users currently in voice chat
+  constructor(options = {}) {
+    // Track users currently in voice chat (in any channel)
     this.voiceParticipants = new Set();
     
+    // "<room ID>/<channel name>" -> { name, roomId, mode, members, persistent, createdBy }
+    this.channels = new Map();
+    
+    // User ID -> channel key
+    this.userChannels = new Map();
+    
     // Track talking state of users
     this.talkingUsers = new Set();
     
@@ -11,42 +68,213 @@ class VoiceManager {
     
     // Track users without microphone
     this.noMicUsers = new Set();
+    
+    // Track users who only listen (no voice activity accepted from them)
+    this.listenOnlyUsers = new Set();
+    
+    // Track users who talk with push-to-talk rather than voice activation
+    this.pushToTalkUsers = new Set();
+    
+    // ICE servers handed to clients when they join voice
+    this.iceServers = options.iceServers || parseIceServers(process.env.VOICE_ICE_SERVERS);
+    this.negotiationTimeout = options.negotiationTimeout ||
+      parseInt(process.env.VOICE_NEGOTIATION_TIMEOUT_MS, 10) || DEFAULT_NEGOTIATION_TIMEOUT;
+    
+    // Pair key -> { offererId, answererId, state: 'offered' | 'answered', updatedAt }
+    this.negotiations = new Map();
+    
+    this.hearingRange = options.hearingRange || parseFloat(process.env.VOICE_HEARING_RANGE) || 30;
+    this.proximityInterval = options.proximityInterval ||
+      parseInt(process.env.VOICE_PROXIMITY_INTERVAL_MS, 10) || 250;
+    
+    // User ID -> Map(peer user ID -> attenuation) last sent to them
+    this.audiblePeers = new Map();
+    
+    // Users who moderate every channel
+    const moderators = options.moderators || (process.env.VOICE_MODERATORS ? process.env.VOICE_MODERATORS.split(',') : []);
+    this.globalModerators = new Set(moderators.map(userId => userId.trim()).filter(Boolean));
   }
   
   /**
-   * Add a user to voice chat
+   * Get the key a room's channel is stored under
    */
-  addParticipant(userId, options = {}) {
-    if (!this.voiceParticipants.has(userId)) {
-      this.voiceParticipants.add(userId);
-      
-      // Handle no microphone status if provided
-      if (options.noMic) {
-        this.noMicUsers.add(userId);
+  getChannelKey(roomId, name) {
+    return `${roomId}/${name}`;
+  }
+  
+  /**
+   * Create a voice channel in a room
+   * Returns { success, channel } or { success: false, error }
+   */
+  createChannel(roomId, name, options = {}) {
+    const key = this.getChannelKey(roomId, name);
+    if (this.channels.has(key)) {
+      return { success: false, error: 'channelExists' };
+    }
+    
+    const mode = options.mode || 'open';
+    if (!CHANNEL_MODES.includes(mode)) {
+      return { success: false, error: 'invalidChannelMode' };
+    }
+    
+    const channel = {
+      name,
+      roomId,
+      mode,
+      members: new Set(),
+      persistent: !!options.persistent,
+      createdBy: options.createdBy || null,
+      // Moderation state lives on the channel so it survives leaving and rejoining
+      ownerId: options.createdBy || null,
+      moderators: new Set(),
+      forceMuted: new Set(),
+      bans: new Map() // user ID -> banned until
+    };
+    
+    this.channels.set(key, channel);
+    log.info('Created voice channel', { roomId, channel: name, mode });
+    return { success: true, channel };
+  }
+  
+  /**
+   * Get a room's voice channel by name
+   */
+  getChannel(roomId, name) {
+    return this.channels.get(this.getChannelKey(roomId, name)) || null;
+  }
+  
+  /**
+   * Get the channel a user is in
+   */
+  getUserChannel(userId) {
+    const key = this.userChannels.get(userId);
+    return key ? this.channels.get(key) : null;
+  }
+  
+  /**
+   * Get a summary of a room's voice channels
+   */
+  listChannels(roomId) {
+    const channels = [];
+    
+    this.channels.forEach((channel) => {
+      if (channel.roomId === roomId) {
+        channels.push({
+          name: channel.name,
+          mode: channel.mode,
+          participants: channel.members.size
+        });
       }
-      
-      console.log(`User ${userId} joined voice chat, total participants: ${this.voiceParticipants.size}`);
-      return true;
+    });
+    
+    return channels;
+  }
+  
+  /**
+   * Add a user to a voice channel in a room, leaving any channel they were in
+   * The room's default channel is created on demand; other channels must exist.
+   * Returns { success, channel, previousChannel } or { success: false, error }
+   */
+  addParticipant(userId, roomId, channelName = DEFAULT_CHANNEL, options = {}) {
+    let channel = this.getChannel(roomId, channelName);
+    
+    if (!channel && channelName === DEFAULT_CHANNEL) {
+      channel = this.createChannel(roomId, channelName, { persistent: true }).channel;
+    }
+    
+    if (!channel) {
+      return { success: false, error: 'channelNotFound' };
+    }
+    
+    if (this.isBanned(channel, userId)) {
+      return { success: false, error: 'bannedFromChannel', until: channel.bans.get(userId) };
     }
-    return false;
+    
+    const current = this.getUserChannel(userId);
+    if (current === channel) {
+      this.updateDeviceCapabilities(userId, options);
+      return { success: true, channel, previousChannel: null };
+    }
+    
+    const previousChannel = current ? this.removeParticipant(userId) : null;
+    
+    this.voiceParticipants.add(userId);
+    channel.members.add(userId);
+    this.userChannels.set(userId, this.getChannelKey(roomId, channel.name));
+    
+    // Handle device capabilities (no microphone, listen-only, push-to-talk) if provided
+    this.updateDeviceCapabilities(userId, options);
+    
+    log.debug('User joined voice channel', { userId, roomId, channel: channel.name, participants: channel.members.size });
+    return { success: true, channel, previousChannel };
   }
   
   /**
    * Remove a user from voice chat
+   * Returns the channel they left, or null if they weren't in one
    */
   removeParticipant(userId) {
-    if (this.voiceParticipants.has(userId)) {
-      this.voiceParticipants.delete(userId);
+    if (!this.voiceParticipants.has(userId)) {
+      return null;
+    }
+    
+    const channel = this.getUserChannel(userId);
+    
+    this.voiceParticipants.delete(userId);
+    this.userChannels.delete(userId);
+    
+    // Clean up all states
+    this.talkingUsers.delete(userId);
+    this.mutedUsers.delete(userId);
+    this.noMicUsers.delete(userId);
+    this.listenOnlyUsers.delete(userId);
+    this.pushToTalkUsers.delete(userId);
+    this.audiblePeers.delete(userId);
+    this.clearNegotiations(userId);
+    
+    if (channel) {
+      channel.members.delete(userId);
       
-      // Clean up all states
-      this.talkingUsers.delete(userId);
-      this.mutedUsers.delete(userId);
-      this.noMicUsers.delete(userId);
+      // Channels players made themselves go away with their last member
+      this.removeChannelIfUnused(channel);
       
-      console.log(`User ${userId} left voice chat, total participants: ${this.voiceParticipants.size}`);
-      return true;
+      this.audiblePeers.forEach(peers => peers.delete(userId));
+    }
+    
+    log.debug('User left voice chat', { userId, participants: this.voiceParticipants.size });
+    return channel;
+  }
+  
+  /**
+   * Remove a channel a player made once nobody is in it
+   * Channels with bans still running are kept (moderation state and all) so a
+   * banned user can't get back in by recreating the channel once it empties.
+   * Returns true if the channel was removed
+   */
+  removeChannelIfUnused(channel) {
+    if (channel.persistent || channel.members.size > 0 || this.hasActiveBans(channel)) {
+      return false;
     }
-    return false;
+    
+    this.channels.delete(this.getChannelKey(channel.roomId, channel.name));
+    log.info('Removed empty voice channel', { roomId: channel.roomId, channel: channel.name });
+    return true;
+  }
+  
+  /**
+   * Remove empty channels that were only kept for bans that have since run out
+   * Returns the number of channels removed
+   */
+  cleanupEmptyChannels() {
+    let removed = 0;
+    
+    this.channels.forEach((channel) => {
+      if (this.removeChannelIfUnused(channel)) {
+        removed++;
+      }
+    });
+    
+    return removed;
   }
   
   /**
@@ -67,8 +295,8 @@ class VoiceManager {
    * Update user's talking state
    */
   updateTalkingState(userId, isTalking) {
-    // Don't update talking state for users with no mic
-    if (this.noMicUsers.has(userId)) {
+    // Don't update talking state for listen-only users or who have been muted
+    if (this.isListenOnly(userId) || this.isForceMuted(userId)) {
       return;
     }
     
@@ -81,13 +309,17 @@ class VoiceManager {
   
   /**
    * Update user's muted state
+   * Returns false if they tried to unmute while force-muted
    */
   updateMutedState(userId, isMuted) {
     if (isMuted) {
       this.mutedUsers.add(userId);
+    } else if (this.isForceMuted(userId)) {
+      return false;
     } else {
       this.mutedUsers.delete(userId);
     }
+    return true;
   }
   
   /**
@@ -103,6 +335,47 @@ class VoiceManager {
     }
   }
   
+  /**
+   * Update a user's device capabilities
+   * Only the flags given are changed: { noMic, listenOnly, pushToTalk }
+   */
+  updateDeviceCapabilities(userId, capabilities = {}) {
+    if (capabilities.noMic !== undefined) {
+      this.updateMicrophoneStatus(userId, capabilities.noMic);
+    }
+    
+    if (capabilities.listenOnly !== undefined) {
+      if (capabilities.listenOnly) {
+        this.listenOnlyUsers.add(userId);
+        this.talkingUsers.delete(userId);
+      } else {
+        this.listenOnlyUsers.delete(userId);
+      }
+    }
+    
+    if (capabilities.pushToTalk !== undefined) {
+      if (capabilities.pushToTalk) {
+        this.pushToTalkUsers.add(userId);
+      } else {
+        this.pushToTalkUsers.delete(userId);
+      }
+    }
+  }
+  
+  /**
+   * Check if a user can only listen - by choice or because they have no mic
+   */
+  isListenOnly(userId) {
+    return this.listenOnlyUsers.has(userId) || this.noMicUsers.has(userId);
+  }
+  
+  /**
+   * Check if a user talks with push-to-talk
+   */
+  usesPushToTalk(userId) {
+    return this.pushToTalkUsers.has(userId);
+  }
+  
   /**
    * Check if a user is currently talking
    */
@@ -111,10 +384,127 @@ class VoiceManager {
   }
   
   /**
-   * Check if a user is currently muted
+   * Check if a user is currently muted (by themselves or a moderator)
    */
   isMuted(userId) {
-    return this.mutedUsers.has(userId);
+    return this.mutedUsers.has(userId) || this.isForceMuted(userId);
+  }
+  
+  /**
+   * Check if a user has been muted by a moderator of their channel
+   */
+  isForceMuted(userId) {
+    const channel = this.getUserChannel(userId);
+    return !!channel && channel.forceMuted.has(userId);
+  }
+  
+  /**
+   * Get a user's role in a channel: 'owner', 'moderator' or 'participant'
+   */
+  getRole(channel, userId) {
+    if (channel.ownerId === userId) return 'owner';
+    if (channel.moderators.has(userId) || this.globalModerators.has(userId)) return 'moderator';
+    return 'participant';
+  }
+  
+  /**
+   * Check if a user is banned from a channel, clearing bans that have run out
+   */
+  isBanned(channel, userId) {
+    const until = channel.bans.get(userId);
+    if (!until) return false;
+    
+    if (until <= Date.now()) {
+      channel.bans.delete(userId);
+      return false;
+    }
+    
+    return true;
+  }
+  
+  /**
+   * Check if anyone is still banned from a channel
+   */
+  hasActiveBans(channel) {
+    return Array.from(channel.bans.keys()).some(userId => this.isBanned(channel, userId));
+  }
+  
+  /**
+   * Check why an actor can't moderate a target in a channel
+   * Returns null if they can. Moderators can't act on the owner or each other.
+   */
+  getModerationBlocker(channel, actorId, targetId) {
+    const actorRole = this.getRole(channel, actorId);
+    
+    if (actorRole === 'participant') return 'notModerator';
+    if (actorId === targetId) return 'invalidTarget';
+    if (actorRole !== 'owner' && this.getRole(channel, targetId) !== 'participant') return 'targetIsModerator';
+    
+    return null;
+  }
+  
+  /**
+   * Apply a moderation action to a participant of a channel
+   * Returns { success, action, targetId, until } or { success: false, error }
+   */
+  moderate(channel, actorId, targetId, action, duration = DEFAULT_BAN_DURATION) {
+    if (!MODERATION_ACTIONS.includes(action)) {
+      return { success: false, error: 'invalidAction' };
+    }
+    
+    const blocker = this.getModerationBlocker(channel, actorId, targetId);
+    if (blocker) {
+      return { success: false, error: blocker };
+    }
+    
+    const inChannel = channel.members.has(targetId);
+    let until = null;
+    
+    if (action === 'forceMute') {
+      channel.forceMuted.add(targetId);
+      this.talkingUsers.delete(targetId);
+    } else if (action === 'unforceMute') {
+      channel.forceMuted.delete(targetId);
+    } else if (action === 'kick') {
+      if (!inChannel) {
+        return { success: false, error: 'targetNotInChannel' };
+      }
+      this.removeParticipant(targetId);
+    } else if (action === 'ban') {
+      until = Date.now() + duration;
+      channel.bans.set(targetId, until);
+      if (inChannel) {
+        this.removeParticipant(targetId);
+      }
+    } else if (action === 'unban') {
+      channel.bans.delete(targetId);
+    }
+    
+    log.info('Voice moderation', { roomId: channel.roomId, channel: channel.name, actorId, action, targetId });
+    return { success: true, action, targetId, until, removed: inChannel && (action === 'kick' || action === 'ban') };
+  }
+  
+  /**
+   * Appoint or dismiss a channel moderator - only the owner can
+   * Returns { success } or { success: false, error }
+   */
+  setModerator(channel, actorId, targetId, isModerator) {
+    if (channel.ownerId !== actorId) {
+      return { success: false, error: 'notOwner' };
+    }
+    
+    if (targetId === actorId) {
+      return { success: false, error: 'invalidTarget' };
+    }
+    
+    if (isModerator) {
+      channel.moderators.add(targetId);
+    } else {
+      channel.moderators.delete(targetId);
+    }
+    
+    log.info('Voice moderator changed', { roomId: channel.roomId, channel: channel.name, targetId, isModerator });
+    return { success: true };
   }
   
   /**
@@ -142,48 +532,276 @@ class VoiceManager {
     return {
       isTalking: this.isTalking(userId),
       isMuted: this.isMuted(userId),
-      hasNoMic: this.hasNoMic(userId)
+      hasNoMic: this.hasNoMic(userId),
+      listenOnly: this.isListenOnly(userId),
+      pushToTalk: this.usesPushToTalk(userId)
     };
   }
   
   /**
-   * Broadcast voice participants list to all clients
+   * Get the ICE (STUN/TURN) servers clients should use
+   */
+  getIceServers() {
+    return this.iceServers;
+  }
+  
+  /**
+   * Get the key for the negotiation between two users
+   */
+  getPairKey(userId, otherId) {
+    return userId < otherId ? `${userId}|${otherId}` : `${otherId}|${userId}`;
+  }
+  
+  /**
+   * Check whether two users can signal each other at all
+   * They have to share a channel, and in a proximity channel be within hearing range
+   */
+  canSignal(fromId, toId) {
+    if (fromId === toId || !this.isParticipant(fromId) || !this.isParticipant(toId)) {
+      return false;
+    }
+    
+    const channel = this.getUserChannel(fromId);
+    if (!channel || channel !== this.getUserChannel(toId)) {
+      return false;
+    }
+    
+    if (channel.mode === 'proximity') {
+      const peers = this.audiblePeers.get(fromId);
+      return !!peers && peers.has(toId);
+    }
+    
+    return true;
+  }
+  
+  /**
+   * Work out who can hear whom in a proximity channel
+   * getPosition(userId) returns a player's latest position or null.
+   * Returns [{ userId, peers: [{ userId, attenuation }] }] for the members whose
+   * audible peers changed since the last call; negotiations with peers who went
+   * out of range are dropped.
+   */
+  updateProximity(channel, getPosition) {
+    const positions = new Map();
+    channel.members.forEach((userId) => {
+      const position = getPosition(userId);
+      if (position) {
+        positions.set(userId, position);
+      }
+    });
+    
+    const updates = [];
+    
+    channel.members.forEach((userId) => {
+      const position = positions.get(userId);
+      const peers = new Map();
+      
+      if (position) {
+        positions.forEach((otherPosition, otherId) => {
+          if (otherId === userId) return;
+          
+          const dx = position.x - otherPosition.x;
+          const dy = position.y - otherPosition.y;
+          const dz = position.z - otherPosition.z;
+          const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+          
+          if (distance <= this.hearingRange) {
+            // Linear fall-off, rounded so small movements don't cause updates
+            peers.set(otherId, Math.round((1 - distance / this.hearingRange) * 20) / 20);
+          }
+        });
+      }
+      
+      const previous = this.audiblePeers.get(userId) || new Map();
+      const changed = peers.size !== previous.size ||
+        Array.from(peers).some(([peerId, attenuation]) => previous.get(peerId) !== attenuation);
+      
+      if (!changed) return;
+      
+      previous.forEach((attenuation, peerId) => {
+        if (!peers.has(peerId)) {
+          this.negotiations.delete(this.getPairKey(userId, peerId));
+        }
+      });
+      
+      this.audiblePeers.set(userId, peers);
+      updates.push({
+        userId,
+        peers: Array.from(peers).map(([peerId, attenuation]) => ({ userId: peerId, attenuation }))
+      });
+    });
+    
+    return updates;
+  }
+  
+  /**
+   * Get every proximity channel
+   */
+  getProximityChannels() {
+    return Array.from(this.channels.values()).filter(channel => channel.mode === 'proximity');
+  }
+  
+  /**
+   * Record an offer from one participant to another
+   * Returns { accepted: true, glareLoserId } or { accepted: false, reason }.
+   * On glare the lower user ID's offer wins; glareLoserId names the peer that
+   * has to roll back its own offer and answer instead.
+   * Force-muted participants can answer offers to keep listening, but can't make them.
+   */
+  recordOffer(fromId, toId) {
+    if (!this.canSignal(fromId, toId)) {
+      return { accepted: false, reason: 'peerUnavailable' };
+    }
+    
+    if (this.isForceMuted(fromId)) {
+      return { accepted: false, reason: 'forceMuted' };
+    }
+    
+    const key = this.getPairKey(fromId, toId);
+    const existing = this.negotiations.get(key);
+    const now = Date.now();
+    let glareLoserId = null;
+    
+    const pendingFromPeer = existing && existing.state === 'offered' &&
+      existing.offererId === toId && now - existing.updatedAt < this.negotiationTimeout;
+    
+    if (pendingFromPeer) {
+      if (fromId > toId) {
+        // The peer's offer stands - this one is dropped
+        return { accepted: false, reason: 'glare', winnerId: toId };
+      }
+      glareLoserId = toId;
+    }
+    
+    this.negotiations.set(key, { offererId: fromId, answererId: toId, state: 'offered', updatedAt: now });
+    return { accepted: true, glareLoserId };
+  }
+  
+  /**
+   * Record an answer to a pending offer
+   * Returns { accepted: true } or { accepted: false, reason }
    */
-  broadcastParticipantsList(wss) {
+  recordAnswer(fromId, toId) {
+    if (!this.canSignal(fromId, toId)) {
+      return { accepted: false, reason: 'peerUnavailable' };
+    }
+    
+    const negotiation = this.negotiations.get(this.getPairKey(fromId, toId));
+    if (!negotiation || negotiation.state !== 'offered' || negotiation.answererId !== fromId) {
+      return { accepted: false, reason: 'noPendingOffer' };
+    }
+    
+    negotiation.state = 'answered';
+    negotiation.updatedAt = Date.now();
+    return { accepted: true };
+  }
+  
+  /**
+   * Check an ICE candidate can be relayed - both ends must be negotiating
+   * Returns { accepted: true } or { accepted: false, reason }
+   */
+  recordIceCandidate(fromId, toId) {
+    if (!this.canSignal(fromId, toId)) {
+      return { accepted: false, reason: 'peerUnavailable' };
+    }
+    
+    if (!this.negotiations.has(this.getPairKey(fromId, toId))) {
+      return { accepted: false, reason: 'noNegotiation' };
+    }
+    
+    return { accepted: true };
+  }
+  
+  /**
+   * Drop every negotiation a user is part of
+   * Returns the IDs of the peers they were negotiating with
+   */
+  clearNegotiations(userId) {
+    const peerIds = [];
+    
+    this.negotiations.forEach((negotiation, key) => {
+      if (negotiation.offererId === userId || negotiation.answererId === userId) {
+        this.negotiations.delete(key);
+        peerIds.push(negotiation.offererId === userId ? negotiation.answererId : negotiation.offererId);
+      }
+    });
+    
+    return peerIds;
+  }
+  
+  /**
+   * Broadcast a voice channel's participants list to a set of clients
+   * @param {Iterable<WebSocket>} clients - The connections to send the list to
+   * @param {object} channel - The channel whose participants are listed
+   * @returns {number} The number of clients the list was sent to
+   */
+  broadcastParticipantsList(clients, channel) {
+    let recipients = 0;
     try {
-      const participants = this.getParticipants();
+      const participants = Array.from(channel.members);
       
       // Create a detailed list with states
       const detailedParticipants = participants.map(userId => ({
         userId,
         isTalking: this.isTalking(userId),
         isMuted: this.isMuted(userId),
-        noMic: this.hasNoMic(userId)
+        isForceMuted: channel.forceMuted.has(userId),
+        noMic: this.hasNoMic(userId),
+        listenOnly: this.isListenOnly(userId),
+        pushToTalk: this.usesPushToTalk(userId),
+        role: this.getRole(channel, userId)
       }));
       
       // Create the message
       const message = JSON.stringify({
         type: 'voiceParticipants',
+        channel: channel.name,
+        mode: channel.mode,
         participants,
         detailedParticipants
       });
       
-      // Send to all connected clients
-      wss.clients.forEach((client) => {
+      // Send to the requested clients
+      for (const client of clients) {
         if (client.readyState === WebSocket.OPEN) {
           try {
             client.send(message);
+            recipients++;
           } catch (error) {
-            console.error('Error sending voice participants list to client:', error);
+            log.error('Error sending voice participants list to client', error);
           }
         }
-      });
+      }
       
-      console.log(`Broadcasted voice participants list with ${participants.length} users to all clients`);
+      log.debug('Broadcast voice participants list', { channel: channel.name, participants: participants.length, recipients });
     } catch (error) {
-      console.error('Error broadcasting voice participants list:', error);
+      log.error('Error broadcasting voice participants list', error);
     }
+    
+    return recipients;
   }
 }
 
-module.exports = VoiceManager;
\ No newline at end of file
+/**
+ * Parse the VOICE_ICE_SERVERS setting, falling back to a public STUN server
+ */
+function parseIceServers(value) {
+  if (!value) return DEFAULT_ICE_SERVERS;
+  
+  try {
+    const servers = JSON.parse(value);
+    if (Array.isArray(servers) && servers.every(server => server && server.urls)) {
+      return servers;
+    }
+  } catch (error) {
+    // Fall through to the warning below
+  }
+  
+  log.warn('VOICE_ICE_SERVERS must be a JSON array of { urls, username, credential } - using the default STUN server');
+  return DEFAULT_ICE_SERVERS;
+}
+
+module.exports = VoiceManager;
+module.exports.DEFAULT_CHANNEL = DEFAULT_CHANNEL;
+module.exports.CHANNEL_MODES = CHANNEL_MODES;
+module.exports.MODERATION_ACTIONS = MODERATION_ACTIONS;
\ No newline at end of file
@@ -3,30 +3,90 @@ const http = require('http');
 const UserManager = require('./managers/UserManager');
 const ClientManager = require('./managers/ClientManager');
 const ChatManager = require('./managers/ChatManager');
+const ModerationManager = require('./managers/ModerationManager');
+const BanManager = require('./managers/BanManager');
 const ServerState = require('./utils/ServerState');
 const { setupErrorHandlers } = require('./utils/ErrorHandlers');
 const VoiceManager = require('./managers/VoiceManager');
+const SessionManager = require('./managers/SessionManager');
+const RoomManager = require('./managers/RoomManager');
+const InterestManager = require('./managers/InterestManager');
+const SnapshotManager = require('./managers/SnapshotManager');
+const CombatManager = require('./managers/CombatManager');
+const PersistenceManager = require('./managers/PersistenceManager');
+const { createStorage, ChatHistoryStore } = require('./storage');
 const GameChatManager = require('./managers/GameChatManager');
+const MessageRegistry = require('./utils/MessageRegistry');
+const AdminApi = require('./utils/AdminApi');
+const { renderMetrics } = require('./utils/Metrics');
+const { ValidationError } = require('./utils/SchemaValidator');
+const { createLogger } = require('./utils/Logger');
+const messageHandlers = require('./handlers');
 
-const messageRateLimits = {
-  'updatePlayerStat': { limit: 5, window: 1000 }, // 5 per second
-  'playerWeaponVisibility': { limit: 2, window: 1000 }, // 2 per second
-};
+const log = createLogger('server');
+
+// Hot path handlers (see MessageRegistry) only have one in every LOG_SAMPLE_EVERY messages logged
+const hotPathLog = log.sampled();
 
 const clientMessageCounts = new Map();
 
+// Pulls the type out of an outgoing frame without parsing it (frames start with {"type":...)
+const FRAME_TYPE_PATTERN = /^\{"type":"([a-zA-Z0-9_]+)"/;
+
+// Longest a shutdown may take before the process exits anyway (SHUTDOWN_TIMEOUT_MS)
+const DEFAULT_SHUTDOWN_TIMEOUT = 10000;
+
+// How long clients are told to wait before reconnecting after a shutdown (SHUTDOWN_RECONNECT_MS)
+const DEFAULT_RECONNECT_DELAY = 5000;
+
+// Close code for connections closed because the server is going away
+const GOING_AWAY_CLOSE_CODE = 1001;
+
 // Create main server class
 class WebSocketServer {
-  constructor(port = process.env.PORT || 8080) {
+  constructor(port = process.env.PORT || 8080, options = {}) {
     this.port = port;
+    this.shutdownTimeout = options.shutdownTimeout || parseInt(process.env.SHUTDOWN_TIMEOUT_MS, 10) || DEFAULT_SHUTDOWN_TIMEOUT;
+    this.reconnectDelay = options.reconnectDelay || parseInt(process.env.SHUTDOWN_RECONNECT_MS, 10) || DEFAULT_RECONNECT_DELAY;
+    
+    // Set to the shutdown in progress once shutdown() is called
+    this.shuttingDown = null;
+    
+    // Timers started by setupIntervals, cleared on shutdown
+    this.intervals = [];
+    
+    // Storage backend shared by persistence and chat history
+    this.storage = options.storage || createStorage();
     
     // Create managers
     this.userManager = new UserManager();
     this.serverState = new ServerState();
     this.clientManager = new ClientManager(this.userManager, this.serverState);
-    this.chatManager = new ChatManager();
+    this.banManager = new BanManager();
+    this.moderationManager = new ModerationManager(this.userManager, this.banManager);
+    this.chatHistoryStore = new ChatHistoryStore(this.storage);
+    this.chatManager = new ChatManager(this.chatHistoryStore, this.moderationManager);
     this.voiceManager = new VoiceManager();
-    this.gameChatManager = new GameChatManager();
+    this.gameChatManager = new GameChatManager(this.moderationManager);
+    this.sessionManager = new SessionManager();
+    this.roomManager = new RoomManager();
+    this.interestManager = new InterestManager();
+    this.snapshotManager = new SnapshotManager();
+    this.combatManager = new CombatManager(this.userManager, this.interestManager);
+    
+    // Persist users, stats, chat, bans and session revocations across restarts
+    this.persistenceManager = new PersistenceManager(this.storage);
+    this.persistenceManager.register('users', this.userManager);
+    this.persistenceManager.register('chat', this.chatManager);
+    this.persistenceManager.register('sessions', this.sessionManager);
+    this.persistenceManager.register('bans', this.banManager);
+    
+    // Register inbound message handlers
+    this.messageRegistry = new MessageRegistry();
+    this.messageRegistry.registerAll(messageHandlers);
+    
+    // Operations API under /admin (off unless ADMIN_TOKEN is set)
+    this.adminApi = new AdminApi(this);
     
     // Create HTTP server
     this.server = this.createHttpServer();
@@ -34,8 +94,8 @@ class WebSocketServer {
     // Create WebSocket server
     this.wss = this.createWebSocketServer();
     
-    // Setup error handlers
-    setupErrorHandlers(this.serverState);
+    // Setup error handlers - an uncaught exception leaves the process in an unknown state, so shut down
+    setupErrorHandlers(this.serverState, () => this.shutdownAndExit('uncaughtException', 1));
     
     // Setup health checks and cleanup
     this.setupIntervals();
@@ -57,6 +117,18 @@ class WebSocketServer {
         return;
       }
       
+      // Authenticated operations API
+      if (this.adminApi.matches(req)) {
+        this.adminApi.handleRequest(req, res);
+        return;
+      }
+      
+      // Prometheus scrape endpoint (optionally protected by METRICS_TOKEN)
+      if (req.url === '/metrics') {
+        this.handleMetricsRequest(req, res);
+        return;
+      }
+      
       // Explicitly handle WebSocket upgrade path
       if (req.url === '/ws' || req.url === '/') {
         // For GET requests to the WebSocket endpoint, provide a helpful message
@@ -82,19 +154,67 @@ class WebSocketServer {
     
     // Error handling for the server
     server.on('error', (error) => {
-      this.serverState.incrementErrors();
-      console.error('HTTP Server Error:', error);
+      this.serverState.incrementErrors('http');
+      log.error('HTTP server error', error);
     });
     
     return server;
   }
   
+  /**
+   * Serve metrics in the Prometheus text format
+   * When METRICS_TOKEN is set, scrapes need an `Authorization: Bearer <METRICS_TOKEN>` header
+   */
+  handleMetricsRequest(req, res) {
+    const token = process.env.METRICS_TOKEN;
+    if (token && req.headers.authorization !== `Bearer ${token}`) {
+      res.writeHead(401, { 'Content-Type': 'text/plain' });
+      res.end('Unauthorized\n');
+      return;
+    }
+    
+    const userIds = new Set();
+    this.clientManager.connectedClients.forEach((client) => {
+      if (client.userId) {
+        userIds.add(client.userId);
+      }
+    });
+    
+    res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+    res.end(renderMetrics(this.serverState, {
+      sockets: this.wss ? this.wss.clients.size : 0,
+      users: userIds.size,
+      rooms: this.roomManager.listRooms().length,
+      voiceParticipants: this.voiceManager.userChannels.size
+    }));
+  }
+  
+  /**
+   * Count every frame sent on a connection, by type and size
+   */
+  instrumentSocket(ws) {
+    const send = ws.send.bind(ws);
+    
+    ws.send = (data, ...args) => {
+      const isText = typeof data === 'string';
+      const match = isText ? FRAME_TYPE_PATTERN.exec(data) : null;
+      this.serverState.recordMessageSent(match ? match[1] : 'other', isText ? Buffer.byteLength(data) : data.length || 0);
+      return send(data, ...args);
+    };
+  }
+  
   createWebSocketServer() {
     // Create a WebSocket server with improved CORS handling
     const wss = new WebSocket.Server({
       server: this.server,
       // More permissive verification to help with debugging
       verifyClient: (info, done) => {
+        // No new connections while draining for a shutdown
+        if (this.shuttingDown) {
+          done(false, 503, 'Server shutting down');
+          return;
+        }
+        
         const origin = info.req.headers.origin || 'unknown';
         const allowedOrigins = [
           'https://paraverse.games',
@@ -105,8 +225,14 @@ class WebSocketServer {
           'https://127.0.0.1:3000'
         ];
         
-        // Log all connection attempts
-        console.log(`Connection attempt from origin: ${origin}`);
+
+        // Banned addresses are turned away before the upgrade
+        const ban = this.banManager.check('ban', { ip: info.req.socket.remoteAddress });
+        if (ban) {
+          log.warn('Connection from banned address rejected', { ip: info.req.socket.remoteAddress, origin, banId: ban.id });
+          done(false, 403, 'Banned');
+          return;
+        }
         
         // More permissive check for development
         let isAllowed = true;
@@ -118,7 +244,9 @@ class WebSocketServer {
                     origin.endsWith('paraverse.games'); // Any subdomain
         }
         
-        console.log(`Connection ${isAllowed ? 'ALLOWED' : 'REJECTED'}`);
+        if (!isAllowed) {
+          log.warn('Connection from disallowed origin rejected', { origin });
+        }
         done(isAllowed);
       }
     });
@@ -135,16 +263,28 @@ class WebSocketServer {
     
     // Implement rate limiting by IP address
     if (!this.clientManager.shouldAllowConnection(clientIp)) {
-      console.warn(`Connection from ${clientIp} rate limited, closing.`);
+      log.warn('Connection rate limited, closing', { ip: clientIp });
       ws.close(1008, 'Rate limit exceeded');
       return;
     }
     
+    // A ban may have been added since the upgrade was verified
+    const ipBan = this.banManager.check('ban', { ip: clientIp });
+    if (ipBan) {
+      const { code, reason } = this.banManager.getCloseDetails(ipBan);
+      ws.close(code, reason);
+      return;
+    }
+    
     // Register client with client manager
     const clientId = this.clientManager.registerClient(ws, clientIp, clientOrigin);
     this.serverState.incrementConnections();
+    this.instrumentSocket(ws);
+    
+    // Everyone starts out in the default room
+    this.roomManager.joinRoom(ws, this.roomManager.defaultRoom);
     
-    console.log(`Client ${clientId} connected from IP: ${clientIp}, Origin: ${clientOrigin}, Total: ${this.wss.clients.size}`);
+    log.info('Client connected', { clientId, ip: clientIp, origin: clientOrigin, sockets: this.wss.clients.size });
     
     // Set up message handler
     ws.on('message', (message) => this.handleMessage(ws, message, clientId));
@@ -154,16 +294,16 @@ class WebSocketServer {
     
     // Set up error handler
     ws.on('error', (error) => {
-      this.serverState.incrementErrors();
-      console.error(`WebSocket error for client ${clientId}:`, error);
+      this.serverState.incrementErrors('websocket');
+      log.error('WebSocket error', { clientId, error });
     });
   }
 
   // Check rate limit for a specific message type
-  checkRateLimit(ws, messageType) {
-    if (!messageRateLimits[messageType]) return true; // No limit for this type
+  checkRateLimit(ws, messageType, rateLimit) {
+    if (!rateLimit) return true; // No limit for this type
     
-    const { limit, window } = messageRateLimits[messageType];
+    const { limit, window } = rateLimit;
     const now = Date.now();
     
     // Get or create client record
@@ -199,1109 +339,240 @@ class WebSocketServer {
   handleMessage(ws, message, clientId) {
     try {
       const msgStr = message.toString();
-      console.log(`Received message from ${clientId}:`, msgStr.substring(0, 1000) + (msgStr.length > 1000 ? '...' : ''));
       
       // Update client activity
       this.clientManager.updateClientActivity(ws);
       this.serverState.incrementMessages();
       
-      const parsedMessage = JSON.parse(msgStr);
-      
-      // Handle identity message with browser fingerprint
-      if (parsedMessage.type === 'identity' && parsedMessage.browserFingerprint) {
-        this.handleIdentity(ws, parsedMessage, clientId);
-        return;
-      }
-
-      // Handle player sitting state messages
-      if (parsedMessage.type === 'playerSittingState' && 
-        parsedMessage.userId && 
-        typeof parsedMessage.isSitting === 'boolean') {
+      let parsedMessage;
       try {
-        const { userId, isSitting, benchId } = parsedMessage;
-        
-        console.log(`Sitting state update from user ${userId}: ${isSitting ? 'sitting' : 'standing'}${benchId ? ' on bench ' + benchId : ''}`);
-        
-        // Update the player's sitting state in UserManager
-        this.userManager.updateUserSittingState(userId, isSitting, benchId);
-        
-        // Broadcast the sitting state to all other clients
-        this.wss.clients.forEach((client) => {
-          if (client !== ws && client.readyState === WebSocket.OPEN) {
-            try {
-              client.send(JSON.stringify({
-                type: 'playerSittingState',
-                userId,
-                isSitting,
-                benchId
-              }));
-            } catch (error) {
-              console.error('Error broadcasting sitting state update:', error);
-            }
-          }
-        });
-        
-        return;
+        parsedMessage = JSON.parse(msgStr);
       } catch (error) {
-        console.error('Error handling sitting state update:', error);
-      }
-      }
-
-      // Handle player stunned state messages
-      if (parsedMessage.type === 'playerStunnedState' && 
-        parsedMessage.userId && 
-        typeof parsedMessage.isStunned === 'boolean') {
-        try {
-          const { userId, isStunned, duration } = parsedMessage;
-          
-          console.log(`Stunned state update from user ${userId}: ${isStunned ? 'stunned' : 'not stunned'}${duration ? ` for ${duration}ms` : ''}`);
-          
-          // Update the player's stunned state in UserManager (we'll add this method soon)
-          this.userManager.updateUserStunnedState(userId, isStunned, duration);
-          
-          // Broadcast the stunned state to all other clients
-          this.wss.clients.forEach((client) => {
-            if (client !== ws && client.readyState === WebSocket.OPEN) {
-              try {
-                client.send(JSON.stringify({
-                  type: 'playerStunnedState',
-                  userId,
-                  isStunned,
-                  duration
-                }));
-              } catch (error) {
-                console.error('Error broadcasting stunned state update:', error);
-              }
-            }
-          });
-          
-          return;
-        } catch (error) {
-          console.error('Error handling stunned state update:', error);
-        }
+        this.serverState.recordMessageReceived('invalid', message.length);
+        log.warn('Malformed message', { clientId, bytes: message.length });
+        this.sendErrorMessage(ws, 'Malformed message', { code: 'invalidJson' });
+        return;
       }
       
-      // Handle player safe mode messages
-      if (parsedMessage.type === 'playerSafeMode' && 
-          parsedMessage.userId && 
-          typeof parsedMessage.isSafeMode === 'boolean') {
-        try {
-          const { userId, isSafeMode } = parsedMessage;
-          
-          console.log(`Safe mode update from user ${userId}: ${isSafeMode ? 'enabled' : 'disabled'}`);
-          
-          // Update the player's safe mode in UserManager (we'll add this method soon)
-          this.userManager.updateUserSafeMode(userId, isSafeMode);
-          
-          // Broadcast the safe mode to all other clients
-          this.wss.clients.forEach((client) => {
-            if (client !== ws && client.readyState === WebSocket.OPEN) {
-              try {
-                client.send(JSON.stringify({
-                  type: 'playerSafeMode',
-                  userId,
-                  isSafeMode
-                }));
-              } catch (error) {
-                console.error('Error broadcasting safe mode update:', error);
-              }
-            }
-          });
-          
-          return;
-        } catch (error) {
-          console.error('Error handling safe mode update:', error);
-        }
-      }
-
-      // Push State
-      if (parsedMessage.type === 'playerPushStatus' && 
-          parsedMessage.userId && 
-          typeof parsedMessage.isCartVisible === 'boolean' &&
-          typeof parsedMessage.isPushing === 'boolean') {
-        try {
-          const { userId, isCartVisible, isPushing, isMoving } = parsedMessage;
-          
-          console.log(`Push state update from user ${userId}: ${isPushing ? 'pushing' : 'not pushing'}, cart visible: ${isCartVisible}, moving: ${isMoving || false}`);
-          
-          // Update the player's pushing state in UserManager
-          this.userManager.updateUserPushingState(userId, isPushing, isCartVisible, isMoving);
-          
-          // Broadcast the pushing state to all other clients
-          this.wss.clients.forEach((client) => {
-            if (client !== ws && client.readyState === WebSocket.OPEN) {
-              try {
-                client.send(JSON.stringify({
-                  type: 'playerPushStatus',
-                  userId,
-                  isCartVisible,
-                  isPushing,
-                  isMoving: isMoving || false // Include movement state
-                }));
-              } catch (error) {
-                console.error('Error broadcasting push state update:', error);
-              }
-            }
-          });
-          
-          return;
-        } catch (error) {
-          console.error('Error handling push state update:', error);
-        }
-      }
-
-      //Mount State
-      if (parsedMessage.type === 'playerCartStatus' && 
-          parsedMessage.userId && 
-          typeof parsedMessage.isCartVisible === 'boolean' &&
-          typeof parsedMessage.isDriving === 'boolean') {
-        try {
-          const { userId, isCartVisible, isDriving, heightOffset } = parsedMessage;
-          
-          console.log(`Cart state update from user ${userId}: ${isDriving ? 'driving' : 'not driving'}, cart visible: ${isCartVisible}`);
-          
-          // Update the player's driving state in UserManager
-          this.userManager.updateUserDrivingState(userId, isDriving, isCartVisible, heightOffset);
-          
-          // Broadcast the cart state to all other clients
-          this.wss.clients.forEach((client) => {
-            if (client !== ws && client.readyState === WebSocket.OPEN) {
-              try {
-                client.send(JSON.stringify({
-                  type: 'playerCartStatus',
-                  userId,
-                  isCartVisible,
-                  isDriving,
-                  heightOffset
-                }));
-              } catch (error) {
-                console.error('Error broadcasting cart state update:', error);
-              }
-            }
-          });
-          
-          return;
-        } catch (error) {
-          console.error('Error handling cart state update:', error);
-        }
-      }
-
-      // Handle player cart colors updates
-      if (parsedMessage.type === 'playerCartColors' && 
-        parsedMessage.userId &&
-        parsedMessage.primaryColor &&
-        parsedMessage.secondaryColor) {
-      try {
-        const { userId, primaryColor, secondaryColor } = parsedMessage;
-        
-        console.log(`Cart colors update from user ${userId}: primary=${primaryColor}, secondary=${secondaryColor}`);
-        
-        // Store the colors in user stats
-        const userStats = this.userManager.getUserStats(userId);
-        if (userStats) {
-          userStats.cartPrimaryColor = primaryColor;
-          userStats.cartSecondaryColor = secondaryColor;
-        }
-        
-        // Broadcast the cart colors to all other clients
-        this.wss.clients.forEach((client) => {
-          if (client !== ws && client.readyState === WebSocket.OPEN) {
-            try {
-              client.send(JSON.stringify({
-                type: 'playerCartColors',
-                userId,
-                primaryColor,
-                secondaryColor
-              }));
-            } catch (error) {
-              console.error('Error broadcasting cart colors update:', error);
-            }
-          }
-        });
-        
+      if (!parsedMessage || typeof parsedMessage !== 'object' || typeof parsedMessage.type !== 'string') {
+        this.serverState.recordMessageReceived('invalid', message.length);
+        this.sendErrorMessage(ws, 'Message type is required', { code: 'missingType' });
         return;
-      } catch (error) {
-        console.error('Error handling cart colors update:', error);
       }
+      
+      const messageType = parsedMessage.type;
+      const handler = this.messageRegistry.get(messageType);
+      
+      // Only registered types become metric labels, so clients can't invent new series
+      this.serverState.recordMessageReceived(handler ? messageType : 'unknown', message.length);
+      (handler && handler.hotPath ? hotPathLog : log).debug('Message received', { clientId, type: messageType, bytes: message.length });
+      
+      // Unregistered types are rejected rather than relayed to everyone
+      if (!handler) {
+        log.warn('Unknown message type', { clientId, type: messageType });
+        this.sendErrorMessage(ws, `Unknown message type: ${messageType}`, { code: 'unknownType', messageType });
+        return;
       }
       
-      // Handle ping-pong specially
-      if (parsedMessage.type === 'ping') {
-        try {
-          ws.send(JSON.stringify({ type: 'pong', timestamp: Date.now() }));
-          return;
-        } catch (error) {
-          console.error('Error sending pong:', error);
-        }
+      // Gameplay messages need a completed identity handshake
+      const senderId = this.clientManager.getClientUserId(ws);
+      if (handler.requiresAuth && !senderId) {
+        log.warn('Message rejected: identity not established', { clientId, type: messageType });
+        this.sendErrorMessage(ws, 'Identity required', { code: 'unauthenticated', messageType });
+        return;
       }
       
-      // Handle getUsers request
-      if (parsedMessage.type === 'getUsers') {
-        try {
-          // Broadcast to all clients instead of just responding to this one
-          this.userManager.broadcastUserList(this.wss);
+      // Messages act on behalf of the connection's own user, never a payload-supplied one
+      if (handler.senderField) {
+        const claimedId = parsedMessage[handler.senderField];
+        
+        if (claimedId !== undefined && claimedId !== null && claimedId !== senderId) {
+          log.warn('Message rejected: sender mismatch', { clientId, type: messageType, field: handler.senderField, claimedId, userId: senderId });
+          this.sendErrorMessage(ws, `${handler.senderField} does not match the authenticated user`, {
+            code: 'senderMismatch',
+            messageType,
+            field: handler.senderField
+          });
           return;
-        } catch (error) {
-          console.error('Error handling getUsers request:', error);
         }
+        
+        parsedMessage[handler.senderField] = senderId;
       }
       
-      // Handle name update request
-      if (parsedMessage.type === 'updateName' && parsedMessage.userId && parsedMessage.userName) {
-        try {
-          const success = this.userManager.updateUserName(parsedMessage.userId, parsedMessage.userName);
-          if (success) {
-            // Broadcast updated user list to all clients
-            this.userManager.broadcastUserList(this.wss);
-          }
-          return;
-        } catch (error) {
-          console.error('Error handling updateName request:', error);
-        }
+      // Validate against the handler's schema - this also strips unknown fields
+      const validation = this.messageRegistry.validateMessage(handler, parsedMessage);
+      if (!validation.valid) {
+        this.sendValidationError(ws, clientId, messageType, validation.field, validation.reason);
+        return;
       }
       
-      // Handle user stats request
-      if (parsedMessage.type === 'getUserStats' && parsedMessage.userId) {
-        try {
-          // Send the requested user's stats back to the client
-          this.userManager.sendUserStats(ws, parsedMessage.userId);
-          return;
-        } catch (error) {
-          console.error('Error handling getUserStats request:', error);
-        }
+      if (handler.rateLimit && !this.checkRateLimit(ws, messageType, handler.rateLimit)) {
+        log.warn('Rate limit exceeded', { clientId, type: messageType });
+        this.serverState.recordRateLimited(messageType);
+        return;
       }
       
-      // Handle record action request (meteor sent or object shot)
-      if (parsedMessage.type === 'recordAction' && parsedMessage.action) {
-        try {
-          // First try to get userId from the message itself
-          let userId = parsedMessage.userId;
-          
-          // If not in message, fall back to client manager
-          if (!userId) {
-            userId = this.clientManager.getClientUserId(ws);
+      const context = { server: this, ws, clientId, userId: senderId, message: validation.value };
+      const startedAt = process.hrtime.bigint();
+      
+      Promise.resolve()
+        .then(() => handler.handle(context))
+        .finally(() => {
+          this.serverState.observeHandlerLatency(messageType, Number(process.hrtime.bigint() - startedAt) / 1e9);
+        })
+        .then((payload) => {
+          if (payload) {
+            this.dispatchPayload(ws, handler.broadcast, payload);
           }
-          
-          if (userId) {
-            // Update the user's stats
-            const updatedStats = this.userManager.updateUserStats(userId, parsedMessage.action);
-            
-            // Send updated stats back to the client
-            ws.send(JSON.stringify({
-              type: 'userStats',
-              userId: userId,
-              stats: updatedStats
-            }));
-            
-            // Since stats have changed, broadcast updated user list
-            this.userManager.broadcastUserList(this.wss);
-            
-            console.log(`Updated stats for ${parsedMessage.action} by user ${userId}`);
-          } else {
-            console.warn('Could not identify user for recordAction:', parsedMessage);
+        })
+        .catch((error) => {
+          if (error instanceof ValidationError) {
+            this.sendValidationError(ws, clientId, messageType, error.field, error.reason);
+            return;
           }
-          return;
-        } catch (error) {
-          console.error('Error handling recordAction request:', error);
-        }
+          
+          this.serverState.incrementErrors(messageType);
+          log.error('Error handling message', { clientId, type: messageType, error });
+          this.sendErrorMessage(ws, `Error processing ${messageType}`, { code: 'handlerError', messageType });
+        });
+    } catch (error) {
+      this.serverState.incrementErrors('handleMessage');
+      log.error('Error handling message', { clientId, error });
+    }
+  }
+  
+  /**
+   * Reject a message that failed validation with a structured error frame
+   */
+  sendValidationError(ws, clientId, messageType, field, reason) {
+    log.warn('Invalid message', { clientId, type: messageType, field, reason });
+    this.sendErrorMessage(ws, `Invalid field ${field}: ${reason}`, {
+      code: 'invalidMessage',
+      messageType,
+      field,
+      reason
+    });
+  }
+  
+  /**
+   * Send a handler's returned payload according to its broadcast policy
+   * Broadcasts only reach the sender's room
+   */
+  dispatchPayload(ws, policy, payload) {
+    if (policy === 'sender') {
+      this.sendToClient(ws, payload);
+    } else if (policy === 'others') {
+      this.broadcastToRoom(this.roomManager.getClientRoom(ws), payload, ws);
+    } else if (policy === 'all') {
+      this.broadcastToRoom(this.roomManager.getClientRoom(ws), payload);
+    } else if (policy === 'nearby') {
+      this.broadcastNearby(ws, payload, false);
+    } else if (policy === 'nearbyAll') {
+      this.broadcastNearby(ws, payload, true);
+    }
+  }
+  
+  // This is the enhanced handleIdentity method for server.js
+  async handleIdentity(ws, parsedMessage, clientId) {
+    // A connection is bound to one user for its whole life - switching users
+    // would leave the old user's voice, interest and chat state behind
+    if (!this.clientManager.beginIdentity(ws)) {
+      log.warn('Identity message on an identified connection', { clientId });
+      this.sendErrorMessage(ws, 'This connection has already identified', { code: 'alreadyIdentified' });
+      return;
+    }
+    
+    try {
+      const browserFingerprint = parsedMessage.browserFingerprint;
+      const sessionToken = parsedMessage.sessionToken;
+      const providedUserName = parsedMessage.userName;
+      const clientIp = this.clientManager.getClientIp(ws);
+      
+      if (!browserFingerprint) {
+        log.warn('Identity message without a browser fingerprint', { clientId });
+        this.sendErrorMessage(ws, 'Missing browser fingerprint');
+        return;
       }
       
-      // Handle chat message request
-      if (parsedMessage.type === 'chatMessage' && parsedMessage.userId && parsedMessage.text) {
+      // Update client with the browser fingerprint
+      this.clientManager.updateClientBrowserFingerprint(ws, browserFingerprint);
+      
+      // Check for IP address information to enhance fingerprinting
+      const ipSuffix = clientIp ? clientIp.split('.').slice(-1).join('.') : '';
+      
+      // Send IP suffix back to client for enhanced fingerprinting
+      if (ipSuffix) {
         try {
-          // Get user name from the user manager
-          const user = this.userManager.getUserById(parsedMessage.userId);
-          const userName = user ? user.name : 'Unknown User';
-          
-          // Add the message to chat manager
-          const message = this.chatManager.addMessage(
-            parsedMessage.userId,
-            userName,
-            parsedMessage.text
-          );
-          
-          // Broadcast to all clients
-          this.chatManager.broadcastMessage(this.wss, message, ws);
-
-          // Send the message directly to the sender
-          // This ensures they still see their own message
           ws.send(JSON.stringify({
-            type: 'chatMessage',
-            message
+            type: 'fingerprintEnhancement',
+            ipSuffix: ipSuffix
           }));
-          
-          console.log(`Chat message from ${userName} (${parsedMessage.userId}): ${parsedMessage.text.substring(0, 50)}${parsedMessage.text.length > 50 ? '...' : ''}`);
-          return;
         } catch (error) {
-          console.error('Error handling chat message:', error);
+          log.error('Error sending fingerprint enhancement', { clientId, error });
         }
       }
       
-      // Handle chat history request
-      if (parsedMessage.type === 'getChatHistory') {
-        try {
-          console.log(`Sending chat history to client ${clientId}`);
-          this.chatManager.sendChatHistory(ws);
-          return;
-        } catch (error) {
-          console.error('Error sending chat history:', error);
+      // Resume the user a still-valid session token belongs to (rotating it if it's old)
+      let session = null;
+      if (sessionToken) {
+        session = this.sessionManager.resumeSession(sessionToken);
+        if (!session) {
+          log.warn('Invalid or expired session token', { clientId });
         }
       }
-
-      // Handle update user location request
-      if (parsedMessage.type === 'updateUserLocation' && parsedMessage.userId && parsedMessage.location) {
-        try {
-          // Look up the user
-          const user = this.userManager.getUserById(parsedMessage.userId);
-          
-          if (user) {
-            console.log(`Updating location for user ${parsedMessage.userId} from ${user.location || 'Unknown'} to ${parsedMessage.location}`);
-            
-            // Update in browser to user mapping
-            for (const [fp, userData] of this.userManager.browserToUser.entries()) {
-              if (userData.userId === parsedMessage.userId) {
-                userData.location = parsedMessage.location;
-                break;
-              }
-            }
-            
-            // Update in users map
-            if (this.userManager.users.has(parsedMessage.userId)) {
-              const userData = this.userManager.users.get(parsedMessage.userId);
-              userData.location = parsedMessage.location;
-            }
-            
-            // Update in user stats
-            const stats = this.userManager.getUserStats(parsedMessage.userId);
-            if (stats) {
-              stats.location = parsedMessage.location;
-            }
-            
-            // Broadcast updated user list to all clients
-            this.userManager.broadcastUserList(this.wss);
-          } else {
-            console.warn(`Failed to update location: User ${parsedMessage.userId} not found`);
-          }
-        } catch (error) {
-          console.error('Error handling updateUserLocation request:', error);
-        }
+      
+      // Bans on the browser or the user it belongs to, whichever fingerprint they arrive with
+      const ban = this.banManager.check('ban', {
+        ip: clientIp,
+        fingerprints: [browserFingerprint, this.userManager.getStableFingerprint(browserFingerprint)],
+        userIds: [session ? session.userId : null, this.userManager.findUserIdByFingerprint(browserFingerprint)]
+      });
+      if (ban) {
+        this.banManager.banEvadingFingerprint(ban, browserFingerprint);
+        
+        const { code, reason } = this.banManager.getCloseDetails(ban);
+        log.warn('Banned client identified, closing', { clientId, banId: ban.id, banType: ban.type });
+        ws.close(code, reason);
         return;
       }
-
-      if (parsedMessage.type === 'updatePlayerStat' && 
-          parsedMessage.userId && 
-          parsedMessage.stat && 
-          parsedMessage.value !== undefined) {
-        try {
-          const { userId, stat, value } = parsedMessage;
-          // Check rate limit first
-          if (!this.checkRateLimit(ws, 'updatePlayerStat')) {
-            console.warn(`Rate limit exceeded for updatePlayerStat from ${clientId}`);
-            return;
-          }
-
-          // Validate the stat name and value
-          if (!this.validatePlayerStat(stat, value)) {
-            console.warn(`Invalid player stat update: ${stat}=${value}`);
-            return;
-          }
-          
-          console.log(`Player stat update from ${userId}: ${stat}=${value}`);
-          
-          // Update the user's stats in the UserManager
-          this.userManager.updatePlayerGameStat(userId, stat, value);
-          
-          // Broadcast the stat update to all clients
-          this.wss.clients.forEach((client) => {
-            if (client !== ws && client.readyState === WebSocket.OPEN) {
-              try {
-                client.send(JSON.stringify({
-                  type: 'updatePlayerStat',
-                  userId,
-                  stat,
-                  value
-                }));
-              } catch (error) {
-                console.error('Error broadcasting player stat update:', error);
-              }
-            }
-          });
-          
-          return;
-        } catch (error) {
-          console.error('Error handling player stat update:', error);
-        }
-      }
-
-      // Handle game chat message
-      if (parsedMessage.type === 'gameChat' && parsedMessage.userId && parsedMessage.text) {
-        try {
-          // Get user name from the user manager
-          const user = this.userManager.getUserById(parsedMessage.userId);
-          const userName = user ? user.name : 'Unknown Player';
-          
-          // Create game chat message object
-          const gameChatMessage = {
-            userId: parsedMessage.userId,
-            userName: userName,
-            text: parsedMessage.text
-          };
-          
-          // Broadcast to all clients except sender
-          this.gameChatManager.broadcastGameMessage(this.wss, gameChatMessage, ws);
-
-          // Send the message directly to the sender
-          // This ensures they still see their own message
-          this.gameChatManager.sendDirectGameMessage(ws, gameChatMessage);
-          
-          console.log(`Game chat message from ${userName} (${parsedMessage.userId}): ${parsedMessage.text.substring(0, 50)}${parsedMessage.text.length > 50 ? '...' : ''}`);
-          return;
-        } catch (error) {
-          console.error('Error handling game chat message:', error);
-        }
-      }
-
-      // Handle world position and rotation updates
-      if (parsedMessage.type === 'worldUpdate' && parsedMessage.userId && 
-        parsedMessage.position && parsedMessage.rotation) {
-      try {
-        const { userId, position, rotation } = parsedMessage;
-        
-        // Validate the position and rotation data
-        if (typeof position.x !== 'number' || typeof position.y !== 'number' || 
-            typeof position.z !== 'number' || typeof rotation.y !== 'number') {
-          console.warn('Invalid world update data:', parsedMessage);
-          return;
-        }
-        
-        console.log(`World update from user ${userId}: pos(${position.x.toFixed(2)}, ${position.y.toFixed(2)}, ${position.z.toFixed(2)}), rot(${rotation.y.toFixed(2)})`);
-        
-        // Broadcast the update to all other clients
-        this.wss.clients.forEach((client) => {
-          if (client !== ws && client.readyState === WebSocket.OPEN) {
-            try {
-              client.send(JSON.stringify({
-                type: 'worldUpdate',
-                userId,
-                position,
-                rotation
-              }));
-            } catch (error) {
-              console.error('Error broadcasting world update:', error);
-            }
-          }
-        });
-        
+      
+      // Process user identity and send welcome message - now async
+      const userData = await this.userManager.processUserIdentity(
+        browserFingerprint, 
+        session ? session.userId : null, 
+        providedUserName, 
+        clientIp,
+        this.clientManager.getClientOrigin(ws)
+      );
+      
+      // Check if this user has too many connections already
+      if (this.clientManager.hasUserExceededConnectionLimit(userData.userId)) {
+        log.warn('Connection limit exceeded, closing', { clientId, userId: userData.userId });
+        ws.close(1013, 'Too many connections for this user');
         return;
-      } catch (error) {
-        console.error('Error handling world update:', error);
       }
-      }
-
-      // Handle projectile messages
-      if (parsedMessage.type === 'projectile' && 
-        parsedMessage.sourceId && 
-        parsedMessage.position && 
-        parsedMessage.direction) {
-      try {
-        const { sourceId, position, direction, damage, speed, comboLevel, id } = parsedMessage;
-        
-        // Validate the projectile data
-        if (typeof position.x !== 'number' || 
-            typeof position.y !== 'number' || 
-            typeof position.z !== 'number' || 
-            typeof direction.x !== 'number' || 
-            typeof direction.y !== 'number' || 
-            typeof direction.z !== 'number') {
-          console.warn('Invalid projectile data:', parsedMessage);
-          return;
-        }
-        
-        // Validate damage and speed (optional)
-        const validatedDamage = typeof damage === 'number' && damage >= 0
-          ? damage 
-          : 20; // Default to 20 if invalid
-        
-        const validatedSpeed = typeof speed === 'number' && speed > 0
-          ? speed 
-          : 0.5; // Default to 0.5 if invalid
-        
-        console.log(`Projectile from user ${sourceId}: pos(${position.x.toFixed(2)}, ${position.y.toFixed(2)}, ${position.z.toFixed(2)}), damage: ${validatedDamage}, combo: ${comboLevel || 1}`);
-        
-        // Broadcast the projectile to all other clients
-        this.wss.clients.forEach((client) => {
-          if (client !== ws && client.readyState === WebSocket.OPEN) {
-            try {
-              client.send(JSON.stringify({
-                type: 'projectile',
-                id: id || `server-${Date.now()}`,
-                sourceId,
-                position,
-                direction,
-                damage: validatedDamage,
-                speed: validatedSpeed,
-                comboLevel: comboLevel || 1
-              }));
-            } catch (error) {
-              console.error('Error broadcasting projectile:', error);
-            }
-          }
-        });
-        
-        return;
-      } catch (error) {
-        console.error('Error handling projectile message:', error);
-      }
-      }
-
-      // Handle projectile hit messages
-      if (parsedMessage.type === 'projectileHit' && 
-        parsedMessage.sourceId && 
-        parsedMessage.targetId && 
-        parsedMessage.projectileId) {
-      try {
-        const { sourceId, targetId, projectileId, position, damage } = parsedMessage;
-        
-        console.log(`Projectile hit: ${projectileId} from ${sourceId} hit ${targetId} for ${damage} damage`);
-        
-        // Broadcast the hit to all clients
-        this.wss.clients.forEach((client) => {
-          if (client.readyState === WebSocket.OPEN) {
-            try {
-              client.send(JSON.stringify({
-                type: 'projectileHit',
-                projectileId,
-                sourceId,
-                targetId,
-                position: position || { x: 0, y: 0, z: 0 },
-                damage: typeof damage === 'number' ? damage : 20
-              }));
-            } catch (error) {
-              console.error('Error broadcasting projectile hit:', error);
-            }
-          }
-        });
-        
-        return;
-      } catch (error) {
-        console.error('Error handling projectile hit message:', error);
-      }
-      }
-
-      // Handle damage messages
-      if (parsedMessage.type === 'damage' && 
-        parsedMessage.sourceId && 
-        parsedMessage.targetId && 
-        typeof parsedMessage.amount === 'number') {
-      try {
-        const { sourceId, targetId, amount } = parsedMessage;
-        
-        // Validate damage amount
-        const validatedAmount = amount >= 0 ? amount : 0;
-        
-        console.log(`Damage: ${sourceId} dealt ${validatedAmount} damage to ${targetId}`);
-        
-        // Look up the target user
-        const targetUser = this.userManager.getUserById(targetId);
-        
-        // Look up the source user
-        const sourceUser = this.userManager.getUserById(sourceId);
-        
-        if (!targetUser) {
-          console.warn(`Damage target user ${targetId} not found`);
-        }
-        
-        if (!sourceUser) {
-          console.warn(`Damage source user ${sourceId} not found`);
-        }
-        
-        // You could add stats tracking here if desired
-        // Example: this.userManager.recordDamageDealt(sourceId, validatedAmount);
-        // Example: this.userManager.recordDamageTaken(targetId, validatedAmount);
-        
-        // Broadcast the damage to all clients except the sender
-        this.wss.clients.forEach((client) => {
-          if (client !== ws && client.readyState === WebSocket.OPEN) {
-            try {
-              client.send(JSON.stringify({
-                type: 'damage',
-                sourceId,
-                targetId,
-                amount: validatedAmount
-              }));
-            } catch (error) {
-              console.error('Error broadcasting damage:', error);
-            }
-          }
-        });
-        
-        return;
-      } catch (error) {
-        console.error('Error handling damage message:', error);
-      }
-      }
-
-      if (parsedMessage.type === 'meleeAttack' && 
-        parsedMessage.sourceId && 
-        parsedMessage.position && 
-        parsedMessage.direction) {
-        try {
-          const { sourceId, position, direction, attackType, timestamp } = parsedMessage;
-          
-          // Validate the melee attack data
-          if (typeof position.x !== 'number' || 
-              typeof position.y !== 'number' || 
-              typeof position.z !== 'number' || 
-              typeof direction.x !== 'number' || 
-              typeof direction.y !== 'number' || 
-              typeof direction.z !== 'number') {
-            console.warn('Invalid melee attack data:', parsedMessage);
-            return;
-          }
-          
-          console.log(`Melee attack from user ${sourceId}: pos(${position.x.toFixed(2)}, ${position.y.toFixed(2)}, ${position.z.toFixed(2)})`);
-          
-          // Broadcast the melee attack to all other clients
-          this.wss.clients.forEach((client) => {
-            if (client !== ws && client.readyState === WebSocket.OPEN) {
-              try {
-                client.send(JSON.stringify({
-                  type: 'meleeAttack',
-                  sourceId,
-                  position,
-                  direction,
-                  attackType: attackType || 'melee',
-                  timestamp: timestamp || Date.now()
-                }));
-              } catch (error) {
-                console.error('Error broadcasting melee attack:', error);
-              }
-            }
-          });
-          
-          return;
-        } catch (error) {
-          console.error('Error handling melee attack message:', error);
-        }
-      }
-
-      // Handle skill used messages
-      if (parsedMessage.type === 'skillUsed' && 
-        parsedMessage.sourceId && 
-        parsedMessage.position && 
-        parsedMessage.direction &&
-        parsedMessage.skillType) {
-      try {
-        // Extract data
-        const { sourceId, skillType, timestamp, ...additionalData } = parsedMessage;
-        
-        // Ensure position and direction are properly formatted
-        const position = {
-          x: parseFloat(parsedMessage.position.x || parsedMessage.position._x || 0),
-          y: parseFloat(parsedMessage.position.y || parsedMessage.position._y || 0),
-          z: parseFloat(parsedMessage.position.z || parsedMessage.position._z || 0)
-        };
-        
-        const direction = {
-          x: parseFloat(parsedMessage.direction.x || parsedMessage.direction._x || 0),
-          y: parseFloat(parsedMessage.direction.y || parsedMessage.direction._y || 0),
-          z: parseFloat(parsedMessage.direction.z || parsedMessage.direction._z || 0)
-        };
-        
-        // Validate the coordinates are numbers
-        if (isNaN(position.x) || isNaN(position.y) || isNaN(position.z) ||
-            isNaN(direction.x) || isNaN(direction.y) || isNaN(direction.z)) {
-          console.warn('Invalid skill data coordinates:', parsedMessage);
-          return;
-        }
-        
-        console.log(`Skill used: ${skillType} from user ${sourceId}: pos(${position.x.toFixed(2)}, ${position.y.toFixed(2)}, ${position.z.toFixed(2)})`);
-        
-        // Clean additionalData by removing internal properties
-        const cleanAdditionalData = {};
-        for (const [key, value] of Object.entries(additionalData)) {
-          if (!key.startsWith('_') && key !== 'position' && key !== 'direction' && key !== 'type' && key !== 'sourceId') {
-            cleanAdditionalData[key] = value;
-          }
-        }
-        
-        // Broadcast the skill to ALL clients
-        this.wss.clients.forEach((client) => {
-          if (client.readyState === WebSocket.OPEN) {
-            try {
-              client.send(JSON.stringify({
-                type: 'skillUsed',
-                skillType,
-                sourceId,
-                position,
-                direction,
-                timestamp: timestamp || Date.now(),
-                ...cleanAdditionalData
-              }));
-            } catch (error) {
-              console.error('Error broadcasting skill used:', error);
-            }
-          }
-        });
-        
-        return;
-      } catch (error) {
-        console.error('Error handling skill used message:', error);
-      }
-    }
-
-      // Handle skill hit messages
-      if (parsedMessage.type === 'skillHit' && 
-        parsedMessage.sourceId && 
-        parsedMessage.targetId && 
-        parsedMessage.skillId) {
-      try {
-        const { sourceId, targetId, skillId, skillType, position, damage } = parsedMessage;
-        
-        console.log(`Skill hit: ${skillId} from ${sourceId} hit ${targetId} for ${damage} damage`);
-        
-        // Broadcast the hit to ALL clients (not just excluding sender)
-        this.wss.clients.forEach((client) => {
-          if (client.readyState === WebSocket.OPEN) {
-            try {
-              client.send(JSON.stringify({
-                type: 'skillHit',
-                skillId,
-                skillType: skillType || 'skill',
-                sourceId,
-                targetId,
-                position: position || { x: 0, y: 0, z: 0 },
-                damage: typeof damage === 'number' ? damage : 20,
-                timestamp: Date.now() // Add timestamp to ensure message uniqueness
-              }));
-            } catch (error) {
-              console.error('Error broadcasting skill hit:', error);
-            }
-          }
-        });
-        
-        return;
-      } catch (error) {
-        console.error('Error handling skill hit message:', error);
-      }
-      }
-
-      // Handle health update messages
-      if (parsedMessage.type === 'healthUpdate' && 
-        parsedMessage.userId && 
-        typeof parsedMessage.health === 'number') {
-      try {
-        const { userId, health } = parsedMessage;
-        
-        // Validate health value
-        const validatedHealth = health >= 0 ? health : 0;
-        
-        console.log(`Health update: ${userId} health now ${validatedHealth}`);
-        
-        // Broadcast the health update to all other clients
-        this.wss.clients.forEach((client) => {
-          if (client !== ws && client.readyState === WebSocket.OPEN) {
-            try {
-              client.send(JSON.stringify({
-                type: 'healthUpdate',
-                userId,
-                health: validatedHealth
-              }));
-            } catch (error) {
-              console.error('Error broadcasting health update:', error);
-            }
-          }
-        });
-        
-        return;
-      } catch (error) {
-        console.error('Error handling health update message:', error);
-      }
-      }
-
-      // Handle player flight state messages
-      if (parsedMessage.type === 'playerFlightState' && 
-        parsedMessage.userId && 
-        typeof parsedMessage.isFlying === 'boolean') {
-      try {
-        const { userId, isFlying } = parsedMessage;
-        
-        console.log(`Flight state update from user ${userId}: ${isFlying ? 'flying' : 'not flying'}`);
-        
-        // Broadcast the flight state to all other clients
-        this.wss.clients.forEach((client) => {
-          if (client !== ws && client.readyState === WebSocket.OPEN) {
-            try {
-              client.send(JSON.stringify({
-                type: 'playerFlightState',
-                userId,
-                isFlying
-              }));
-            } catch (error) {
-              console.error('Error broadcasting flight state update:', error);
-            }
-          }
-        });
-        
-        return;
-      } catch (error) {
-        console.error('Error handling flight state update:', error);
-      }
-      }
-
-      if (parsedMessage.type === 'playerAnimation' && 
-        parsedMessage.userId && 
-        parsedMessage.animationState) {
-        try {
-          const { userId, animationState, timestamp, startTime } = parsedMessage;
-          
-          console.log(`Animation update from user ${userId}: ${animationState}${startTime !== undefined ? ` with startTime: ${startTime}` : ''}`);
-          
-          // Broadcast the animation state to all other clients
-          this.wss.clients.forEach((client) => {
-            if (client !== ws && client.readyState === WebSocket.OPEN) {
-              try {
-                client.send(JSON.stringify({
-                  type: 'playerAnimation',
-                  userId,
-                  animationState,
-                  timestamp: timestamp || Date.now(),
-                  startTime // Include the startTime parameter in the broadcast
-                }));
-              } catch (error) {
-                console.error('Error broadcasting animation state:', error);
-              }
-            }
-          });
-          
-          return;
-        } catch (error) {
-          console.error('Error handling animation update:', error);
-        }
+      
+      // Update client with user ID
+      this.clientManager.updateClientUserId(ws, userData.userId);
+      
+      // Record this association in memory
+      this.clientManager.recordUserAssociation(browserFingerprint, userData.userId);
+      
+      // Every new connection starts out subscribed to global chat
+      this.chatManager.joinChannel(userData.userId, ChatManager.GLOBAL_CHANNEL);
+      
+      // A player who died with no respawn pending (e.g. across a restart) comes back straight away
+      const stats = this.userManager.getUserStats(userData.userId);
+      if (stats.health <= 0 && !this.combatManager.hasPendingRespawn(userData.userId)) {
+        this.combatManager.respawn(userData.userId);
       }
       
-      // Handle voice join requests
-      if (parsedMessage.type === 'voiceJoin' && parsedMessage.userId) {
-        try {
-          const userId = parsedMessage.userId;
-          
-          // Check if user exists
-          const user = this.userManager.getUserById(userId);
-          if (!user) {
-            console.warn(`Voice join request from unknown user: ${userId}`);
-            return;
-          }
-          
-          // Add user to voice participants
-          const added = this.voiceManager.addParticipant(userId);
-          
-          if (added) {
-            // Broadcast join message to all clients
-            this.wss.clients.forEach((client) => {
-              if (client.readyState === WebSocket.OPEN) {
-                try {
-                  client.send(JSON.stringify({
-                    type: 'voiceJoin',
-                    userId
-                  }));
-                } catch (error) {
-                  console.error('Error broadcasting voice join:', error);
-                }
-              }
-            });
-            
-            // Also send the current participants list
-            this.voiceManager.broadcastParticipantsList(this.wss);
-          }
-          
-          console.log(`Processed voice join for user ${userId}`);
-          return;
-        } catch (error) {
-          console.error('Error handling voice join request:', error);
-        }
+      // First identity (or a token we couldn't use) gets a brand new session
+      const sessionResumed = !!session;
+      if (!session) {
+        session = this.sessionManager.issueToken(userData.userId);
+        this.userManager.markSessionIssued(userData.userId);
       }
-
-      // Handle voice leave requests
-      if (parsedMessage.type === 'voiceLeave' && parsedMessage.userId) {
-        try {
-          const userId = parsedMessage.userId;
-          
-          // Remove user from voice participants
-          const removed = this.voiceManager.removeParticipant(userId);
-          
-          if (removed) {
-            // Broadcast leave message to all clients
-            this.wss.clients.forEach((client) => {
-              if (client.readyState === WebSocket.OPEN) {
-                try {
-                  client.send(JSON.stringify({
-                    type: 'voiceLeave',
-                    userId
-                  }));
-                } catch (error) {
-                  console.error('Error broadcasting voice leave:', error);
-                }
-              }
-            });
-            
-            // Also send the updated participants list
-            this.voiceManager.broadcastParticipantsList(this.wss);
-          }
-          
-          console.log(`Processed voice leave for user ${userId}`);
-          return;
-        } catch (error) {
-          console.error('Error handling voice leave request:', error);
-        }
-      }
-
-      // Handle voice activity (talking) updates
-      if (parsedMessage.type === 'voiceActivity' && 
-          parsedMessage.userId && 
-          typeof parsedMessage.isTalking === 'boolean') {
-        try {
-          const { userId, isTalking } = parsedMessage;
-          
-          // Only process if user is a voice participant
-          if (this.voiceManager.isParticipant(userId)) {
-            // Update talking state
-            this.voiceManager.updateTalkingState(userId, isTalking);
-            
-            // Broadcast activity message to all other clients
-            this.wss.clients.forEach((client) => {
-              if (client !== ws && client.readyState === WebSocket.OPEN) {
-                try {
-                  client.send(JSON.stringify({
-                    type: 'voiceActivity',
-                    userId,
-                    isTalking
-                  }));
-                } catch (error) {
-                  console.error('Error broadcasting voice activity:', error);
-                }
-              }
-            });
-          }
-          
-          // Don't log every activity message to avoid console spam
-          if (isTalking) {
-            console.log(`User ${userId} is talking`);
-          }
-          return;
-        } catch (error) {
-          console.error('Error handling voice activity update:', error);
-        }
-      }
-
-      // Handle voice mute updates
-      if (parsedMessage.type === 'voiceMute' && 
-          parsedMessage.userId && 
-          typeof parsedMessage.muted === 'boolean') {
-        try {
-          const { userId, muted } = parsedMessage;
-          
-          // Only process if user is a voice participant
-          if (this.voiceManager.isParticipant(userId)) {
-            // Update muted state
-            this.voiceManager.updateMutedState(userId, muted);
-            
-            // Broadcast mute message to all clients
-            this.wss.clients.forEach((client) => {
-              if (client.readyState === WebSocket.OPEN) {
-                try {
-                  client.send(JSON.stringify({
-                    type: 'voiceMute',
-                    userId,
-                    muted
-                  }));
-                } catch (error) {
-                  console.error('Error broadcasting voice mute update:', error);
-                }
-              }
-            });
-            
-            console.log(`User ${userId} ${muted ? 'muted' : 'unmuted'} their microphone`);
-          }
-          return;
-        } catch (error) {
-          console.error('Error handling voice mute update:', error);
-        }
-      }
-
-      // Handle get voice participants request
-      if (parsedMessage.type === 'getVoiceParticipants') {
-        try {
-          console.log('Received request for voice participants list');
-          this.voiceManager.broadcastParticipantsList(this.wss);
-          return;
-        } catch (error) {
-          console.error('Error handling get voice participants request:', error);
-        }
-      }
-
-      // Broadcast the message to all connected clients (except sender)
-      this.broadcastMessage(ws, msgStr);
-    } catch (error) {
-      this.serverState.incrementErrors();
-      console.error('Error handling message:', error);
-    }
-  }
-  
-  // This is the enhanced handleIdentity method for server.js
-  async handleIdentity(ws, parsedMessage, clientId) {
-    try {
-      const browserFingerprint = parsedMessage.browserFingerprint;
-      const providedUserId = parsedMessage.userId;
-      const providedUserName = parsedMessage.userName;
-      const clientIp = this.clientManager.getClientIp(ws);
-      
-      if (!browserFingerprint) {
-        console.error('Missing browser fingerprint in identity message');
-        this.sendErrorMessage(ws, 'Missing browser fingerprint');
-        return;
-      }
-      
-      console.log(`Received identity with browser fingerprint: ${browserFingerprint}`);
-      
-      // Update client with the browser fingerprint
-      this.clientManager.updateClientBrowserFingerprint(ws, browserFingerprint);
-      
-      // Check for IP address information to enhance fingerprinting
-      const ipSuffix = clientIp ? clientIp.split('.').slice(-1).join('.') : '';
-      
-      // Send IP suffix back to client for enhanced fingerprinting
-      if (ipSuffix) {
-        try {
-          ws.send(JSON.stringify({
-            type: 'fingerprintEnhancement',
-            ipSuffix: ipSuffix
-          }));
-        } catch (error) {
-          console.error('Error sending fingerprint enhancement:', error);
-        }
-      }
-      
-      // Process user identity and send welcome message - now async
-      const userData = await this.userManager.processUserIdentity(
-        browserFingerprint, 
-        providedUserId, 
-        providedUserName, 
-        clientIp,
-        this.clientManager.getClientOrigin(ws)
-      );
-      
-      // Check if this user has too many connections already
-      if (this.clientManager.hasUserExceededConnectionLimit(userData.userId)) {
-        console.warn(`User ${userData.userId} has exceeded connection limit, closing this connection`);
-        ws.close(1013, 'Too many connections for this user');
-        return;
-      }
-      
-      // Update client with user ID
-      this.clientManager.updateClientUserId(ws, userData.userId);
-      
-      // Record this association in memory
-      this.clientManager.recordUserAssociation(browserFingerprint, userData.userId);
       
       // Send welcome message
       try {
@@ -1315,165 +586,795 @@ class WebSocketServer {
           location: userData.location,
           status: userData.status || 'online',
           timestamp: Date.now(),
-          // Include if there was a conflict that was resolved
-          identityConflictResolved: userData.conflictDetected || false
+          // Present this token in later identity messages to resume this user
+          sessionToken: session.token,
+          sessionExpiresAt: session.expiresAt,
+          sessionResumed,
+          sessionRejected: !!sessionToken && !sessionResumed
         }));
         
-        // Also log this connection for debugging purposes
-        console.log(`User authenticated: ${userData.userId} (${userData.userName}) from fingerprint ${browserFingerprint.substring(0, 8)}...`);
+        log.info('User authenticated', { clientId, userId: userData.userId, userName: userData.userName, browserFingerprint });
       } catch (error) {
-        console.error('Error sending welcome message:', error);
+        log.error('Error sending welcome message', { clientId, error });
       }
       
-      // Broadcast updated user list
-      this.userManager.broadcastUserList(this.wss);
-    } catch (error) {
-      console.error('Error handling identity message:', error);
-      this.sendErrorMessage(ws, 'Error processing identity');
+      // Broadcast updated user list
+      const roomId = this.roomManager.getClientRoom(ws);
+      this.broadcastRoomUserList(roomId);
+      
+      this.announcePlayerJoined(userData.userId, roomId);
+      this.gameChatManager.sendRecentMessages(ws, roomId);
+    } catch (error) {
+      log.error('Error handling identity message', { clientId, error });
+      this.sendErrorMessage(ws, 'Error processing identity');
+    } finally {
+      this.clientManager.endIdentity(ws);
+    }
+  }
+
+  /**
+   * Tell a client the server refused one of its combat actions
+   */
+  rejectCombatAction(ws, messageType, reason, details = {}) {
+    log.warn('Combat action rejected', { userId: this.clientManager.getClientUserId(ws), type: messageType, reason });
+    this.sendErrorMessage(ws, 'Combat action rejected', {
+      code: 'combatRejected',
+      messageType,
+      reason,
+      ...details
+    });
+  }
+  
+  /**
+   * Tell a client the server refused to relay one of its voice signaling messages
+   */
+  rejectVoiceSignal(ws, messageType, reason, details = {}) {
+    log.warn('Voice signal rejected', { userId: this.clientManager.getClientUserId(ws), type: messageType, reason });
+    this.sendErrorMessage(ws, 'Voice signal rejected', {
+      code: 'voiceSignalRejected',
+      messageType,
+      reason,
+      ...details
+    });
+  }
+  
+  /**
+   * Tell a client its chat message was refused by moderation
+   */
+  rejectChatMessage(ws, messageType, result) {
+    const messages = {
+      chatMuted: 'You are muted in chat',
+      messageTooLong: 'Message is too long',
+      flood: 'You are sending messages too quickly',
+      duplicateMessage: 'You already sent that message',
+      emptyMessage: 'Message is empty'
+    };
+    
+    this.sendErrorMessage(ws, messages[result.error] || 'Message rejected', {
+      code: result.error,
+      messageType,
+      until: result.until,
+      maxLength: result.maxLength
+    });
+  }
+  
+  /**
+   * Broadcast a player's authoritative health to everyone in the room
+   */
+  broadcastHealth(ws, userId, health, sourceId = null) {
+    this.broadcastToRoom(this.roomManager.getClientRoom(ws), {
+      type: 'healthUpdate',
+      userId,
+      health,
+      sourceId
+    });
+  }
+  
+  /**
+   * Announce the outcome of damage - the new health and, if it was fatal, the kill
+   */
+  broadcastCombatResult(ws, userId, result, sourceId = null) {
+    this.broadcastHealth(ws, userId, result.health, sourceId);
+    
+    if (result.kill) {
+      this.handlePlayerKilled(ws, result.kill);
+    }
+  }
+  
+  /**
+   * Broadcast a kill and start the victim's respawn timer
+   */
+  handlePlayerKilled(ws, kill) {
+    const roomId = this.roomManager.getClientRoom(ws);
+    log.info('Player killed', { victimId: kill.victimId, killerId: kill.killerId || null, roomId });
+    
+    this.broadcastToRoom(roomId, {
+      type: 'playerKilled',
+      victimId: kill.victimId,
+      killerId: kill.killerId,
+      assistIds: kill.assistIds,
+      respawnAt: kill.respawnAt,
+      timestamp: Date.now()
+    });
+    
+    // Kills, deaths and assists are shown in the user list
+    this.broadcastRoomUserList(roomId);
+    
+    const victim = this.userManager.getUserById(kill.victimId);
+    const killer = kill.killerId ? this.userManager.getUserById(kill.killerId) : null;
+    this.announceGameEvent(roomId, kill.killerId ? 'playerKilled' : 'playerDied', {
+      victimId: kill.victimId,
+      victimName: victim ? victim.name : 'Unknown Player',
+      killerId: kill.killerId,
+      killerName: killer ? killer.name : undefined
+    });
+    
+    this.combatManager.scheduleRespawn(kill.victimId, spawn => this.handlePlayerRespawn(spawn));
+  }
+  
+  /**
+   * Send a system message to a room's game chat
+   */
+  announceGameEvent(roomId, template, params) {
+    if (!roomId) return;
+    
+    const message = this.gameChatManager.createSystemMessage(template, params);
+    this.gameChatManager.recordMessage(roomId, message);
+    const recipients = this.gameChatManager.broadcastGameMessage(this.roomManager.getRoomClients(roomId), message);
+    this.serverState.recordBroadcast(recipients);
+  }
+  
+  /**
+   * Announce in game chat that a user has joined a room
+   * Only their first connection in the room is announced
+   */
+  announcePlayerJoined(userId, roomId) {
+    const connectionsInRoom = this.clientManager.getConnectionsByUserId(userId)
+      .filter(client => this.roomManager.getClientRoom(client) === roomId);
+    if (connectionsInRoom.length !== 1) return;
+    
+    const user = this.userManager.getUserById(userId);
+    this.announceGameEvent(roomId, 'playerJoined', { userId, userName: user ? user.name : 'Unknown Player' });
+  }
+  
+  /**
+   * Announce in game chat that a user has left a room
+   */
+  announcePlayerLeft(userId, roomId) {
+    const user = this.userManager.getUserById(userId);
+    this.announceGameEvent(roomId, 'playerLeft', { userId, userName: user ? user.name : 'Unknown Player' });
+  }
+  
+  /**
+   * Move a respawned player to their spawn point and tell everyone in their rooms
+   */
+  handlePlayerRespawn(spawn) {
+    const player = this.interestManager.getPlayer(spawn.userId);
+    
+    if (player) {
+      const playerWs = this.clientManager.getConnectionsByUserId(spawn.userId)
+        .find(client => this.roomManager.getClientRoom(client) === player.roomId);
+      
+      if (playerWs) {
+        this.updatePlayerPosition(playerWs, spawn.userId, spawn.position, spawn.rotation);
+        this.snapshotManager.updateTransform(spawn.userId, spawn.position, spawn.rotation);
+      }
     }
+    
+    this.getUserRooms(spawn.userId).forEach((roomId) => {
+      this.broadcastToRoom(roomId, { type: 'playerRespawned', ...spawn });
+      
+      // Health is shown in the user list too
+      this.broadcastRoomUserList(roomId);
+    });
   }
-
+  
   // Helper method to send error messages
-  sendErrorMessage(ws, message) {
+  // Extra details (code, messageType, field...) are merged into the frame
+  sendErrorMessage(ws, message, details = {}) {
     try {
       ws.send(JSON.stringify({
         type: 'error',
         message: message,
+        ...details,
         timestamp: Date.now()
       }));
     } catch (error) {
-      console.error('Error sending error message:', error);
+      log.error('Error sending error message', error);
     }
   }
   
   handleClose(ws, code, reason, clientId) {
-    console.log(`Client ${clientId} disconnected. Code: ${code}, Reason: ${reason || 'No reason provided'}`);
+    log.info('Client disconnected', { clientId, code, reason: reason ? reason.toString() : null });
+    
+    // Drop per-connection rate limit counters and snapshot history
+    clientMessageCounts.delete(ws);
+    this.snapshotManager.removeClient(ws);
+    
+    // Get the userId before the client record is removed
+    const userId = this.clientManager.getClientUserId(ws);
+    
+    // Leave the room so nothing else is sent to this connection
+    const roomId = this.roomManager.leaveRoom(ws);
     
     // Check if we need to broadcast user list after disconnection
     const shouldBroadcast = this.clientManager.removeClient(ws);
     
-    // Get the userId for the disconnected client
-    const userId = this.clientManager.getClientUserId(ws);
+    // Everyone is leaving at once, so there is no one left to tell
+    if (this.shuttingDown) return;
+    
     if (userId) {
-      // Check if the user was in a voice chat
-      const wasInVoice = this.voiceManager.handleUserDisconnect(userId);
+      // Check if the user was in a voice channel
+      const voiceChannel = this.voiceManager.handleUserDisconnect(userId);
       
-      if (wasInVoice) {
-        // Broadcast voice leave message to all remaining clients
-        this.wss.clients.forEach((client) => {
-          if (client.readyState === WebSocket.OPEN) {
-            try {
-              client.send(JSON.stringify({
-                type: 'voiceLeave',
-                userId
-              }));
-            } catch (error) {
-              console.error('Error broadcasting voice leave for disconnected user:', error);
-            }
-          }
+      if (voiceChannel) {
+        this.announceVoiceLeave(userId, voiceChannel);
+        log.info('User removed from voice chat on disconnect', { userId, channel: voiceChannel.name });
+      }
+      
+      // Nobody is typing once their last connection has gone
+      if (this.clientManager.getConnectionsByUserId(userId).length === 0) {
+        this.chatManager.clearUserTyping(userId).forEach((channelId) => {
+          this.broadcastTyping(userId, channelId, false);
         });
-        
-        // Also broadcast updated voice participants list
-        this.voiceManager.broadcastParticipantsList(this.wss);
-        console.log(`User ${userId} was removed from voice chat due to disconnection`);
       }
     }
 
-    if (shouldBroadcast) {
-      this.userManager.broadcastUserList(this.wss);
+    // Drop out of everyone's area of interest once the user has left the room entirely
+    if (userId && roomId && !this.hasConnectionInRoom(userId, roomId)) {
+      this.removePlayerInterest(userId, roomId);
+      this.announcePlayerLeft(userId, roomId);
+    }
+
+    if (shouldBroadcast && roomId) {
+      this.broadcastRoomUserList(roomId);
+    }
+  }
+  
+  /**
+   * Check if a user still has a connection in a room
+   */
+  hasConnectionInRoom(userId, roomId) {
+    return this.clientManager.getConnectionsByUserId(userId)
+      .some(client => this.roomManager.getClientRoom(client) === roomId);
+  }
+  
+  /**
+   * Send a payload to a user's connections in a room
+   */
+  sendToUserInRoom(userId, roomId, message) {
+    this.clientManager.getConnectionsByUserId(userId).forEach((client) => {
+      if (this.roomManager.getClientRoom(client) === roomId) {
+        this.sendToClient(client, message);
+      }
+    });
+  }
+  
+  /**
+   * Send a payload to every connection a user has
+   */
+  sendToUser(userId, message) {
+    const serialized = typeof message === 'string' ? message : JSON.stringify(message);
+    this.clientManager.getConnectionsByUserId(userId).forEach(client => this.sendToClient(client, serialized));
+  }
+  
+  /**
+   * Get the connections that receive a chat channel's messages
+   */
+  getChatChannelClients(channelId) {
+    const channel = this.chatManager.parseChannel(channelId);
+    if (!channel) return [];
+    
+    if (channel.kind === 'room') {
+      return this.roomManager.getRoomClients(channel.name);
+    }
+    
+    return this.chatManager.getChannelMembers(channelId)
+      .flatMap(userId => this.clientManager.getConnectionsByUserId(userId));
+  }
+  
+  /**
+   * Tell a chat channel that a user started or stopped typing
+   * The typist's own connections aren't told
+   */
+  broadcastTyping(userId, channelId, typing) {
+    const user = this.userManager.getUserById(userId);
+    const serialized = JSON.stringify({
+      type: 'chatTyping',
+      channel: channelId,
+      userId,
+      userName: user ? user.name : 'Unknown User',
+      typing
+    });
+    
+    const recipients = this.getChatChannelClients(channelId)
+      .filter(client => this.clientManager.getClientUserId(client) !== userId);
+    
+    recipients.forEach(client => this.sendToClient(client, serialized));
+    this.serverState.recordBroadcast(recipients.length);
+  }
+  
+  /**
+   * Record a player's position and tell players who came into or went out of
+   * range about each other
+   */
+  updatePlayerPosition(ws, userId, position, rotation) {
+    const roomId = this.roomManager.getClientRoom(ws);
+    const { entered, left } = this.interestManager.updatePosition(userId, roomId, position, rotation);
+    
+    entered.forEach((otherId) => {
+      const other = this.interestManager.getPlayer(otherId);
+      
+      this.sendToUserInRoom(userId, roomId, {
+        type: 'playerEnteredRange',
+        userId: otherId,
+        position: other.position,
+        rotation: other.rotation
+      });
+      this.sendToUserInRoom(otherId, roomId, {
+        type: 'playerEnteredRange',
+        userId,
+        position,
+        rotation
+      });
+    });
+    
+    left.forEach((otherId) => {
+      this.sendToUserInRoom(userId, roomId, { type: 'playerLeftRange', userId: otherId });
+      this.sendToUserInRoom(otherId, roomId, { type: 'playerLeftRange', userId });
+    });
+  }
+  
+  /**
+   * Stop tracking a player's position and tell whoever could see them
+   */
+  removePlayerInterest(userId, roomId) {
+    const left = this.interestManager.removePlayer(userId);
+    this.snapshotManager.removePlayer(userId);
+    
+    left.forEach((otherId) => {
+      this.sendToUserInRoom(otherId, roomId, { type: 'playerLeftRange', userId });
+    });
+  }
+  
+  /**
+   * Get the players whose state a connection should receive in world snapshots
+   */
+  getSnapshotPlayers(ws) {
+    const userId = this.clientManager.getClientUserId(ws);
+    
+    // Once we know where the player is, they only see who's in range
+    if (userId && this.interestManager.hasPosition(userId)) {
+      return this.interestManager.getPlayersInRange(userId);
+    }
+    
+    const roomId = this.roomManager.getClientRoom(ws);
+    return this.getRoomUserIds(roomId).filter(otherId => otherId !== userId);
+  }
+  
+  /**
+   * Simulation tick - send every identified client its world snapshot
+   */
+  tick() {
+    this.combatManager.pruneExpired();
+    
+    // Typists who stopped refreshing their indicator have stopped typing
+    this.chatManager.pruneTyping().forEach(({ userId, channelId }) => {
+      this.broadcastTyping(userId, channelId, false);
+    });
+    
+    this.wss.clients.forEach((ws) => {
+      if (ws.readyState !== WebSocket.OPEN || !this.clientManager.getClientUserId(ws)) return;
+      
+      try {
+        const snapshot = this.snapshotManager.buildSnapshot(ws, this.getSnapshotPlayers(ws));
+        if (snapshot) {
+          this.sendToClient(ws, snapshot);
+        }
+      } catch (error) {
+        this.serverState.incrementErrors('tick');
+        log.error('Error building world snapshot', { userId: this.clientManager.getClientUserId(ws), error });
+      }
+    });
+  }
+  
+  /**
+   * Send a payload only to the sender's room members within area-of-interest range
+   * Players with no known position yet (sender or recipient) aren't filtered
+   */
+  broadcastNearby(ws, message, includeSender = false) {
+    const roomId = this.roomManager.getClientRoom(ws);
+    const senderId = this.clientManager.getClientUserId(ws);
+    
+    if (!senderId || !this.interestManager.hasPosition(senderId)) {
+      this.broadcastToRoom(roomId, message, includeSender ? null : ws);
+      return;
+    }
+    
+    const data = JSON.stringify(message);
+    let recipients = 0;
+    
+    this.roomManager.getRoomClients(roomId).forEach((client) => {
+      if (client === ws && !includeSender) return;
+      if (client.readyState !== WebSocket.OPEN) return;
+      
+      const userId = this.clientManager.getClientUserId(client);
+      const isNearby = userId === senderId ||
+        !this.interestManager.hasPosition(userId) ||
+        this.interestManager.isInRange(senderId, userId);
+      
+      if (isNearby) {
+        try {
+          client.send(data);
+          recipients++;
+        } catch (error) {
+          log.error('Error broadcasting nearby message', error);
+        }
+      }
+    });
+    
+    this.serverState.recordBroadcast(recipients);
+  }
+  
+  /**
+   * Move a connection to another room, updating both rooms
+   * Returns the RoomManager result
+   */
+  moveClientToRoom(ws, roomId) {
+    const userId = this.clientManager.getClientUserId(ws);
+    const result = this.roomManager.joinRoom(ws, roomId);
+    
+    if (!result.success || result.previousRoomId === roomId) {
+      return result;
+    }
+    
+    const previousRoomId = result.previousRoomId;
+    
+    if (previousRoomId) {
+      // Nobody in the old room can see this player any more
+      if (userId && !this.hasConnectionInRoom(userId, previousRoomId)) {
+        this.removePlayerInterest(userId, previousRoomId);
+        this.announcePlayerLeft(userId, previousRoomId);
+      }
+      
+      // Voice channels belong to the room, so leaving the room leaves the call
+      const voiceChannel = userId ? this.voiceManager.removeParticipant(userId) : null;
+      if (voiceChannel) {
+        this.announceVoiceLeave(userId, voiceChannel);
+      }
+      
+      this.broadcastToRoom(previousRoomId, { type: 'playerLeftRoom', userId, roomId: previousRoomId });
+      this.broadcastRoomUserList(previousRoomId);
     }
+    
+    this.broadcastToRoom(roomId, { type: 'playerJoinedRoom', userId, roomId }, ws);
+    this.broadcastRoomUserList(roomId);
+    
+    if (userId) {
+      this.announcePlayerJoined(userId, roomId);
+    }
+    this.gameChatManager.sendRecentMessages(ws, roomId);
+    
+    return result;
+  }
+  
+  /**
+   * Get the unique user IDs connected to a room
+   */
+  getRoomUserIds(roomId) {
+    const userIds = new Set();
+    
+    this.roomManager.getRoomClients(roomId).forEach((client) => {
+      const userId = this.clientManager.getClientUserId(client);
+      if (userId) {
+        userIds.add(userId);
+      }
+    });
+    
+    return Array.from(userIds);
+  }
+  
+  /**
+   * Get the rooms a user currently has connections in
+   */
+  getUserRooms(userId) {
+    const roomIds = new Set();
+    
+    this.clientManager.getConnectionsByUserId(userId).forEach((client) => {
+      const roomId = this.roomManager.getClientRoom(client);
+      if (roomId) {
+        roomIds.add(roomId);
+      }
+    });
+    
+    return Array.from(roomIds);
+  }
+  
+  /**
+   * Send a room's user list to everyone in it
+   */
+  broadcastRoomUserList(roomId) {
+    const recipients = this.userManager.broadcastUserList(this.roomManager.getRoomClients(roomId), this.getRoomUserIds(roomId));
+    this.serverState.recordBroadcast(recipients);
+  }
+  
+  /**
+   * Refresh the user list in every room a user is in (after a name or stats change)
+   */
+  broadcastUserListsForUser(userId) {
+    this.getUserRooms(userId).forEach(roomId => this.broadcastRoomUserList(roomId));
+  }
+  
+  /**
+   * Refresh the user list in every occupied room
+   */
+  broadcastAllUserLists() {
+    this.roomManager.listRooms()
+      .filter(room => room.players > 0)
+      .forEach(room => this.broadcastRoomUserList(room.id));
+  }
+  
+  /**
+   * Get the connections of a voice channel's members
+   */
+  getVoiceChannelClients(channel) {
+    return this.roomManager.getRoomClients(channel.roomId)
+      .filter(client => channel.members.has(this.clientManager.getClientUserId(client)));
+  }
+  
+  /**
+   * Send a payload to every member of a voice channel
+   */
+  broadcastToVoiceChannel(channel, message, excludeWs = null) {
+    const serialized = JSON.stringify(message);
+    const recipients = this.getVoiceChannelClients(channel).filter(client => client !== excludeWs);
+    
+    recipients.forEach(client => this.sendToClient(client, serialized));
+    this.serverState.recordBroadcast(recipients.length);
+  }
+  
+  /**
+   * Send a voice channel's participants to its members
+   */
+  broadcastVoiceChannelParticipants(channel) {
+    const recipients = this.voiceManager.broadcastParticipantsList(this.getVoiceChannelClients(channel), channel);
+    this.serverState.recordBroadcast(recipients);
+  }
+  
+  /**
+   * Send a room's voice channel list to everyone in it
+   */
+  broadcastRoomVoiceChannels(roomId) {
+    this.broadcastToRoom(roomId, {
+      type: 'voiceChannels',
+      roomId,
+      channels: this.voiceManager.listChannels(roomId)
+    });
+  }
+  
+  /**
+   * Tell a voice channel (and the room's channel list) that someone joined
+   */
+  announceVoiceJoin(ws, userId, channel) {
+    this.broadcastToVoiceChannel(channel, { type: 'voiceJoin', userId, channel: channel.name }, ws);
+    this.broadcastVoiceChannelParticipants(channel);
+    this.broadcastRoomVoiceChannels(channel.roomId);
+  }
+  
+  /**
+   * Tell a voice channel (and the room's channel list) that someone left
+   */
+  announceVoiceLeave(userId, channel) {
+    this.broadcastToVoiceChannel(channel, { type: 'voiceLeave', userId, channel: channel.name });
+    this.broadcastVoiceChannelParticipants(channel);
+    this.broadcastRoomVoiceChannels(channel.roomId);
+  }
+  
+  /**
+   * Tell members of proximity voice channels which peers they can hear
+   */
+  updateVoiceProximity() {
+    const getPosition = (userId) => {
+      const player = this.interestManager.getPlayer(userId);
+      return player ? player.position : null;
+    };
+    
+    this.voiceManager.getProximityChannels().forEach((channel) => {
+      this.voiceManager.updateProximity(channel, getPosition).forEach(({ userId, peers }) => {
+        this.sendToUserInRoom(userId, channel.roomId, {
+          type: 'voiceProximity',
+          channel: channel.name,
+          peers
+        });
+      });
+    });
+  }
+  
+  // Send a single payload (object or pre-serialised string) to one client
+  sendToClient(ws, message) {
+    if (ws.readyState !== WebSocket.OPEN) return;
+    
+    try {
+      ws.send(typeof message === 'string' ? message : JSON.stringify(message));
+    } catch (error) {
+      log.error('Error sending message to client', error);
+    }
+  }
+  
+  /**
+   * Send a payload to every connection in a room
+   */
+  broadcastToRoom(roomId, message, excludeWs = null) {
+    const data = typeof message === 'string' ? message : JSON.stringify(message);
+    let recipients = 0;
+    
+    this.roomManager.getRoomClients(roomId).forEach((client) => {
+      if (client !== excludeWs && client.readyState === WebSocket.OPEN) {
+        try {
+          client.send(data);
+          recipients++;
+        } catch (error) {
+          log.error('Error broadcasting room message', { roomId, error });
+        }
+      }
+    });
+    
+    this.serverState.recordBroadcast(recipients);
   }
   
+  // Send a payload to every connection on the server, whatever room they're in
   broadcastMessage(excludeWs, message) {
+    const data = typeof message === 'string' ? message : JSON.stringify(message);
+    let recipients = 0;
+    
     this.wss.clients.forEach((client) => {
       if (client !== excludeWs && client.readyState === WebSocket.OPEN) {
         try {
-          client.send(message);
+          client.send(data);
+          recipients++;
         } catch (error) {
-          console.error('Error broadcasting message:', error);
+          log.error('Error broadcasting message', error);
         }
       }
     });
+    
+    this.serverState.recordBroadcast(recipients);
   }
   
   setupIntervals() {
+    // Simulation tick - batched world snapshots at the configured rate
+    this.intervals.push(setInterval(() => this.tick(), this.snapshotManager.getTickInterval()));
+    
+    // Who can hear whom in proximity voice channels
+    this.intervals.push(setInterval(() => this.updateVoiceProximity(), this.voiceManager.proximityInterval));
+    
     // Health check interval - logs server status every minute
-    setInterval(() => {
+    this.intervals.push(setInterval(() => {
       const uptime = Math.floor((Date.now() - this.serverState.getStartTime()) / 1000);
-      console.log(
-        `[Health] Uptime: ${uptime}s, Clients: ${this.wss.clients.size}, ` +
-        `Total connections: ${this.serverState.getConnections()}, ` +
-        `Messages: ${this.serverState.getMessages()}, ` +
-        `Errors: ${this.serverState.getErrors()}, ` +
-        `Unique browsers: ${this.userManager.getBrowserCount()}`
-      );
-    }, 60000);
+      log.info('Health', {
+        uptime,
+        sockets: this.wss.clients.size,
+        connections: this.serverState.getConnections(),
+        messages: this.serverState.getMessages(),
+        errors: this.serverState.getErrors(),
+        browsers: this.userManager.getBrowserCount()
+      });
+    }, 60000));
     
     // Cleanup interval - periodically check for zombie entries
-    setInterval(() => {
+    this.intervals.push(setInterval(() => {
       const pruned = this.userManager.pruneInactiveBrowsers(this.clientManager);
+      this.sessionManager.pruneRevokedSessions();
       if (pruned > 0) {
-        this.userManager.broadcastUserList(this.wss);
+        this.broadcastAllUserLists();
       }
-    }, 3600000); // Run every hour
+    }, 3600000)); // Run every hour
+    
+    // Room cleanup interval - drop on-demand rooms and voice channels that have emptied out
+    this.intervals.push(setInterval(() => {
+      this.roomManager.cleanupEmptyRooms().forEach(roomId => this.gameChatManager.clearRoom(roomId));
+      this.voiceManager.cleanupEmptyChannels();
+    }, 30000));
   }
 
+  async start() {
+    // Restore saved state before accepting any connections
+    await this.persistenceManager.load();
+    this.persistenceManager.start();
+    this.chatHistoryStore.start();
+    
+    // Start the server
+    await new Promise((resolve) => {
+      this.server.listen(this.port, '0.0.0.0', () => {
+        log.info('WebSocket server running', { port: this.port, environment: process.env.NODE_ENV || 'development' });
+        resolve();
+      });
+    });
+  }
+  
   /**
-   * Validate player stat name and value
-   * @param {string} stat - The stat name
-   * @param {any} value - The value to validate
-   * @returns {boolean} - Whether the stat/value pair is valid
+   * Drain connections and save state ahead of the process exiting
+   * Concurrent calls share the shutdown already in progress
    */
-  validatePlayerStat(stat, value) {
-    // Define allowed stats and their validation rules
-    const validationRules = {
-      // Level should be a number between 1 and 100
-      'level': (val) => typeof val === 'number',
-      
-      // Health should be a number between 0 and 100
-      'health': (val) => typeof val === 'number',
-      
-      // Attack and ability should be numbers between 1 and 100
-      'attack': (val) => typeof val === 'number',
-      'ability': (val) => typeof val === 'number',
-      
-      // Weapon, emblem should be strings 
-      'weapon': (val) => typeof val === 'string',
-      'emblem': (val) => typeof val === 'string',
-      
-      // Time played should be a string in the format "0d 0h"
-      'timePlayed': (val) => typeof val === 'string' && /^\d+d \d+h$/.test(val),
-      
-      // Animation state can be any string but with reasonable length
-      'animationState': (val) => typeof val === 'string',
+  shutdown(reason = 'shutdown') {
+    if (!this.shuttingDown) {
+      this.shuttingDown = this.drainAndSave(reason);
+    }
+    
+    return this.shuttingDown;
+  }
+  
+  /**
+   * Refuse new connections, tell clients to reconnect, close every socket with
+   * 1001 and flush anything pending to storage. Sockets still open halfway to the
+   * shutdown deadline are terminated so the flush has time to finish.
+   */
+  async drainAndSave(reason) {
+    log.info('Shutting down', { reason, sockets: this.wss.clients.size, timeout: this.shutdownTimeout });
+    
+    // Stop the tick, health and cleanup timers and any pending respawns
+    this.intervals.forEach(interval => clearInterval(interval));
+    this.intervals = [];
+    this.combatManager.cancelAllRespawns();
+    
+    // Stop listening; upgrades on connections already open are refused in verifyClient
+    this.server.close();
+    
+    const notice = JSON.stringify({
+      type: 'serverShutdown',
+      reason,
+      reconnect: true,
+      reconnectAfter: this.reconnectDelay
+    });
+    
+    const closed = Array.from(this.wss.clients).map(ws => new Promise((resolve) => {
+      if (ws.readyState === WebSocket.CLOSED) {
+        resolve();
+        return;
+      }
       
-      // Deliveries made should be a number
-      'deliveriesMade': (val) => typeof val === 'number' && val >= 0
-    };
+      ws.once('close', resolve);
+      this.sendToClient(ws, notice);
+      ws.close(GOING_AWAY_CLOSE_CODE, 'Server shutting down');
+    }));
     
-    // Check if the stat is allowed
-    if (!validationRules.hasOwnProperty(stat)) {
-      console.warn(`Invalid stat name: ${stat}`);
-      return false;
-    }
+    let drainTimer;
+    const drainDeadline = new Promise((resolve) => {
+      drainTimer = setTimeout(resolve, this.shutdownTimeout / 2);
+    });
     
-    // Check if the value passes validation
-    const isValid = validationRules[stat](value);
-    if (!isValid) {
-      console.warn(`Invalid value for stat ${stat}: ${value}`);
-      return false;
-    }
+    await Promise.race([Promise.all(closed), drainDeadline]);
+    clearTimeout(drainTimer);
     
-    return true;
+    // Don't wait any longer on clients that never finished the closing handshake
+    this.wss.clients.forEach(ws => ws.terminate());
+    this.wss.close();
+    
+    // Both stores write through the same storage, so it's only closed once they've stopped
+    await this.persistenceManager.stop();
+    await this.chatHistoryStore.stop();
+    await this.storage.close();
+    
+    log.info('Shutdown complete', { reason });
   }
   
-  start() {
-    // Start the server
-    this.server.listen(this.port, '0.0.0.0', () => {
-      console.log(`WebSocket server running on port ${this.port}`);
-      console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
-      console.log(`Environment PORT: ${process.env.PORT || 'not set, using default'}`);
-    });
+  /**
+   * Shut down, then exit the process
+   * Exits with code 1 anyway if the shutdown takes longer than SHUTDOWN_TIMEOUT_MS
+   */
+  shutdownAndExit(reason, exitCode = 0) {
+    const deadline = setTimeout(() => {
+      log.error('Shutdown did not finish in time, exiting', { reason, timeout: this.shutdownTimeout });
+      process.exit(1);
+    }, this.shutdownTimeout);
+    deadline.unref();
+    
+    return this.shutdown(reason)
+      .then(() => process.exit(exitCode))
+      .catch((error) => {
+        log.error('Error during shutdown', error);
+        process.exit(1);
+      });
   }
 }
 
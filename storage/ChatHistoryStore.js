@@ -0,0 +1,283 @@
+const { createLogger } = require('../utils/Logger');
+
+const log = createLogger('ChatHistoryStore');
+
+// Messages kept per channel before the oldest are dropped
+const DEFAULT_RETENTION = 5000;
+
+// Write changed channels back to storage every 5 seconds by default
+const DEFAULT_FLUSH_INTERVAL = 5000;
+
+// Channels nobody has read or written for 10 minutes are unloaded
+const DEFAULT_IDLE_TIMEOUT = 10 * 60 * 1000;
+
+/**
+ * Chat history kept per channel on top of any storage adapter
+ *
+ * Each channel is its own collection ('chat-global', 'chat-room-lobby',
+ * 'chat-party-<id>'...), loaded the first time the channel is used and written
+ * back on a timer once it changes. Channels that go idle (or are released
+ * because nobody is in them) are unloaded on the timer once they have been
+ * written, and load again the next time they are used. Pages are read with
+ * message-ID cursors, so clients can scroll back through history or catch up
+ * on what they missed.
+ *
+ * Configuration (environment):
+ *   CHAT_HISTORY_RETENTION - messages kept per channel (default 5000)
+ *   CHAT_HISTORY_IDLE_MS   - how long an unused channel stays loaded (default 600000)
+ *   STORAGE_FLUSH_MS       - how often changed channels are written (default 5000)
+ */
+class ChatHistoryStore {
+  constructor(storage, options = {}) {
+    this.storage = storage;
+    this.retention = options.retention || parseInt(process.env.CHAT_HISTORY_RETENTION, 10) || DEFAULT_RETENTION;
+    this.flushInterval = options.flushInterval || parseInt(process.env.STORAGE_FLUSH_MS, 10) || DEFAULT_FLUSH_INTERVAL;
+    this.idleTimeout = options.idleTimeout || parseInt(process.env.CHAT_HISTORY_IDLE_MS, 10) || DEFAULT_IDLE_TIMEOUT;
+
+    // Channel ID -> messages, oldest first
+    this.channels = new Map();
+
+    // Channel ID -> load in progress
+    this.loading = new Map();
+
+    // Channels changed since the last flush
+    this.dirty = new Set();
+
+    // Channel ID -> when it was last used (0 once released)
+    this.lastUsed = new Map();
+
+    this.flushTimer = null;
+    this.flushing = null;
+  }
+
+  /**
+   * Get the storage collection a channel is kept in
+   */
+  getCollection(channelId) {
+    return `chat-${channelId.replace(':', '-')}`;
+  }
+
+  /**
+   * Get a channel's messages, loading them from storage the first time
+   */
+  async getChannel(channelId) {
+    this.lastUsed.set(channelId, Date.now());
+
+    if (this.channels.has(channelId)) {
+      return this.channels.get(channelId);
+    }
+
+    // Requests for a channel that is still loading share the same load
+    if (!this.loading.has(channelId)) {
+      const load = this.storage.load(this.getCollection(channelId))
+        .then((messages) => {
+          // Messages may have been imported while the load was in flight
+          if (!this.channels.has(channelId)) {
+            this.channels.set(channelId, messages || []);
+          }
+          return this.channels.get(channelId);
+        })
+        .finally(() => this.loading.delete(channelId));
+
+      this.loading.set(channelId, load);
+    }
+
+    return this.loading.get(channelId);
+  }
+
+  /**
+   * Add a message to the end of its channel
+   */
+  async append(message) {
+    const messages = await this.getChannel(message.channel);
+    messages.push(message);
+
+    // Drop the oldest messages beyond the retention limit
+    if (messages.length > this.retention) {
+      messages.splice(0, messages.length - this.retention);
+    }
+
+    this.markChanged(message.channel);
+    return message;
+  }
+
+  /**
+   * Find a message in a channel by ID
+   */
+  async findMessage(channelId, messageId) {
+    const messages = await this.getChannel(channelId);
+    return messages.find(message => message.id === messageId) || null;
+  }
+
+  /**
+   * Record that a channel's messages were changed in place
+   */
+  markChanged(channelId) {
+    this.dirty.add(channelId);
+  }
+
+  /**
+   * Get a page of a channel's history, oldest first
+   * - before: messages older than this message ID
+   * - after:  messages newer than this message ID
+   * - neither: the most recent messages
+   * Returns { messages, hasMore } where hasMore says whether more messages lie
+   * further in the direction being paged, or null if the cursor is unknown
+   */
+  async query(channelId, options = {}) {
+    const messages = await this.getChannel(channelId);
+    const limit = options.limit || 50;
+
+    if (options.after) {
+      const index = messages.findIndex(message => message.id === options.after);
+      if (index === -1) return null;
+
+      const page = messages.slice(index + 1, index + 1 + limit);
+      return { messages: page, hasMore: index + 1 + limit < messages.length };
+    }
+
+    let end = messages.length;
+    if (options.before) {
+      end = messages.findIndex(message => message.id === options.before);
+      if (end === -1) return null;
+    }
+
+    const start = Math.max(0, end - limit);
+    return { messages: messages.slice(start, end), hasMore: start > 0 };
+  }
+
+  /**
+   * Add messages saved by an older version of the server, which kept every
+   * channel in the single 'chat' collection
+   */
+  importMessages(messages) {
+    messages.forEach((message) => {
+      if (!this.channels.has(message.channel)) {
+        this.channels.set(message.channel, []);
+      }
+      this.channels.get(message.channel).push(message);
+      this.lastUsed.set(message.channel, Date.now());
+      this.markChanged(message.channel);
+    });
+  }
+
+  /**
+   * Let a channel nobody is in be unloaded on the next flush
+   * Its history stays in storage and loads again if the channel is used
+   */
+  releaseChannel(channelId) {
+    if (this.channels.has(channelId)) {
+      this.lastUsed.set(channelId, 0);
+    }
+  }
+
+  /**
+   * Drop a channel and its stored history for good (e.g. a disbanded party)
+   */
+  async deleteChannel(channelId) {
+    // Let a load or a save of the channel finish first so neither brings it back
+    if (this.loading.has(channelId)) {
+      await this.loading.get(channelId);
+    }
+    if (this.flushing) {
+      await this.flushing;
+    }
+
+    this.channels.delete(channelId);
+    this.dirty.delete(channelId);
+    this.lastUsed.delete(channelId);
+
+    await this.storage.remove(this.getCollection(channelId));
+    log.debug('Deleted chat history', { channel: channelId });
+  }
+
+  /**
+   * Unload channels that have been idle for longer than the idle timeout
+   * Channels with unsaved changes stay until they have been written
+   */
+  evictIdle() {
+    const cutoff = Date.now() - this.idleTimeout;
+    let evicted = 0;
+
+    this.lastUsed.forEach((lastUsed, channelId) => {
+      if (lastUsed > cutoff || this.dirty.has(channelId) || this.loading.has(channelId)) return;
+
+      this.channels.delete(channelId);
+      this.lastUsed.delete(channelId);
+      evicted++;
+    });
+
+    if (evicted > 0) {
+      log.debug('Unloaded idle chat channels', { evicted, loaded: this.channels.size });
+    }
+    return evicted;
+  }
+
+  /**
+   * Write every channel that changed since the last flush
+   * Concurrent calls share the flush already in progress
+   */
+  flush() {
+    if (this.flushing) {
+      return this.flushing;
+    }
+
+    this.flushing = this.writeChanged().finally(() => {
+      this.flushing = null;
+    });
+
+    return this.flushing;
+  }
+
+  /**
+   * Save the changed channels
+   */
+  async writeChanged() {
+    const changed = Array.from(this.dirty);
+    this.dirty.clear();
+
+    for (const channelId of changed) {
+      try {
+        await this.storage.save(this.getCollection(channelId), this.channels.get(channelId));
+      } catch (error) {
+        // Try again on the next flush
+        this.dirty.add(channelId);
+        log.error('Error saving chat history', { channel: channelId, error });
+      }
+    }
+
+    return changed.length;
+  }
+
+  /**
+   * Start the write-behind flush timer
+   */
+  start() {
+    if (this.flushTimer) return;
+
+    this.flushTimer = setInterval(() => this.flush().then(() => this.evictIdle()), this.flushInterval);
+
+    // Don't let the flush timer alone keep the process alive
+    if (this.flushTimer.unref) {
+      this.flushTimer.unref();
+    }
+  }
+
+  /**
+   * Stop the timer and write anything still pending
+   */
+  async stop() {
+    if (this.flushTimer) {
+      clearInterval(this.flushTimer);
+      this.flushTimer = null;
+    }
+
+    // Messages appended while a flush was running aren't in it
+    if (this.flushing) {
+      await this.flushing;
+    }
+    await this.flush();
+  }
+}
+
+module.exports = ChatHistoryStore;
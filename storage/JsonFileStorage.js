@@ -0,0 +1,60 @@
+const fs = require('fs');
+const path = require('path');
+const StorageAdapter = require('./StorageAdapter');
+
+/**
+ * File storage - one JSON file per collection inside a data directory
+ */
+class JsonFileStorage extends StorageAdapter {
+  constructor(directory) {
+    super();
+    this.directory = path.resolve(directory);
+  }
+
+  async init() {
+    await fs.promises.mkdir(this.directory, { recursive: true });
+  }
+
+  /**
+   * Get the file path for a collection
+   */
+  getFilePath(collection) {
+    if (!/^[a-zA-Z0-9_-]+$/.test(collection)) {
+      throw new Error(`Invalid collection name: ${collection}`);
+    }
+    return path.join(this.directory, `${collection}.json`);
+  }
+
+  async load(collection) {
+    try {
+      const contents = await fs.promises.readFile(this.getFilePath(collection), 'utf8');
+      return JSON.parse(contents);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async save(collection, data) {
+    const filePath = this.getFilePath(collection);
+    const tempPath = `${filePath}.tmp`;
+
+    // Write to a temp file and rename so a crash mid-write can't corrupt the data
+    await fs.promises.writeFile(tempPath, JSON.stringify(data));
+    await fs.promises.rename(tempPath, filePath);
+  }
+
+  async remove(collection) {
+    try {
+      await fs.promises.unlink(this.getFilePath(collection));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+}
+
+module.exports = JsonFileStorage;
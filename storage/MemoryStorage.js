@@ -0,0 +1,30 @@
+const StorageAdapter = require('./StorageAdapter');
+
+/**
+ * In-memory storage - nothing survives a restart, intended for tests and local runs
+ */
+class MemoryStorage extends StorageAdapter {
+  constructor() {
+    super();
+    this.collections = new Map();
+  }
+
+  async load(collection) {
+    if (!this.collections.has(collection)) {
+      return null;
+    }
+
+    // Hand out copies so callers can't mutate what is "on disk"
+    return JSON.parse(this.collections.get(collection));
+  }
+
+  async save(collection, data) {
+    this.collections.set(collection, JSON.stringify(data));
+  }
+
+  async remove(collection) {
+    this.collections.delete(collection);
+  }
+}
+
+module.exports = MemoryStorage;
@@ -0,0 +1,42 @@
+/**
+ * Base class for persistence backends
+ *
+ * Data is stored as named collections (e.g. 'users', 'chat'), each a single
+ * JSON-serialisable value. Adapters only need to implement load and save,
+ * though most will want a real remove too.
+ */
+class StorageAdapter {
+  /**
+   * Prepare the backend (create directories, open files...)
+   */
+  async init() {}
+
+  /**
+   * Load a collection, resolving to null if it has never been saved
+   */
+  async load(collection) {
+    throw new Error(`${this.constructor.name} does not implement load(${collection})`);
+  }
+
+  /**
+   * Save a collection, replacing whatever was stored before
+   */
+  async save(collection, data) {
+    throw new Error(`${this.constructor.name} does not implement save(${collection})`);
+  }
+
+  /**
+   * Remove a collection so it loads as never saved
+   * Falls back to saving null for adapters that don't implement it
+   */
+  async remove(collection) {
+    await this.save(collection, null);
+  }
+
+  /**
+   * Release any resources held by the backend
+   */
+  async close() {}
+}
+
+module.exports = StorageAdapter;
@@ -0,0 +1,27 @@
+const MemoryStorage = require('./MemoryStorage');
+const JsonFileStorage = require('./JsonFileStorage');
+const ChatHistoryStore = require('./ChatHistoryStore');
+
+/**
+ * Create the storage adapter selected by the environment
+ * STORAGE_DRIVER: 'file' (default) or 'memory'
+ * STORAGE_DIR:    directory for the file driver (default ./data)
+ */
+function createStorage(driver = process.env.STORAGE_DRIVER || 'file') {
+  if (driver === 'memory') {
+    return new MemoryStorage();
+  }
+
+  if (driver === 'file') {
+    return new JsonFileStorage(process.env.STORAGE_DIR || './data');
+  }
+
+  throw new Error(`Unknown storage driver: ${driver}`);
+}
+
+module.exports = {
+  createStorage,
+  MemoryStorage,
+  JsonFileStorage,
+  ChatHistoryStore
+};
@@ -0,0 +1,389 @@
+const crypto = require('crypto');
+const { createLogger } = require('./Logger');
+const { MAX_CLOSE_REASON_BYTES } = require('./CloseReason');
+
+const log = createLogger('AdminApi');
+
+// Close code sent to connections an administrator kicks
+const KICK_CLOSE_CODE = 4000;
+
+// Admin bans and mutes last a day unless a duration is given (null for permanent)
+const DEFAULT_BAN_DURATION = 24 * 60 * 60 * 1000;
+
+// Largest request body the admin API will read
+const MAX_BODY_SIZE = 64 * 1024;
+
+/**
+ * Error that becomes an HTTP error response
+ */
+class AdminApiError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'AdminApiError';
+    this.status = status;
+  }
+}
+
+/**
+ * Authenticated REST API for live server operations, served under /admin
+ *
+ * Every request needs an `Authorization: Bearer <ADMIN_TOKEN>` header. Without
+ * ADMIN_TOKEN set the API is switched off and /admin answers 404.
+ *
+ *   GET    /admin/clients                  - connected clients
+ *   POST   /admin/clients/:clientId/kick   - close one connection { reason }
+ *   GET    /admin/users/:userId            - a user's profile, stats and connections
+ *   POST   /admin/users/:userId/kick       - close all of a user's connections { reason }
+ *   GET    /admin/bans                     - active bans and mutes
+ *   POST   /admin/bans                     - ban or mute { ip | fingerprint | userId, kind, duration, reason }
+ *                                            (bans kick anyone already connected who matches)
+ *
+ * Kick reasons become the close reason, so they can be at most 123 bytes.
+ *   DELETE /admin/bans                     - lift a ban or mute { id } or { ip | fingerprint | userId, kind }
+ *   POST   /admin/announcements            - game chat announcement { text, roomId }
+ *   POST   /admin/user-lists               - rebroadcast every room's user list
+ *
+ * Configuration (environment):
+ *   ADMIN_TOKEN - bearer token for the admin API
+ */
+class AdminApi {
+  constructor(server, options = {}) {
+    this.server = server;
+    this.token = options.token || process.env.ADMIN_TOKEN || null;
+
+    this.routes = [
+      { method: 'GET', path: /^\/admin\/clients$/, handler: () => this.listClients() },
+      { method: 'POST', path: /^\/admin\/clients\/([^/]+)\/kick$/, handler: (params, body) => this.kickClient(params[0], body) },
+      { method: 'GET', path: /^\/admin\/users\/([^/]+)$/, handler: params => this.getUser(params[0]) },
+      { method: 'POST', path: /^\/admin\/users\/([^/]+)\/kick$/, handler: (params, body) => this.kickUser(params[0], body) },
+      { method: 'GET', path: /^\/admin\/bans$/, handler: () => this.listBans() },
+      { method: 'POST', path: /^\/admin\/bans$/, handler: (params, body) => this.ban(body) },
+      { method: 'DELETE', path: /^\/admin\/bans$/, handler: (params, body) => this.unban(body) },
+      { method: 'POST', path: /^\/admin\/announcements$/, handler: (params, body) => this.announce(body) },
+      { method: 'POST', path: /^\/admin\/user-lists$/, handler: () => this.rebroadcastUserLists() }
+    ];
+  }
+
+  /**
+   * Check if a request is for the admin API
+   */
+  matches(req) {
+    const path = req.url.split('?')[0];
+    return path === '/admin' || path.startsWith('/admin/');
+  }
+
+  /**
+   * Answer an admin API request
+   */
+  async handleRequest(req, res) {
+    try {
+      if (!this.token) {
+        throw new AdminApiError(404, 'Not found');
+      }
+
+      if (!this.isAuthorized(req)) {
+        res.setHeader('WWW-Authenticate', 'Bearer');
+        throw new AdminApiError(401, 'Missing or invalid admin token');
+      }
+
+      const path = req.url.split('?')[0];
+      const route = this.routes.find(candidate => candidate.path.test(path) && candidate.method === req.method);
+      if (!route) {
+        const pathExists = this.routes.some(candidate => candidate.path.test(path));
+        throw new AdminApiError(pathExists ? 405 : 404, pathExists ? 'Method not allowed' : 'Not found');
+      }
+
+      const body = req.method === 'GET' ? {} : await readJsonBody(req);
+      const params = path.match(route.path).slice(1).map(decodeURIComponent);
+      const result = await route.handler(params, body);
+
+      log.info('Admin API request', { method: req.method, path });
+      this.sendJson(res, 200, result);
+    } catch (error) {
+      if (error instanceof AdminApiError) {
+        this.sendJson(res, error.status, { error: error.message });
+        return;
+      }
+
+      this.server.serverState.incrementErrors('admin');
+      log.error('Admin API error', error);
+      this.sendJson(res, 500, { error: 'Internal server error' });
+    }
+  }
+
+  /**
+   * Check the request's bearer token against ADMIN_TOKEN
+   */
+  isAuthorized(req) {
+    const header = req.headers.authorization || '';
+    const match = header.match(/^Bearer (.+)$/);
+    if (!match) return false;
+
+    // Compare digests so the check takes the same time whatever the token
+    const expected = crypto.createHash('sha256').update(this.token).digest();
+    const provided = crypto.createHash('sha256').update(match[1]).digest();
+    return crypto.timingSafeEqual(expected, provided);
+  }
+
+  /**
+   * Send a JSON response
+   */
+  sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  }
+
+  /**
+   * Describe a connection for admin responses
+   */
+  describeConnection(ws, clientData) {
+    return {
+      clientId: clientData.id,
+      userId: clientData.userId,
+      browserFingerprint: clientData.browserFingerprint,
+      ip: clientData.ip,
+      origin: clientData.origin,
+      roomId: this.server.roomManager.getClientRoom(ws),
+      connected: clientData.connected,
+      lastActivity: clientData.lastActivity || null,
+      messages: clientData.messages
+    };
+  }
+
+  /**
+   * List every connected client
+   */
+  listClients() {
+    const clients = [];
+    this.server.clientManager.connectedClients.forEach((clientData, ws) => {
+      clients.push(this.describeConnection(ws, clientData));
+    });
+
+    return { count: clients.length, clients };
+  }
+
+  /**
+   * Get a user's profile, stats and live connections
+   */
+  getUser(userId) {
+    const user = this.server.userManager.getUserById(userId);
+    if (!user) {
+      throw new AdminApiError(404, 'User not found');
+    }
+
+    const connections = this.server.clientManager.getConnectionsByUserId(userId)
+      .map(ws => this.describeConnection(ws, this.server.clientManager.connectedClients.get(ws)));
+
+    return {
+      user,
+      stats: this.server.userManager.getUserStats(userId),
+      connections
+    };
+  }
+
+  /**
+   * Get the kick reason from a request body
+   * It's sent as the close reason, so it has to fit in a close frame
+   */
+  getKickReason(body) {
+    if (body.reason === undefined || body.reason === null || body.reason === '') {
+      return 'Kicked by an administrator';
+    }
+    if (typeof body.reason !== 'string') {
+      throw new AdminApiError(400, 'reason must be a string');
+    }
+    if (Buffer.byteLength(body.reason) > MAX_CLOSE_REASON_BYTES) {
+      throw new AdminApiError(400, `reason must be at most ${MAX_CLOSE_REASON_BYTES} bytes`);
+    }
+    return body.reason;
+  }
+
+  /**
+   * Close connections, telling each client why first
+   */
+  closeConnections(connections, reason) {
+    connections.forEach((ws) => {
+      this.server.sendErrorMessage(ws, reason, { code: 'kicked' });
+      ws.close(KICK_CLOSE_CODE, reason);
+    });
+    return connections.length;
+  }
+
+  /**
+   * Kick a single connection
+   */
+  kickClient(clientId, body) {
+    const ws = this.server.clientManager.getConnectionByClientId(clientId);
+    if (!ws) {
+      throw new AdminApiError(404, 'Client not found');
+    }
+
+    const reason = this.getKickReason(body);
+    log.warn('Admin kicked client', { clientId, reason });
+    return { kicked: this.closeConnections([ws], reason) };
+  }
+
+  /**
+   * Kick every connection a user has
+   */
+  kickUser(userId, body) {
+    if (!this.server.userManager.getUserById(userId)) {
+      throw new AdminApiError(404, 'User not found');
+    }
+
+    const reason = this.getKickReason(body);
+    log.warn('Admin kicked user', { userId, reason });
+    return { kicked: this.closeConnections(this.server.clientManager.getConnectionsByUserId(userId), reason) };
+  }
+
+  /**
+   * Get the ban target named in a request body
+   */
+  getBanTarget(body) {
+    if (typeof body.ip === 'string' && body.ip) {
+      return { type: 'ip', value: body.ip };
+    }
+    if (typeof body.fingerprint === 'string' && body.fingerprint) {
+      return { type: 'fingerprint', value: body.fingerprint };
+    }
+    if (typeof body.userId === 'string' && body.userId) {
+      return { type: 'user', value: body.userId };
+    }
+    throw new AdminApiError(400, 'An ip, fingerprint or userId is required');
+  }
+
+  /**
+   * List active bans and mutes
+   */
+  listBans() {
+    const entries = this.server.banManager.list();
+    return { count: entries.length, entries };
+  }
+
+  /**
+   * Ban or mute an IP address or range, browser fingerprint or user
+   * Bans also kick anyone already connected who matches
+   */
+  ban(body) {
+    const target = this.getBanTarget(body);
+    const kind = body.kind || 'ban';
+    const result = this.server.banManager.add({
+      kind,
+      type: target.type,
+      value: target.value,
+      reason: body.reason || null,
+      issuedBy: body.issuedBy || 'admin',
+      duration: body.duration === undefined ? DEFAULT_BAN_DURATION : body.duration
+    });
+
+    if (!result.success) {
+      throw new AdminApiError(400, `Could not add ${kind}: ${result.error}`);
+    }
+
+    const { entry } = result;
+    let kicked = 0;
+
+    if (kind === 'ban') {
+      const { code, reason } = this.server.banManager.getCloseDetails(entry);
+      const connections = this.server.clientManager.findConnections(clientData =>
+        (entry.type === 'ip' && this.server.banManager.matchesIp(entry, clientData.ip)) ||
+        (entry.type === 'fingerprint' && clientData.browserFingerprint === entry.value) ||
+        (entry.type === 'user' && clientData.userId === entry.value));
+
+      connections.forEach((ws) => {
+        this.server.sendErrorMessage(ws, reason, { code: 'banned' });
+        ws.close(code, reason);
+      });
+      kicked = connections.length;
+    }
+
+    return { entry, kicked };
+  }
+
+  /**
+   * Lift a ban or mute, by ID or by target
+   */
+  unban(body) {
+    let removed;
+    if (body.id) {
+      removed = [this.server.banManager.remove(body.id)].filter(Boolean);
+    } else {
+      const target = this.getBanTarget(body);
+      removed = this.server.banManager.removeTarget(body.kind || 'ban', target.type, target.value);
+    }
+
+    if (removed.length === 0) {
+      throw new AdminApiError(404, 'No active ban or mute found');
+    }
+
+    return { removed };
+  }
+
+  /**
+   * Announce something in game chat, in one room or all of them
+   */
+  announce(body) {
+    if (typeof body.text !== 'string' || !body.text.trim()) {
+      throw new AdminApiError(400, 'text is required');
+    }
+
+    if (body.roomId && !this.server.roomManager.hasRoom(body.roomId)) {
+      throw new AdminApiError(404, 'Room not found');
+    }
+
+    const roomIds = body.roomId
+      ? [body.roomId]
+      : this.server.roomManager.listRooms().map(room => room.id);
+
+    roomIds.forEach(roomId => this.server.announceGameEvent(roomId, 'announcement', { text: body.text.trim() }));
+    return { rooms: roomIds };
+  }
+
+  /**
+   * Send every room a fresh user list
+   */
+  rebroadcastUserLists() {
+    this.server.broadcastAllUserLists();
+    return { rebroadcast: true };
+  }
+}
+
+/**
+ * Read and parse a JSON request body (an empty body is an empty object)
+ */
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+
+    req.on('data', (chunk) => {
+      body += chunk;
+      if (body.length > MAX_BODY_SIZE) {
+        reject(new AdminApiError(413, 'Request body too large'));
+        req.destroy();
+      }
+    });
+
+    req.on('end', () => {
+      if (!body) {
+        resolve({});
+        return;
+      }
+
+      try {
+        const parsed = JSON.parse(body);
+        if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+          throw new Error('Body must be a JSON object');
+        }
+        resolve(parsed);
+      } catch (error) {
+        reject(new AdminApiError(400, 'Request body must be a JSON object'));
+      }
+    });
+
+    req.on('error', reject);
+  });
+}
+
+module.exports = AdminApi;
+module.exports.AdminApiError = AdminApiError;
+module.exports.KICK_CLOSE_CODE = KICK_CLOSE_CODE;
@@ -0,0 +1,28 @@
+// WebSocket close reasons are limited to 123 bytes of UTF-8
+const MAX_CLOSE_REASON_BYTES = 123;
+
+/**
+ * Shorten a close reason to fit in a close frame
+ * Cuts on character boundaries so multi-byte characters are never split,
+ * and the result (with its "...") is never over the limit
+ */
+function truncateCloseReason(reason) {
+  if (Buffer.byteLength(reason) <= MAX_CLOSE_REASON_BYTES) return reason;
+
+  const suffix = '...';
+  let bytes = Buffer.byteLength(suffix);
+  let truncated = '';
+
+  for (const char of reason) {
+    bytes += Buffer.byteLength(char);
+    if (bytes > MAX_CLOSE_REASON_BYTES) break;
+    truncated += char;
+  }
+
+  return `${truncated}${suffix}`;
+}
+
+module.exports = {
+  MAX_CLOSE_REASON_BYTES,
+  truncateCloseReason
+};
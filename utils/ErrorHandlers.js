@@ -1,16 +1,28 @@
+const { createLogger } = require('./Logger');
+
+const log = createLogger('process');
+
 /**
  * Setup global error handlers
+ * onFatalError is called after an uncaught exception; without it the process exits
  */
-function setupErrorHandlers(serverState) {
+function setupErrorHandlers(serverState, onFatalError = null) {
   // Global error handling
   process.on('uncaughtException', (error) => {
-    console.error('Uncaught Exception:', error);
-    serverState.incrementErrors();
+    log.error('Uncaught exception', error);
+    serverState.incrementErrors('uncaughtException');
+
+    // Carrying on after an uncaught exception leaves the process in an unknown state
+    if (onFatalError) {
+      onFatalError(error);
+    } else {
+      process.exit(1);
+    }
   });
 
   process.on('unhandledRejection', (reason, promise) => {
-    console.error('Unhandled Rejection at:', promise, 'reason:', reason);
-    serverState.incrementErrors();
+    log.error('Unhandled rejection', reason instanceof Error ? reason : { reason });
+    serverState.incrementErrors('unhandledRejection');
   });
 }
 
@@ -0,0 +1,236 @@
+const crypto = require('crypto');
+
+// Numeric severity of each level; 'silent' turns logging off
+const LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+  silent: 100
+};
+
+// Field names whose values are never written as they are
+const REDACTED_FIELDS = /fingerprint|^(ip|ips|clientIp|remoteAddress)$/i;
+
+// IPv4 addresses (optionally IPv4-mapped IPv6) and full or compressed IPv6 addresses in message text
+const IP_PATTERN = /(?:::ffff:)?\b(?:\d{1,3}\.){3}\d{1,3}\b|\b(?:[0-9a-f]{1,4}:){7}[0-9a-f]{1,4}\b|(?:\b(?:[0-9a-f]{1,4}:){0,6}[0-9a-f]{1,4})?::(?:[0-9a-f]{1,4}:){0,6}[0-9a-f]{1,4}\b/gi;
+
+// Salt for redaction hashes, so the same value can be followed through the
+// logs of one process without the hash being reversible by guessing
+const REDACTION_SALT = process.env.LOG_REDACTION_SALT || crypto.randomBytes(16).toString('hex');
+
+/**
+ * Replace a sensitive value with a short salted hash
+ */
+function redact(value) {
+  if (value === null || value === undefined || value === '') return value;
+  const hash = crypto.createHash('sha256').update(REDACTION_SALT).update(String(value)).digest('hex');
+  return `[redacted:${hash.substring(0, 8)}]`;
+}
+
+/**
+ * Redact IP addresses written into message text
+ */
+function redactText(text) {
+  return text.replace(IP_PATTERN, match => redact(match));
+}
+
+/**
+ * Copy a field value into something safe to write, redacting sensitive
+ * fields and turning errors into plain objects
+ */
+function sanitize(value, key = '', depth = 0) {
+  if (value instanceof Error) {
+    return { name: value.name, message: redactText(value.message), code: value.code, stack: value.stack && redactText(value.stack) };
+  }
+
+  if (REDACTED_FIELDS.test(key)) {
+    return Array.isArray(value) ? value.map(item => redact(item)) : redact(value);
+  }
+
+  if (typeof value === 'string') {
+    return redactText(value);
+  }
+
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+
+  if (depth >= 5) {
+    return '[Object]';
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => sanitize(item, '', depth + 1));
+  }
+
+  const copy = {};
+  Object.keys(value).forEach((name) => {
+    copy[name] = sanitize(value[name], name, depth + 1);
+  });
+  return copy;
+}
+
+/**
+ * Read the configured level, falling back to info
+ */
+function levelFromEnv() {
+  const level = (process.env.LOG_LEVEL || 'info').toLowerCase();
+  return LEVELS[level] !== undefined ? level : 'info';
+}
+
+/**
+ * Leveled logger writing one JSON object per line
+ *
+ * Every entry has time, level, module and msg, plus any fields passed with
+ * it. Fingerprints and IP addresses are redacted to salted hashes wherever
+ * they appear (by field name, or by pattern in text), and errors are written
+ * with their stack. Each module gets its own child logger, and hot paths can
+ * use a sampled logger that writes one debug or info entry in every N.
+ *
+ * Configuration (environment):
+ *   LOG_LEVEL           - debug, info, warn, error or silent (default info)
+ *   LOG_FORMAT          - json (default) or pretty for one readable line per entry
+ *   LOG_SAMPLE_EVERY    - how many hot path entries each sampled entry stands for (default 100)
+ *   LOG_REDACTION_SALT  - fixed salt for redaction hashes, to match them across restarts
+ */
+class Logger {
+  constructor(options = {}) {
+    this.module = options.module || 'server';
+    this.fields = options.fields || {};
+    this.level = options.level || levelFromEnv();
+    this.format = options.format || process.env.LOG_FORMAT || 'json';
+    this.sampleEvery = options.sampleEvery || 1;
+
+    // Shared with children so they write to the same place
+    this.output = options.output || {
+      out: line => process.stdout.write(line),
+      err: line => process.stderr.write(line)
+    };
+
+    this.sampleCount = 0;
+  }
+
+  /**
+   * Create a logger for a module (or a part of one) with extra fields on every entry
+   */
+  child(module, fields = {}) {
+    return new Logger({
+      module,
+      fields: { ...this.fields, ...fields },
+      level: this.level,
+      format: this.format,
+      output: this.output
+    });
+  }
+
+  /**
+   * Create a logger that writes one debug or info entry in every `every`
+   * Warnings and errors are always written
+   */
+  sampled(every = parseInt(process.env.LOG_SAMPLE_EVERY, 10) || 100) {
+    const logger = this.child(this.module);
+    logger.sampleEvery = every;
+    return logger;
+  }
+
+  /**
+   * Check if entries at a level would be written
+   */
+  isLevelEnabled(level) {
+    return LEVELS[level] >= LEVELS[this.level];
+  }
+
+  debug(msg, fields) {
+    this.write('debug', msg, fields);
+  }
+
+  info(msg, fields) {
+    this.write('info', msg, fields);
+  }
+
+  warn(msg, fields) {
+    this.write('warn', msg, fields);
+  }
+
+  error(msg, fields) {
+    this.write('error', msg, fields);
+  }
+
+  /**
+   * Write an entry if its level is enabled
+   * fields is an object of extra fields, or an Error (written as `error`)
+   */
+  write(level, msg, fields = {}) {
+    if (!this.isLevelEnabled(level)) return;
+
+    if (this.sampleEvery > 1 && LEVELS[level] < LEVELS.warn) {
+      this.sampleCount++;
+      if (this.sampleCount % this.sampleEvery !== 1) return;
+    }
+
+    const extra = fields instanceof Error ? { error: fields } : fields;
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      module: this.module,
+      msg: redactText(String(msg)),
+      ...sanitize({ ...this.fields, ...extra })
+    };
+
+    if (this.sampleEvery > 1 && LEVELS[level] < LEVELS.warn) {
+      entry.sampled = this.sampleEvery;
+    }
+
+    const line = this.format === 'pretty' ? formatPretty(entry) : stringify(entry);
+    if (LEVELS[level] >= LEVELS.warn) {
+      this.output.err(`${line}\n`);
+    } else {
+      this.output.out(`${line}\n`);
+    }
+  }
+}
+
+/**
+ * JSON.stringify that survives circular references
+ */
+function stringify(entry) {
+  try {
+    return JSON.stringify(entry);
+  } catch (error) {
+    return JSON.stringify({ time: entry.time, level: entry.level, module: entry.module, msg: entry.msg, logError: error.message });
+  }
+}
+
+/**
+ * Format an entry as one readable line for local development
+ */
+function formatPretty(entry) {
+  const { time, level, module, msg, error, ...fields } = entry;
+  const details = Object.keys(fields)
+    .map(name => `${name}=${typeof fields[name] === 'object' ? stringify(fields[name]) : fields[name]}`)
+    .join(' ');
+
+  let line = `${time} ${level.toUpperCase().padEnd(5)} [${module}] ${msg}${details ? ` ${details}` : ''}`;
+  if (error) {
+    line += `\n${error.stack || error.message || stringify(error)}`;
+  }
+  return line;
+}
+
+// Root logger every module's logger is a child of
+const rootLogger = new Logger();
+
+/**
+ * Get a logger for a module
+ */
+function createLogger(module, fields = {}) {
+  return rootLogger.child(module, fields);
+}
+
+module.exports = {
+  Logger,
+  createLogger,
+  redact,
+  LEVELS
+};
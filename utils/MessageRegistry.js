@@ -0,0 +1,111 @@
+const { validate } = require('./SchemaValidator');
+
+/**
+ * Broadcast policies a handler can declare for the payload it returns
+ * - none:   handler does its own sending (or sends nothing)
+ * - sender: reply only to the connection that sent the message
+ * - others: every client in the sender's room except the sender
+ * - all:    every client in the sender's room including the sender
+ * - nearby:    like others, but only players within area-of-interest range
+ * - nearbyAll: like all, but only players within area-of-interest range
+ */
+const BROADCAST_POLICIES = ['none', 'sender', 'others', 'all', 'nearby', 'nearbyAll'];
+
+/**
+ * Registry of inbound message handlers, keyed by message type
+ *
+ * A handler module exports:
+ *   type         - the message type it handles
+ *   requiresAuth - whether identity must have completed first
+ *   senderField  - optional payload field ('userId', 'sourceId') that must name
+ *                  the authenticated sender; filled in when omitted
+ *   broadcast    - one of BROADCAST_POLICIES
+ *   schema       - declarative object schema (see SchemaValidator)
+ *   rateLimit    - optional { limit, window } per connection
+ *   hotPath      - optional; set for types sent many times a second so only a
+ *                  sample of them is logged
+ *   handle(ctx)  - receives { server, ws, clientId, userId, message } and may return
+ *                  (or resolve to) a payload to send according to `broadcast`
+ */
+class MessageRegistry {
+  constructor() {
+    this.handlers = new Map();
+  }
+
+  /**
+   * Register a single handler
+   */
+  register(handler) {
+    if (!handler || typeof handler.type !== 'string' || typeof handler.handle !== 'function') {
+      throw new Error('Message handler must have a string type and a handle function');
+    }
+
+    if (this.handlers.has(handler.type)) {
+      throw new Error(`A handler for message type "${handler.type}" is already registered`);
+    }
+
+    if (handler.senderField && handler.requiresAuth === false) {
+      throw new Error(`Message type "${handler.type}" binds a sender field so it must require auth`);
+    }
+
+    const broadcast = handler.broadcast || 'none';
+    if (!BROADCAST_POLICIES.includes(broadcast)) {
+      throw new Error(`Unknown broadcast policy "${broadcast}" for message type "${handler.type}"`);
+    }
+
+    this.handlers.set(handler.type, {
+      requiresAuth: true,
+      schema: { type: 'object', properties: {} },
+      senderField: null,
+      rateLimit: null,
+      hotPath: false,
+      ...handler,
+      broadcast
+    });
+  }
+
+  /**
+   * Register a list of handlers
+   */
+  registerAll(handlers) {
+    handlers.forEach(handler => this.register(handler));
+  }
+
+  /**
+   * Get the handler for a message type
+   */
+  get(type) {
+    return this.handlers.get(type) || null;
+  }
+
+  /**
+   * Check if a message type has a handler
+   */
+  has(type) {
+    return this.handlers.has(type);
+  }
+
+  /**
+   * Get all registered message types
+   */
+  getTypes() {
+    return Array.from(this.handlers.keys());
+  }
+
+  /**
+   * Validate a message against its handler's schema
+   * Returns { valid: true, value } with unknown fields removed, or
+   * { valid: false, field, reason } naming the first field that failed
+   */
+  validateMessage(handler, message) {
+    const result = validate(handler.schema, message);
+    if (result.valid) {
+      // The type isn't part of the per-handler schema but routing still needs it
+      result.value.type = message.type;
+    }
+    return result;
+  }
+}
+
+module.exports = MessageRegistry;
+module.exports.BROADCAST_POLICIES = BROADCAST_POLICIES;
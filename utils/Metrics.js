@@ -0,0 +1,139 @@
+// Handler latency buckets, in seconds
+const LATENCY_BUCKETS = [0.0005, 0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1];
+
+// Broadcast fan-out buckets, in recipients
+const FANOUT_BUCKETS = [0, 1, 2, 5, 10, 25, 50, 100, 250, 500];
+
+/**
+ * Cumulative histogram in the shape Prometheus expects
+ */
+class Histogram {
+  constructor(buckets) {
+    this.buckets = buckets;
+    this.counts = new Array(buckets.length).fill(0);
+    this.sum = 0;
+    this.count = 0;
+  }
+
+  /**
+   * Record one observation
+   */
+  observe(value) {
+    this.sum += value;
+    this.count++;
+
+    for (let i = 0; i < this.buckets.length; i++) {
+      if (value <= this.buckets[i]) {
+        this.counts[i]++;
+      }
+    }
+  }
+}
+
+/**
+ * Escape a label value for the Prometheus text format
+ */
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Format a label set, e.g. {type="ping"}
+ */
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+/**
+ * Builder for a Prometheus text exposition
+ */
+class MetricsWriter {
+  constructor(prefix = 'paraverse_') {
+    this.prefix = prefix;
+    this.lines = [];
+  }
+
+  /**
+   * Write a metric with one sample, or one sample per label set
+   * samples is a number, or an array of [labels, value]
+   */
+  metric(name, type, help, samples) {
+    const fullName = this.prefix + name;
+    this.lines.push(`# HELP ${fullName} ${help}`);
+    this.lines.push(`# TYPE ${fullName} ${type}`);
+
+    if (typeof samples === 'number') {
+      this.lines.push(`${fullName} ${samples}`);
+    } else {
+      samples.forEach(([labels, value]) => this.lines.push(`${fullName}${formatLabels(labels)} ${value}`));
+    }
+  }
+
+  /**
+   * Write a histogram, or one per label set
+   * histograms is a Histogram, or an array of [labels, Histogram]
+   */
+  histogram(name, help, histograms) {
+    const fullName = this.prefix + name;
+    this.lines.push(`# HELP ${fullName} ${help}`);
+    this.lines.push(`# TYPE ${fullName} histogram`);
+
+    const labelled = histograms instanceof Histogram ? [[{}, histograms]] : histograms;
+    labelled.forEach(([labels, histogram]) => {
+      histogram.buckets.forEach((bucket, i) => {
+        this.lines.push(`${fullName}_bucket${formatLabels({ ...labels, le: bucket })} ${histogram.counts[i]}`);
+      });
+      this.lines.push(`${fullName}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${histogram.count}`);
+      this.lines.push(`${fullName}_sum${formatLabels(labels)} ${histogram.sum}`);
+      this.lines.push(`${fullName}_count${formatLabels(labels)} ${histogram.count}`);
+    });
+  }
+
+  toString() {
+    return `${this.lines.join('\n')}\n`;
+  }
+}
+
+/**
+ * Turn a Map of label value -> number into samples for one label
+ */
+function byLabel(name, map) {
+  return Array.from(map.entries()).map(([value, count]) => [{ [name]: value }, count]);
+}
+
+/**
+ * Render the server's metrics in the Prometheus text format
+ * gauges holds point-in-time values read at scrape time: sockets, users, voiceParticipants, rooms
+ */
+function renderMetrics(serverState, gauges) {
+  const metrics = serverState.getMetrics();
+  const writer = new MetricsWriter();
+
+  writer.metric('uptime_seconds', 'gauge', 'Seconds since the server started', (Date.now() - serverState.getStartTime()) / 1000);
+  writer.metric('sockets', 'gauge', 'Open WebSocket connections', gauges.sockets);
+  writer.metric('identified_users', 'gauge', 'Distinct users with at least one identified connection', gauges.users);
+  writer.metric('rooms', 'gauge', 'Rooms that currently exist', gauges.rooms);
+  writer.metric('voice_participants', 'gauge', 'Users in a voice channel', gauges.voiceParticipants);
+  writer.metric('connections_total', 'counter', 'WebSocket connections accepted', serverState.getConnections());
+  writer.metric('messages_received_total', 'counter', 'Messages received, by type', byLabel('type', metrics.messagesReceived));
+  writer.metric('messages_sent_total', 'counter', 'Messages sent, by type', byLabel('type', metrics.messagesSent));
+  writer.metric('received_bytes_total', 'counter', 'Bytes received in WebSocket messages', metrics.bytesIn);
+  writer.metric('sent_bytes_total', 'counter', 'Bytes sent in WebSocket messages', metrics.bytesOut);
+  writer.histogram('broadcast_fanout', 'Connections each broadcast was delivered to', metrics.broadcastFanout);
+  writer.histogram('handler_duration_seconds', 'Time taken by message handlers, by type',
+    Array.from(metrics.handlerLatency.entries()).map(([type, histogram]) => [{ type }, histogram]));
+  writer.metric('rate_limited_total', 'counter', 'Messages dropped by rate limits, by type', byLabel('type', metrics.rateLimited));
+  writer.metric('errors_total', 'counter', 'Errors, by where they happened', byLabel('handler', metrics.errors));
+
+  return writer.toString();
+}
+
+module.exports = {
+  Histogram,
+  MetricsWriter,
+  renderMetrics,
+  LATENCY_BUCKETS,
+  FANOUT_BUCKETS
+};
@@ -0,0 +1,154 @@
+/**
+ * Small declarative validator for inbound messages
+ *
+ * Supports a JSON-schema subset:
+ *   type                  - 'string' | 'number' | 'integer' | 'boolean' | 'object' | 'array'
+ *   required, properties  - for objects
+ *   additionalProperties  - unknown properties are removed unless this is true
+ *   minimum, maximum      - for numbers
+ *   minLength, maxLength  - for strings
+ *   pattern               - RegExp or string, for strings
+ *   enum                  - list of allowed values
+ *   items, maxItems       - for arrays
+ *
+ * Validation returns a cleaned copy of the value so stripped fields never reach
+ * a handler or a rebroadcast.
+ */
+
+/**
+ * Error thrown by handlers for value checks a schema can't express
+ */
+class ValidationError extends Error {
+  constructor(field, reason) {
+    super(`Invalid field ${field}: ${reason}`);
+    this.name = 'ValidationError';
+    this.field = field;
+    this.reason = reason;
+  }
+}
+
+/**
+ * Get the schema type name for a value
+ */
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * Check a value's type against a schema type
+ */
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'number') {
+    return (actual === 'number' || actual === 'integer') && Number.isFinite(value);
+  }
+  return actual === type;
+}
+
+/**
+ * Validate a value against a schema
+ * Returns { valid: true, value } or { valid: false, field, reason }
+ */
+function validate(schema, value, path = '') {
+  const field = path || 'message';
+
+  if (!schema) {
+    return { valid: true, value };
+  }
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    return { valid: false, field, reason: `expected ${schema.type}` };
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return { valid: false, field, reason: `must be one of ${schema.enum.join(', ')}` };
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      return { valid: false, field, reason: `must be >= ${schema.minimum}` };
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      return { valid: false, field, reason: `must be <= ${schema.maximum}` };
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      return { valid: false, field, reason: `must be at least ${schema.minLength} characters` };
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      return { valid: false, field, reason: `must be at most ${schema.maxLength} characters` };
+    }
+    if (schema.pattern) {
+      const pattern = schema.pattern instanceof RegExp ? schema.pattern : new RegExp(schema.pattern);
+      if (!pattern.test(value)) {
+        return { valid: false, field, reason: 'has an invalid format' };
+      }
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      return { valid: false, field, reason: `must have at most ${schema.maxItems} items` };
+    }
+    if (schema.items) {
+      const items = [];
+      for (let i = 0; i < value.length; i++) {
+        const result = validate(schema.items, value[i], `${field}[${i}]`);
+        if (!result.valid) return result;
+        items.push(result.value);
+      }
+      return { valid: true, value: items };
+    }
+    return { valid: true, value: value.slice() };
+  }
+
+  if (schema.type === 'object' || schema.properties) {
+    return validateObject(schema, value, path);
+  }
+
+  return { valid: true, value };
+}
+
+/**
+ * Validate an object's properties and strip unknown ones
+ */
+function validateObject(schema, value, path) {
+  const properties = schema.properties || {};
+  const required = schema.required || [];
+  const prefix = path ? `${path}.` : '';
+  const cleaned = {};
+
+  for (const name of required) {
+    if (value[name] === undefined || value[name] === null) {
+      return { valid: false, field: prefix + name, reason: 'is required' };
+    }
+  }
+
+  for (const [name, propertySchema] of Object.entries(properties)) {
+    if (value[name] === undefined || value[name] === null) continue;
+
+    const result = validate(propertySchema, value[name], prefix + name);
+    if (!result.valid) return result;
+    cleaned[name] = result.value;
+  }
+
+  if (schema.additionalProperties === true) {
+    for (const [name, propertyValue] of Object.entries(value)) {
+      if (!(name in properties)) {
+        cleaned[name] = propertyValue;
+      }
+    }
+  }
+
+  return { valid: true, value: cleaned };
+}
+
+module.exports = {
+  validate,
+  ValidationError
+};
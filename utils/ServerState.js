@@ -1,5 +1,8 @@
+const { Histogram, LATENCY_BUCKETS, FANOUT_BUCKETS } = require('./Metrics');
+
 /**
  * Class to track server state
+ * Also collects the counters and histograms served on /metrics
  */
 class ServerState {
   constructor() {
@@ -10,6 +13,77 @@ class ServerState {
       startTime: Date.now(),
       uniqueBrowsers: 0
     };
+    
+    this.metrics = {
+      // Message type -> count
+      messagesReceived: new Map(),
+      messagesSent: new Map(),
+      rateLimited: new Map(),
+      
+      // Where the error happened (handler type, 'http', 'websocket'...) -> count
+      errors: new Map(),
+      
+      bytesIn: 0,
+      bytesOut: 0,
+      broadcastFanout: new Histogram(FANOUT_BUCKETS),
+      
+      // Message type -> Histogram of handler durations in seconds
+      handlerLatency: new Map()
+    };
+  }
+  
+  /**
+   * Add one to a counter in a Map of label -> count
+   */
+  incrementLabel(map, label) {
+    map.set(label, (map.get(label) || 0) + 1);
+  }
+  
+  /**
+   * Record a message received from a client
+   */
+  recordMessageReceived(type, bytes) {
+    this.incrementLabel(this.metrics.messagesReceived, type);
+    this.metrics.bytesIn += bytes;
+  }
+  
+  /**
+   * Record a message sent to a client
+   */
+  recordMessageSent(type, bytes) {
+    this.incrementLabel(this.metrics.messagesSent, type);
+    this.metrics.bytesOut += bytes;
+  }
+  
+  /**
+   * Record how many connections a broadcast reached
+   */
+  recordBroadcast(recipients) {
+    this.metrics.broadcastFanout.observe(recipients);
+  }
+  
+  /**
+   * Record how long a message handler took
+   */
+  observeHandlerLatency(type, seconds) {
+    if (!this.metrics.handlerLatency.has(type)) {
+      this.metrics.handlerLatency.set(type, new Histogram(LATENCY_BUCKETS));
+    }
+    this.metrics.handlerLatency.get(type).observe(seconds);
+  }
+  
+  /**
+   * Record a message dropped by a rate limit
+   */
+  recordRateLimited(type) {
+    this.incrementLabel(this.metrics.rateLimited, type);
+  }
+  
+  /**
+   * Get the collected metrics
+   */
+  getMetrics() {
+    return this.metrics;
   }
   
   /**
@@ -28,9 +102,11 @@ class ServerState {
   
   /**
    * Increment error count
+   * source says where it happened, e.g. a message type or 'http'
    */
-  incrementErrors() {
+  incrementErrors(source = 'other') {
     this.state.errors++;
+    this.incrementLabel(this.metrics.errors, source);
   }
   
   /**
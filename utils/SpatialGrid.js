@@ -0,0 +1,127 @@
+/**
+ * Uniform grid over the x/z plane for fast "who is near this point" queries
+ * Entries are keyed by ID and keep their full 3D position for distance checks
+ */
+class SpatialGrid {
+  constructor(cellSize) {
+    this.cellSize = cellSize;
+
+    // Cell key -> Set of IDs in that cell
+    this.cells = new Map();
+
+    // ID -> { position, cellKey }
+    this.entries = new Map();
+  }
+
+  /**
+   * Get the cell key for a position
+   */
+  getCellKey(position) {
+    const cellX = Math.floor(position.x / this.cellSize);
+    const cellZ = Math.floor(position.z / this.cellSize);
+    return `${cellX},${cellZ}`;
+  }
+
+  /**
+   * Insert or move an entry
+   */
+  set(id, position) {
+    const cellKey = this.getCellKey(position);
+    const entry = this.entries.get(id);
+
+    if (entry && entry.cellKey !== cellKey) {
+      this.removeFromCell(id, entry.cellKey);
+    }
+
+    if (!entry || entry.cellKey !== cellKey) {
+      if (!this.cells.has(cellKey)) {
+        this.cells.set(cellKey, new Set());
+      }
+      this.cells.get(cellKey).add(id);
+    }
+
+    this.entries.set(id, { position: { x: position.x, y: position.y, z: position.z }, cellKey });
+  }
+
+  /**
+   * Remove an entry
+   */
+  remove(id) {
+    const entry = this.entries.get(id);
+    if (!entry) return false;
+
+    this.removeFromCell(id, entry.cellKey);
+    this.entries.delete(id);
+    return true;
+  }
+
+  /**
+   * Remove an ID from a cell, dropping the cell once it is empty
+   */
+  removeFromCell(id, cellKey) {
+    const cell = this.cells.get(cellKey);
+    if (!cell) return;
+
+    cell.delete(id);
+    if (cell.size === 0) {
+      this.cells.delete(cellKey);
+    }
+  }
+
+  /**
+   * Get an entry's position
+   */
+  getPosition(id) {
+    const entry = this.entries.get(id);
+    return entry ? entry.position : null;
+  }
+
+  /**
+   * Check if an ID is in the grid
+   */
+  has(id) {
+    return this.entries.has(id);
+  }
+
+  /**
+   * Get the number of entries
+   */
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * Find every ID within a radius of a position
+   */
+  queryRadius(position, radius) {
+    const results = [];
+    const radiusSquared = radius * radius;
+
+    const minX = Math.floor((position.x - radius) / this.cellSize);
+    const maxX = Math.floor((position.x + radius) / this.cellSize);
+    const minZ = Math.floor((position.z - radius) / this.cellSize);
+    const maxZ = Math.floor((position.z + radius) / this.cellSize);
+
+    for (let cellX = minX; cellX <= maxX; cellX++) {
+      for (let cellZ = minZ; cellZ <= maxZ; cellZ++) {
+        const cell = this.cells.get(`${cellX},${cellZ}`);
+        if (!cell) continue;
+
+        cell.forEach((id) => {
+          const other = this.entries.get(id).position;
+          const dx = other.x - position.x;
+          const dy = other.y - position.y;
+          const dz = other.z - position.z;
+
+          if (dx * dx + dy * dy + dz * dz <= radiusSquared) {
+            results.push(id);
+          }
+        });
+      }
+    }
+
+    return results;
+  }
+}
+
+module.exports = SpatialGrid;
@@ -1,5 +1,17 @@
 const WebSocketServer = require('./server');
+const { createLogger } = require('./utils/Logger');
+
+const log = createLogger('server');
 
 // Create and start the server
 const server = new WebSocketServer();
-server.start();
\ No newline at end of file
+server.start().catch((error) => {
+  log.error('Failed to start server', error);
+  process.exit(1);
+});
+
+// Drain connections and save state when the platform stops the process
+// A second signal falls through to the default handler and exits at once
+['SIGTERM', 'SIGINT'].forEach((signal) => {
+  process.once(signal, () => server.shutdownAndExit(signal));
+});